@@ -8,10 +8,21 @@ import { ModalProvider } from './contexts/ModalContext'
 import Dashboard from './pages/Dashboard'
 import Login from './pages/Login'
 import Register from './pages/Register'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
 import Editor2D from './pages/Editor2D'
 import Viewer3D from './pages/Viewer3D'
+import SharedDesign from './pages/SharedDesign'
+import AdminUsers from './pages/AdminUsers'
+import AssetManager from './pages/AssetManager'
+import DesignQuote from './pages/DesignQuote'
+import Trash from './pages/Trash'
+import AccountSettings from './pages/AccountSettings'
+import VerifyEmail from './pages/VerifyEmail'
 import ProtectedRoute from './components/ProtectedRoute'
+import SyncManager from './components/SyncManager'
 import { authService } from './services/authService'
+import { ADMIN_ROLES } from './services/adminService'
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false)
@@ -24,6 +35,7 @@ function App() {
     <ErrorBoundary>
       <NotificationProvider>
         <ModalProvider>
+          <SyncManager />
           <Router>
             <div className="min-h-screen bg-gray-100">
               <Routes>
@@ -32,15 +44,26 @@ function App() {
                   element={<Login setIsAuthenticated={setIsAuthenticated} />} 
                 />
                 
-                <Route 
-                  path="/register" 
-                  element={<Register setIsAuthenticated={setIsAuthenticated} />} 
-                />
+                <Route path="/register" element={<Register />} />
+                
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                
+                <Route path="/share/:token" element={<SharedDesign />} />
                 
                 <Route element={<ProtectedRoute isAuthenticated={isAuthenticated} />}>
                   <Route path="/" element={<Dashboard />} />
                   <Route path="/editor/:designId?" element={<Editor2D />} />
                   <Route path="/viewer/:designId" element={<Viewer3D />} />
+                  <Route path="/quote/:designId" element={<DesignQuote />} />
+                  <Route path="/assets" element={<AssetManager />} />
+                  <Route path="/trash" element={<Trash />} />
+                  <Route path="/account" element={<AccountSettings />} />
+                </Route>
+                
+                <Route element={<ProtectedRoute roles={ADMIN_ROLES} />}>
+                  <Route path="/admin/users" element={<AdminUsers />} />
                 </Route>
               </Routes>
             </div>
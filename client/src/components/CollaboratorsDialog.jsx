@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+import { collaboratorService } from '../services/collaboratorService'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const ROLE_OPTIONS = [
+  { label: 'Can view', value: 'viewer' },
+  { label: 'Can edit', value: 'editor' }
+]
+
+// Modal for inviting other designers to a design and managing their roles
+const CollaboratorsDialog = ({ isOpen, onClose, design }) => {
+  const [access, setAccess] = useState({ owner: null, collaborators: [] })
+  const [loading, setLoading] = useState(false)
+  const [inviting, setInviting] = useState(false)
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('viewer')
+  const { showSuccess, showError } = useNotification()
+  const designId = design?.id
+  // Unverified accounts can't share; the server refuses too
+  const emailVerified = authService.isEmailVerified()
+
+  useEffect(() => {
+    if (!isOpen || !designId) return
+
+    const fetchCollaborators = async () => {
+      try {
+        setLoading(true)
+        setAccess(await collaboratorService.getCollaborators(designId))
+      } catch (error) {
+        console.error('Error fetching collaborators:', error)
+        showError(error.message || 'Could not load collaborators')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchCollaborators()
+  }, [isOpen, designId, showError])
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+
+    try {
+      setInviting(true)
+      setAccess(await collaboratorService.addCollaborator(designId, email, role))
+      showSuccess(`Invited ${email}`)
+      setEmail('')
+    } catch (error) {
+      console.error('Error inviting collaborator:', error)
+      showError(error.message || 'Could not invite collaborator')
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  const handleRoleChange = async (userId, newRole) => {
+    try {
+      setAccess(await collaboratorService.updateCollaborator(designId, userId, newRole))
+    } catch (error) {
+      console.error('Error changing role:', error)
+      showError(error.message || 'Could not change role')
+    }
+  }
+
+  const handleRemove = async (collaborator) => {
+    try {
+      setAccess(await collaboratorService.removeCollaborator(designId, collaborator.user._id))
+      showSuccess(`Removed ${collaborator.user.email}`)
+    } catch (error) {
+      console.error('Error removing collaborator:', error)
+      showError(error.message || 'Could not remove collaborator')
+    }
+  }
+
+  if (!isOpen || !design) return null
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black/40" onClick={onClose}></div>
+
+        <div
+          className="relative bg-white rounded-lg shadow-xl w-full max-w-lg"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="collaborators-dialog-title"
+        >
+          <div className="px-6 pt-5 pb-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900" id="collaborators-dialog-title">
+              Collaborators on "{design.name}"
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Invite other designers by the email they registered with.
+            </p>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <form className="flex gap-2" onSubmit={handleInvite}>
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="designer@example.com"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <select
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+              >
+                {ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={inviting || !emailVerified}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                {inviting ? 'Inviting...' : 'Invite'}
+              </button>
+            </form>
+
+            {!emailVerified && (
+              <p className="text-sm text-amber-800">Confirm your email address to invite collaborators.</p>
+            )}
+
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading collaborators...</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {access.owner && (
+                  <li className="py-2 flex items-center justify-between">
+                    <span className="text-sm text-gray-800 truncate">{access.owner.email}</span>
+                    <span className="text-xs py-0.5 px-2 bg-indigo-100 text-indigo-700 rounded-full">Owner</span>
+                  </li>
+                )}
+                {access.collaborators.map(collaborator => (
+                  <li key={collaborator.user._id} className="py-2 flex items-center justify-between gap-2">
+                    <span className="text-sm text-gray-800 truncate">{collaborator.user.email}</span>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={collaborator.role}
+                        onChange={(e) => handleRoleChange(collaborator.user._id, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700 bg-white"
+                      >
+                        {ROLE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleRemove(collaborator)}
+                        className="px-2 py-1 text-xs font-medium text-red-700 bg-red-50 rounded hover:bg-red-100 transition-colors"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-6 py-3 flex justify-end rounded-b-lg">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CollaboratorsDialog
@@ -4,6 +4,7 @@ const ConfirmationModal = ({
   isOpen, 
   onClose, 
   onConfirm, 
+  onCancel,
   title = 'Confirm Action', 
   message = 'Are you sure you want to continue?',
   confirmText = 'Confirm',
@@ -58,7 +59,10 @@ const ConfirmationModal = ({
             <button 
               type="button" 
               className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
-              onClick={onClose}
+              onClick={() => {
+                if (onCancel) onCancel();
+                onClose();
+              }}
             >
               {cancelText}
             </button>
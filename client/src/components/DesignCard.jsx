@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { useNotification } from '../contexts/NotificationContext';
 import { useModal } from '../contexts/ModalContext';
+import DesignThumbnail from './DesignThumbnail';
 
 const DesignCard = ({ design, onDelete }) => {
   const { showInfo } = useNotification();
@@ -12,9 +13,10 @@ const DesignCard = ({ design, onDelete }) => {
     e.stopPropagation();
     
     confirm(
-      `Are you sure you want to delete "${design.name}"?`,
+      `Move "${design.name}" to the trash? You can restore it from there until the trash is emptied.`,
       () => onDelete(design.id),
-      'Delete Design'
+      'Delete Design',
+      { confirmText: 'Move to Trash' }
     );
   };
 
@@ -33,26 +35,32 @@ const DesignCard = ({ design, onDelete }) => {
             backgroundColor: design.roomConfig?.color || '#F5F5DC',
           }}
         >
-          {/* Furniture items preview */}
-          {design.furniture && design.furniture.length > 0 && (
-            <div className="absolute inset-0 p-2">
-              {design.furniture.map(item => (
-                <div
-                  key={item.id}
-                  className="absolute shadow-sm"
-                  style={{
-                    left: `${(item.x / design.roomConfig.width) * 100}%`,
-                    top: `${(item.y / design.roomConfig.height) * 100}%`,
-                    width: `${(item.width / design.roomConfig.width) * 100}%`,
-                    height: `${(item.height / design.roomConfig.height) * 100}%`,
-                    backgroundColor: item.fill || '#8B4513',
-                    borderRadius: '2px',
-                    transition: 'transform 0.2s ease-in-out'
-                  }}
-                ></div>
-              ))}
-            </div>
-          )}
+          {/* Snapshot from the last save, or an outline of the furniture */}
+          <DesignThumbnail
+            design={design}
+            alt={`Preview of ${design.name}`}
+            className="absolute inset-0 w-full h-full object-cover"
+          >
+            {design.furniture && design.furniture.length > 0 && (
+              <div className="absolute inset-0 p-2">
+                {design.furniture.map(item => (
+                  <div
+                    key={item.id}
+                    className="absolute shadow-sm"
+                    style={{
+                      left: `${(item.x / design.roomConfig.width) * 100}%`,
+                      top: `${(item.y / design.roomConfig.height) * 100}%`,
+                      width: `${(item.width / design.roomConfig.width) * 100}%`,
+                      height: `${(item.height / design.roomConfig.height) * 100}%`,
+                      backgroundColor: item.fill || '#8B4513',
+                      borderRadius: '2px',
+                      transition: 'transform 0.2s ease-in-out'
+                    }}
+                  ></div>
+                ))}
+              </div>
+            )}
+          </DesignThumbnail>
           
           {/* Items count badge */}
           <div className="absolute top-3 right-3 bg-black/70 text-white text-xs px-2 py-1 rounded-full">
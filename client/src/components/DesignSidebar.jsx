@@ -0,0 +1,177 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { folderService } from '../services/folderService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const itemClass = (active) => (
+  `w-full flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+    active ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+  }`
+)
+
+// Dashboard sidebar for browsing designs by favourite, folder and tag, and
+// for creating, renaming and deleting folders. `view` is the current
+// `{ folder, tag, favorite }` selection.
+const DesignSidebar = ({ folders, tags, view, onSelect, onFoldersChanged }) => {
+  const [newFolderName, setNewFolderName] = useState('')
+  const [renaming, setRenaming] = useState(null)
+  const [renameValue, setRenameValue] = useState('')
+  const { showSuccess, showError } = useNotification()
+  const showingAll = !view.folder && !view.tag && !view.favorite
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    try {
+      const folder = await folderService.createFolder(newFolderName.trim())
+      setNewFolderName('')
+      onFoldersChanged()
+      showSuccess(`Created folder ${folder.name}`)
+    } catch (error) {
+      console.error('Error creating folder:', error)
+      showError(error.fieldErrors?.name || error.message || 'Could not create folder')
+    }
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+
+    try {
+      await folderService.renameFolder(renaming._id, renameValue.trim())
+      setRenaming(null)
+      onFoldersChanged()
+    } catch (error) {
+      console.error('Error renaming folder:', error)
+      showError(error.fieldErrors?.name || error.message || 'Could not rename folder')
+    }
+  }
+
+  const handleDelete = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its designs will be kept.`)) return
+
+    try {
+      await folderService.deleteFolder(folder._id)
+      if (view.folder === folder._id) onSelect({})
+      onFoldersChanged()
+      showSuccess(`Deleted folder ${folder.name}`)
+    } catch (error) {
+      console.error('Error deleting folder:', error)
+      showError(error.message || 'Could not delete folder')
+    }
+  }
+
+  return (
+    <aside className="bg-white rounded-2xl shadow-md p-4 space-y-6">
+      <div className="space-y-1">
+        <button onClick={() => onSelect({})} className={itemClass(showingAll)}>
+          All designs
+        </button>
+        <button onClick={() => onSelect({ favorite: 'true' })} className={itemClass(view.favorite === 'true')}>
+          <span>★ Favourites</span>
+        </button>
+        <button onClick={() => onSelect({ folder: 'none' })} className={itemClass(view.folder === 'none')}>
+          Not in a folder
+        </button>
+        <Link to="/trash" className={itemClass(false)}>
+          Trash
+        </Link>
+      </div>
+
+      <div>
+        <h3 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-400">Folders</h3>
+        <div className="space-y-1">
+          {folders.map(folder => (
+            renaming?._id === folder._id ? (
+              <form key={folder._id} onSubmit={handleRename} className="flex gap-1">
+                <input
+                  type="text"
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  maxLength={60}
+                  autoFocus
+                  aria-label="Folder name"
+                  className="flex-grow min-w-0 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <button type="submit" disabled={!renameValue.trim()} className="px-2 text-sm text-indigo-600 disabled:opacity-50">
+                  Save
+                </button>
+                <button type="button" onClick={() => setRenaming(null)} className="px-1 text-sm text-gray-500">
+                  ×
+                </button>
+              </form>
+            ) : (
+              <div key={folder._id} className="group flex items-center">
+                <button onClick={() => onSelect({ folder: folder._id })} className={itemClass(view.folder === folder._id)}>
+                  <span className="truncate">{folder.name}</span>
+                  <span className="text-xs text-gray-400">{folder.designCount}</span>
+                </button>
+                <div className="hidden group-hover:flex">
+                  <button
+                    onClick={() => {
+                      setRenaming(folder)
+                      setRenameValue(folder.name)
+                    }}
+                    className="p-1 text-gray-400 hover:text-indigo-600"
+                    title="Rename folder"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(folder)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete folder"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+
+        <form onSubmit={handleCreate} className="mt-2 flex gap-1">
+          <input
+            type="text"
+            value={newFolderName}
+            onChange={(e) => setNewFolderName(e.target.value)}
+            placeholder="New folder"
+            maxLength={60}
+            className="flex-grow min-w-0 px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!newFolderName.trim()}
+            className="px-3 py-1.5 text-sm text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+
+      {tags.length > 0 && (
+        <div>
+          <h3 className="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-400">Tags</h3>
+          <div className="flex flex-wrap gap-1.5 px-1">
+            {tags.map(({ tag, count }) => (
+              <button
+                key={tag}
+                onClick={() => onSelect(view.tag === tag ? {} : { tag })}
+                className={`px-2.5 py-1 rounded-full text-xs transition-colors ${
+                  view.tag === tag ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {tag} <span className="opacity-70">{count}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </aside>
+  )
+}
+
+export default DesignSidebar
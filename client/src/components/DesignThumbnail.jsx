@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react'
+import { designService } from '../services/designService'
+
+// The snapshot saved with a listed design. Fetching it needs the user's
+// token, so it can't go straight into an img src. Until it has loaded, or
+// when there is none, `children` shows instead.
+const DesignThumbnail = ({ design, alt = '', className, children = null }) => {
+  const [src, setSrc] = useState(null)
+  const url = design.thumbnailUrl
+
+  useEffect(() => {
+    setSrc(null)
+    if (!url) return
+
+    let cancelled = false
+    let objectUrl = null
+
+    designService.getThumbnail(url)
+      .then(blob => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setSrc(objectUrl)
+      })
+      .catch(() => {})
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [url])
+
+  return src ? <img src={src} alt={alt} className={className} /> : children
+}
+
+export default DesignThumbnail
@@ -0,0 +1,58 @@
+import { Stage, Layer, Rect, Text } from 'react-konva'
+
+// Read-only 2D plan of a design, used where editing is not allowed
+const FloorPlan = ({ roomConfig, furniture = [] }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-auto inline-block max-w-full">
+      <Stage
+        width={roomConfig.width}
+        height={roomConfig.height}
+        listening={false}
+        className="border border-gray-200"
+      >
+        <Layer>
+          {/* Room Background */}
+          <Rect
+            width={roomConfig.width}
+            height={roomConfig.height}
+            fill={roomConfig.color}
+          />
+
+          {furniture.map(item => (
+            <Rect
+              key={item.id}
+              x={item.x}
+              y={item.y}
+              width={item.width}
+              height={item.height}
+              fill={item.fill}
+              rotation={item.rotation || 0}
+              cornerRadius={2}
+              shadowColor="black"
+              shadowOpacity={0.15}
+              shadowBlur={4}
+            />
+          ))}
+
+          {furniture.map(item => (
+            <Text
+              key={`label-${item.id}`}
+              x={item.x}
+              y={item.y}
+              width={item.width}
+              height={item.height}
+              rotation={item.rotation || 0}
+              text={item.name}
+              fontSize={12}
+              fill="#FFFFFF"
+              align="center"
+              verticalAlign="middle"
+            />
+          ))}
+        </Layer>
+      </Stage>
+    </div>
+  )
+}
+
+export default FloorPlan
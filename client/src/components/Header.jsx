@@ -1,12 +1,51 @@
 import { useState } from 'react'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { authService } from '../services/authService'
+import { ADMIN_ROLES } from '../services/adminService'
+import { storeService } from '../services/storeService'
+import { useNotification } from '../contexts/NotificationContext'
 
 const Header = ({ title }) => {
   const navigate = useNavigate()
   const location = useLocation()
   const user = authService.getCurrentUser()
+  const canAdmin = ADMIN_ROLES.includes(user?.role)
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
+  const [switchingStore, setSwitchingStore] = useState(false)
+  const { showError } = useNotification()
+  const stores = user?.stores || []
+  const currentStoreId = user?.currentStore?._id
+  
+  // Everything on screen belongs to the old store, so start over from the dashboard
+  const handleStoreChange = async (storeId) => {
+    try {
+      setSwitchingStore(true)
+      await storeService.switchStore(storeId)
+      window.location.assign('/')
+    } catch (error) {
+      console.error('Error switching store:', error)
+      showError(error.message || 'Could not switch stores')
+      setSwitchingStore(false)
+    }
+  }
+  
+  const renderStore = (className) => (
+    stores.length > 1 ? (
+      <select
+        value={currentStoreId || ''}
+        onChange={(e) => handleStoreChange(e.target.value)}
+        disabled={switchingStore}
+        aria-label="Current store"
+        className={`${className} bg-gray-100 border-0 focus:outline-none focus:ring-2 focus:ring-indigo-500 cursor-pointer`}
+      >
+        {stores.map(store => (
+          <option key={store._id} value={store._id}>{store.name}</option>
+        ))}
+      </select>
+    ) : (
+      user?.currentStore && <span className={`${className} bg-gray-100`}>{user.currentStore.name}</span>
+    )
+  )
   
   const handleLogout = () => {
     authService.logout()
@@ -19,7 +58,7 @@ const Header = ({ title }) => {
   }
   
   return (
-    <header className="bg-white sticky top-0 left-0 right-0 z-50 shadow-sm">
+    <header className="bg-white sticky top-0 left-0 right-0 z-50 shadow-sm print:hidden">
       <div className="container mx-auto px-4">
         <div className="flex items-center justify-between h-16">
           {/* Logo and Brand */}
@@ -43,13 +82,22 @@ const Header = ({ title }) => {
           
           {/* Main Navigation - Desktop */}
           <div className="hidden md:flex items-center space-x-1">
-            {/* User Email Badge */}
-            <div className="flex items-center px-3 py-1.5 bg-gray-100 rounded-full text-sm text-gray-600 mr-3">
+            {/* Current Store */}
+            {renderStore('mr-2 px-3 py-1.5 rounded-full text-sm font-medium text-indigo-700 max-w-[180px] truncate')}
+            
+            {/* User Email Badge, linking to the account settings */}
+            <Link
+              to="/account"
+              title="Account settings"
+              className={`flex items-center px-3 py-1.5 rounded-full text-sm mr-3 transition-colors ${
+                isActive('/account') ? 'bg-indigo-50 text-indigo-600' : 'bg-gray-100 text-gray-600 hover:text-indigo-600'
+              }`}
+            >
               <svg className="w-4 h-4 text-gray-500 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"></path>
               </svg>
               <span className="truncate max-w-[150px]">{user?.email}</span>
-            </div>
+            </Link>
             
             {/* Navigation Links */}
             <div className="bg-gray-100 rounded-lg p-1 flex">
@@ -74,6 +122,30 @@ const Header = ({ title }) => {
               >
                 New Design
               </Link>
+              
+              <Link 
+                to="/assets" 
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/assets')
+                    ? 'bg-white text-indigo-600 shadow-sm' 
+                    : 'text-gray-700 hover:text-indigo-600'
+                }`}
+              >
+                3D Models
+              </Link>
+              
+              {canAdmin && (
+                <Link 
+                  to="/admin/users" 
+                  className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                    location.pathname.startsWith('/admin')
+                      ? 'bg-white text-indigo-600 shadow-sm' 
+                      : 'text-gray-700 hover:text-indigo-600'
+                  }`}
+                >
+                  Users
+                </Link>
+              )}
             </div>
             
             <button
@@ -113,14 +185,21 @@ const Header = ({ title }) => {
       </div>
       
       {/* Mobile Menu */}
-      <div className={`md:hidden transition-all duration-300 overflow-hidden ${mobileMenuOpen ? 'max-h-60' : 'max-h-0'}`}>
+      <div className={`md:hidden transition-all duration-300 overflow-hidden ${mobileMenuOpen ? 'max-h-[28rem]' : 'max-h-0'}`}>
         <div className="px-2 pt-2 pb-3 space-y-1 border-t border-gray-200">
-          <div className="px-3 py-2 rounded-md text-sm text-gray-600 bg-gray-50 flex items-center mb-2">
+          <Link
+            to="/account"
+            className="px-3 py-2 rounded-md text-sm text-gray-600 bg-gray-50 hover:text-indigo-600 flex items-center mb-2"
+            onClick={() => setMobileMenuOpen(false)}
+          >
             <svg className="w-4 h-4 text-gray-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z"></path>
             </svg>
             <span className="truncate">{user?.email}</span>
-          </div>
+            <span className="ml-auto pl-2 text-xs text-indigo-600">Account</span>
+          </Link>
+          
+          {renderStore('block w-full px-3 py-2 rounded-md text-sm font-medium text-indigo-700 mb-2')}
           
           <Link 
             to="/" 
@@ -146,6 +225,32 @@ const Header = ({ title }) => {
             New Design
           </Link>
           
+          <Link 
+            to="/assets" 
+            className={`block px-3 py-2 rounded-md text-base font-medium ${
+              isActive('/assets')
+                ? 'bg-indigo-50 text-indigo-600 border-l-4 border-indigo-600 pl-2' 
+                : 'text-gray-600 hover:bg-gray-50 hover:text-indigo-600'
+            }`}
+            onClick={() => setMobileMenuOpen(false)}
+          >
+            3D Models
+          </Link>
+          
+          {canAdmin && (
+            <Link 
+              to="/admin/users" 
+              className={`block px-3 py-2 rounded-md text-base font-medium ${
+                location.pathname.startsWith('/admin')
+                  ? 'bg-indigo-50 text-indigo-600 border-l-4 border-indigo-600 pl-2' 
+                  : 'text-gray-600 hover:bg-gray-50 hover:text-indigo-600'
+              }`}
+              onClick={() => setMobileMenuOpen(false)}
+            >
+              Users
+            </Link>
+          )}
+          
           <div className="pt-2">
             <button
               onClick={() => {
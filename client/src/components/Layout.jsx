@@ -1,10 +1,12 @@
 import React from 'react';
 import Header from './Header';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 const Layout = ({ title, children }) => {
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <Header title={title} />
+      <VerifyEmailBanner />
       <main className="flex-grow container mx-auto px-4 py-6 pt-8">
         {children}
       </main>
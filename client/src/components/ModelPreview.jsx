@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from 'react'
+import * as THREE from 'three'
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+
+// Turntable preview of a single 3D model, framed to fit whatever its size
+const ModelPreview = ({ url, className = '' }) => {
+  const containerRef = useRef(null)
+  const [status, setStatus] = useState('loading')
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container || !url) return
+
+    setStatus('loading')
+    let disposed = false
+    let frameId = null
+
+    const scene = new THREE.Scene()
+    scene.background = new THREE.Color(0xf3f4f6)
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8))
+    const light = new THREE.DirectionalLight(0xffffff, 1)
+    light.position.set(5, 10, 7)
+    scene.add(light)
+
+    const camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 0.01, 10000)
+    const renderer = new THREE.WebGLRenderer({ antialias: true })
+    renderer.setSize(container.clientWidth, container.clientHeight)
+    renderer.setPixelRatio(window.devicePixelRatio)
+    container.appendChild(renderer.domElement)
+
+    const controls = new OrbitControls(camera, renderer.domElement)
+    controls.autoRotate = true
+    controls.enableDamping = true
+
+    let model = null
+    new GLTFLoader().load(
+      url,
+      (gltf) => {
+        if (disposed) return
+        model = gltf.scene
+
+        // Centre the model and pull the camera back until it all fits
+        const box = new THREE.Box3().setFromObject(model)
+        const size = box.getSize(new THREE.Vector3())
+        const center = box.getCenter(new THREE.Vector3())
+        model.position.sub(center)
+        scene.add(model)
+
+        const radius = Math.max(size.x, size.y, size.z) || 1
+        camera.position.set(radius * 1.2, radius * 0.8, radius * 1.2)
+        camera.near = radius / 100
+        camera.far = radius * 100
+        camera.updateProjectionMatrix()
+        controls.update()
+        setStatus('ready')
+      },
+      undefined,
+      (error) => {
+        console.error(`Error loading model preview from ${url}:`, error)
+        if (!disposed) setStatus('error')
+      }
+    )
+
+    const animate = () => {
+      frameId = requestAnimationFrame(animate)
+      controls.update()
+      renderer.render(scene, camera)
+    }
+    animate()
+
+    return () => {
+      disposed = true
+      cancelAnimationFrame(frameId)
+      controls.dispose()
+      model?.traverse(child => {
+        if (child.geometry) child.geometry.dispose()
+        if (child.material) {
+          (Array.isArray(child.material) ? child.material : [child.material]).forEach(m => m.dispose())
+        }
+      })
+      renderer.dispose()
+      container.removeChild(renderer.domElement)
+    }
+  }, [url])
+
+  return (
+    <div className={`relative ${className}`}>
+      <div ref={containerRef} className="absolute inset-0" />
+      {status !== 'ready' && (
+        <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500 pointer-events-none">
+          {status === 'loading' ? (
+            <div className="w-8 h-8 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          ) : (
+            'Preview unavailable'
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ModelPreview
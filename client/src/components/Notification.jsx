@@ -4,6 +4,7 @@ const Notification = ({
   message, 
   type = 'info', // 'success', 'error', 'warning', 'info'
   duration = 3000,
+  action = null, // { label, onClick }
   onClose 
 }) => {
   const [isVisible, setIsVisible] = useState(true)
@@ -58,6 +59,18 @@ const Notification = ({
         <div className="flex-1">
           {message}
         </div>
+        {action && (
+          <button
+            onClick={() => {
+              action.onClick()
+              setIsVisible(false)
+              if (onClose) setTimeout(onClose, 300)
+            }}
+            className="ml-4 text-sm font-semibold underline hover:no-underline"
+          >
+            {action.label}
+          </button>
+        )}
         <button 
           onClick={() => {
             setIsVisible(false)
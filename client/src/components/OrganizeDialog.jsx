@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react'
+import { designService } from '../services/designService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const MAX_TAGS = 20
+
+// Modal for filing a design in a folder and editing its tags
+const OrganizeDialog = ({ isOpen, onClose, design, folders, knownTags = [], onSaved }) => {
+  const [folder, setFolder] = useState('')
+  const [tags, setTags] = useState([])
+  const [tagInput, setTagInput] = useState('')
+  const [saving, setSaving] = useState(false)
+  const { showSuccess, showError } = useNotification()
+
+  useEffect(() => {
+    if (!isOpen || !design) return
+
+    setFolder(design.folder || '')
+    setTags(design.tags || [])
+    setTagInput('')
+  }, [isOpen, design])
+
+  const addTag = () => {
+    const tag = tagInput.trim().toLowerCase()
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      setTags([...tags, tag])
+    }
+    setTagInput('')
+  }
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag()
+    } else if (e.key === 'Backspace' && !tagInput && tags.length > 0) {
+      setTags(tags.slice(0, -1))
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      // A tag still being typed counts too
+      const pending = tagInput.trim().toLowerCase()
+      const allTags = pending && !tags.includes(pending) ? [...tags, pending] : tags
+
+      const updated = await designService.organizeDesign(design.id, { folder: folder || null, tags: allTags })
+      showSuccess(`Organised "${design.name}"`)
+      onSaved(updated)
+      onClose()
+    } catch (error) {
+      console.error('Error organising design:', error)
+      const fieldMessages = error.fieldErrors && Object.values(error.fieldErrors)
+      showError(fieldMessages?.length ? fieldMessages[0] : error.message || 'Could not organise design')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!isOpen || !design) return null
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black/40" onClick={onClose}></div>
+
+        <div
+          className="relative bg-white rounded-lg shadow-xl w-full max-w-md"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="organize-dialog-title"
+        >
+          <div className="px-6 pt-5 pb-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900" id="organize-dialog-title">
+              Organise "{design.name}"
+            </h3>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <div>
+              <label htmlFor="organize-folder" className="block text-sm font-medium text-gray-700 mb-1">Folder</label>
+              <select
+                id="organize-folder"
+                value={folder}
+                onChange={(e) => setFolder(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+              >
+                <option value="">No folder</option>
+                {folders.map(f => (
+                  <option key={f._id} value={f._id}>{f.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="organize-tags" className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+              <div className="flex flex-wrap items-center gap-1.5 px-2 py-1.5 border border-gray-300 rounded-md focus-within:ring-2 focus-within:ring-indigo-500">
+                {tags.map(tag => (
+                  <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 bg-indigo-50 text-indigo-700 text-xs rounded-full">
+                    {tag}
+                    <button
+                      onClick={() => setTags(tags.filter(t => t !== tag))}
+                      className="text-indigo-400 hover:text-indigo-700"
+                      aria-label={`Remove tag ${tag}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <input
+                  id="organize-tags"
+                  type="text"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={handleTagKeyDown}
+                  onBlur={addTag}
+                  list="organize-known-tags"
+                  maxLength={30}
+                  placeholder={tags.length === 0 ? 'e.g. smith family, showroom' : ''}
+                  className="flex-grow min-w-[8rem] py-1 text-sm focus:outline-none"
+                />
+                <datalist id="organize-known-tags">
+                  {knownTags.filter(known => !tags.includes(known.tag)).map(known => (
+                    <option key={known.tag} value={known.tag} />
+                  ))}
+                </datalist>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">Press Enter or comma to add a tag</p>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 bg-gray-50 rounded-b-lg flex justify-end gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrganizeDialog
@@ -0,0 +1,70 @@
+import { Fragment } from 'react'
+import { Layer, Rect, Line, Label, Tag, Text } from 'react-konva'
+
+// Users keep the default 'Designer' name until they set one, so fall back to the email
+const getPeerLabel = (peer) => (peer.name && peer.name !== 'Designer' ? peer.name : peer.email)
+
+// Row of coloured avatars for everyone else in the live session
+export const PresenceList = ({ peers }) => (
+  <div className="flex items-center -space-x-1.5">
+    {peers.map(peer => (
+      <span
+        key={peer.id}
+        title={`${getPeerLabel(peer)}${peer.role === 'viewer' ? ' (viewing)' : ''}`}
+        className="w-6 h-6 rounded-full border-2 border-white flex items-center justify-center text-[10px] font-semibold text-white uppercase"
+        style={{ backgroundColor: peer.color }}
+      >
+        {getPeerLabel(peer).charAt(0)}
+      </span>
+    ))}
+  </div>
+)
+
+// Overlay for the 2D stage showing other users' selections and cursors
+const PresenceLayer = ({ peers, furniture }) => {
+  if (peers.length === 0) return null
+
+  return (
+    <Layer listening={false}>
+      {peers.map(peer => {
+        const selected = peer.selectedId ? furniture.find(item => item.id === peer.selectedId) : null
+        if (!selected) return null
+
+        return (
+          <Rect
+            key={`selection-${peer.id}`}
+            x={selected.x}
+            y={selected.y}
+            width={selected.width}
+            height={selected.height}
+            rotation={selected.rotation || 0}
+            stroke={peer.color}
+            strokeWidth={2}
+            dash={[4, 3]}
+          />
+        )
+      })}
+
+      {peers.map(peer => peer.cursor && (
+        <Fragment key={`cursor-${peer.id}`}>
+          {/* Pointer arrow with its tip at the cursor position */}
+          <Line
+            x={peer.cursor.x}
+            y={peer.cursor.y}
+            points={[0, 0, 0, 16, 4.5, 12, 11, 11]}
+            closed
+            fill={peer.color}
+            stroke="#FFFFFF"
+            strokeWidth={1}
+          />
+          <Label x={peer.cursor.x + 10} y={peer.cursor.y + 14}>
+            <Tag fill={peer.color} cornerRadius={3} />
+            <Text text={getPeerLabel(peer)} fontSize={11} padding={3} fill="#FFFFFF" />
+          </Label>
+        </Fragment>
+      ))}
+    </Layer>
+  )
+}
+
+export default PresenceLayer
@@ -1,14 +1,33 @@
-import { Navigate, Outlet } from 'react-router-dom'
+import { useEffect } from 'react'
+import { Navigate, Outlet, useLocation, useNavigate } from 'react-router-dom'
 import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
 
-const ProtectedRoute = () => {
+// With `roles`, only users whose account role is listed get through; the
+// server checks again, this just keeps others out of pages they can't use
+const ProtectedRoute = ({ roles }) => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { showWarning } = useNotification()
   const isAuthenticated = authService.isAuthenticated()
-  
+
+  // The server stopped accepting the session: log in again, then come back here
+  useEffect(() => {
+    return authService.onSessionExpired(() => {
+      showWarning('Your session has expired. Please log in again.')
+      navigate('/login', { replace: true, state: { from: location } })
+    })
+  }, [location, navigate, showWarning])
+
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />
+    return <Navigate to="/login" replace state={{ from: location }} />
   }
-  
+
+  if (roles && !roles.includes(authService.getCurrentUser()?.role)) {
+    return <Navigate to="/" replace />
+  }
+
   return <Outlet />
 }
 
-export default ProtectedRoute 
\ No newline at end of file
+export default ProtectedRoute
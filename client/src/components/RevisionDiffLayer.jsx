@@ -0,0 +1,125 @@
+import { Fragment } from 'react'
+import { Layer, Rect, Arrow, Text } from 'react-konva'
+import { DIFF_COLORS } from '../utils/designDiff'
+
+// Centre of a furniture rect, taking its rotation around the top-left corner into account
+const getCenter = (item) => {
+  const angle = ((item.rotation || 0) * Math.PI) / 180
+  const halfWidth = item.width / 2
+  const halfHeight = item.height / 2
+
+  return {
+    x: item.x + halfWidth * Math.cos(angle) - halfHeight * Math.sin(angle),
+    y: item.y + halfWidth * Math.sin(angle) + halfHeight * Math.cos(angle)
+  }
+}
+
+const Outline = ({ item, color, dashed = false, opacity = 0.2, label }) => (
+  <>
+    <Rect
+      x={item.x}
+      y={item.y}
+      width={item.width}
+      height={item.height}
+      rotation={item.rotation || 0}
+      fill={color}
+      opacity={opacity}
+      listening={false}
+    />
+    <Rect
+      x={item.x}
+      y={item.y}
+      width={item.width}
+      height={item.height}
+      rotation={item.rotation || 0}
+      stroke={color}
+      strokeWidth={2}
+      dash={dashed ? [6, 4] : undefined}
+      listening={false}
+    />
+    {label && (
+      <Text
+        x={item.x}
+        y={item.y - 14}
+        text={label}
+        fontSize={11}
+        fontStyle="bold"
+        fill={color}
+        listening={false}
+      />
+    )}
+  </>
+)
+
+// Overlay for the 2D stage highlighting what changed between two revisions
+const RevisionDiffLayer = ({ diff }) => {
+  if (!diff) return null
+
+  return (
+    <Layer listening={false}>
+      {diff.removed.map(item => (
+        <Outline
+          key={`removed-${item.id}`}
+          item={item}
+          color={DIFF_COLORS.removed}
+          dashed
+          label={`${item.name} removed`}
+        />
+      ))}
+
+      {diff.moved.map(({ before, after }) => {
+        const from = getCenter(before)
+        const to = getCenter(after)
+
+        return (
+          <Fragment key={`moved-${after.id}`}>
+            <Outline item={before} color="#6B7280" dashed opacity={0.1} />
+            <Outline item={after} color={DIFF_COLORS.moved} label={`${after.name} moved`} />
+            <Arrow
+              points={[from.x, from.y, to.x, to.y]}
+              stroke={DIFF_COLORS.moved}
+              fill={DIFF_COLORS.moved}
+              strokeWidth={2}
+              pointerLength={8}
+              pointerWidth={8}
+              listening={false}
+            />
+          </Fragment>
+        )
+      })}
+
+      {diff.added.map(item => (
+        <Outline
+          key={`added-${item.id}`}
+          item={item}
+          color={DIFF_COLORS.added}
+          label={`${item.name} added`}
+        />
+      ))}
+
+      {diff.recoloured.map(({ before, after }) => (
+        <Fragment key={`recoloured-${after.id}`}>
+          <Outline
+            item={after}
+            color={DIFF_COLORS.recoloured}
+            opacity={0}
+            label={`${after.name} recoloured`}
+          />
+          {/* Swatch of the previous colour */}
+          <Rect
+            x={after.x + 4}
+            y={after.y + 4}
+            width={14}
+            height={14}
+            fill={before.fill}
+            stroke="#FFFFFF"
+            strokeWidth={2}
+            listening={false}
+          />
+        </Fragment>
+      ))}
+    </Layer>
+  )
+}
+
+export default RevisionDiffLayer
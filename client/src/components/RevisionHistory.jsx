@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react'
+import { designService } from '../services/designService'
+import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+import { diffFurniture, DIFF_COLORS } from '../utils/designDiff'
+
+// Sidebar panel listing saved revisions of a design, with restore and
+// a "compare two revisions" mode that feeds the stage overlay
+const RevisionHistory = ({ designId, refreshKey, canRestore = true, onRestore, onCompare }) => {
+  const [revisions, setRevisions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [fromRevision, setFromRevision] = useState('')
+  const [toRevision, setToRevision] = useState('')
+  const [diff, setDiff] = useState(null)
+  const { showError, showSuccess } = useNotification()
+  const { confirm } = useModal()
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true)
+        const data = await designService.getRevisions(designId)
+        setRevisions(data)
+      } catch (error) {
+        console.error('Error fetching revisions:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchRevisions()
+  }, [designId, refreshKey])
+
+  const stopComparing = () => {
+    setDiff(null)
+    onCompare(null)
+  }
+
+  const compareRevisions = async () => {
+    if (!fromRevision || !toRevision) return
+
+    try {
+      const [from, to] = await Promise.all([
+        designService.getRevision(designId, fromRevision),
+        designService.getRevision(designId, toRevision)
+      ])
+      const result = diffFurniture(from.furniture, to.furniture)
+      setDiff(result)
+      onCompare(result)
+    } catch (error) {
+      console.error('Error comparing revisions:', error)
+      showError(error.message || 'Could not compare revisions')
+    }
+  }
+
+  const handleRestore = (revision) => {
+    confirm(
+      `Restore revision ${revision.revision}? Your current saved version stays in the history.`,
+      async () => {
+        try {
+          const design = await designService.restoreRevision(designId, revision.revision)
+          stopComparing()
+          onRestore(design)
+          showSuccess(`Restored revision ${revision.revision}`)
+        } catch (error) {
+          console.error('Error restoring revision:', error)
+          showError(error.message || 'Could not restore revision')
+        }
+      },
+      'Restore Revision',
+      { confirmText: 'Restore', confirmButtonClass: 'bg-indigo-600 hover:bg-indigo-700' }
+    )
+  }
+
+  if (loading && revisions.length === 0) {
+    return <p className="text-sm text-gray-500">Loading history...</p>
+  }
+
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-500">No saved revisions yet.</p>
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Compare two revisions */}
+      <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          {[['From', fromRevision, setFromRevision], ['To', toRevision, setToRevision]].map(([label, value, setValue]) => (
+            <label key={label} className="text-xs font-medium text-gray-600">
+              {label}
+              <select
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+              >
+                <option value="">Select</option>
+                {revisions.map(revision => (
+                  <option key={revision.revision} value={revision.revision}>
+                    #{revision.revision}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        {diff ? (
+          <>
+            <div className="grid grid-cols-2 gap-1 text-xs">
+              {Object.keys(DIFF_COLORS).map(kind => (
+                <span key={kind} className="flex items-center text-gray-600">
+                  <span className="w-2.5 h-2.5 rounded-sm mr-1.5" style={{ backgroundColor: DIFF_COLORS[kind] }}></span>
+                  {diff[kind].length} {kind}
+                </span>
+              ))}
+            </div>
+            <button
+              onClick={stopComparing}
+              className="w-full px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-100 transition-colors"
+            >
+              Hide Comparison
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={compareRevisions}
+            disabled={!fromRevision || !toRevision}
+            className="w-full px-3 py-1.5 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            Compare
+          </button>
+        )}
+      </div>
+
+      {/* Revision list */}
+      <ul className="space-y-2">
+        {revisions.map((revision, index) => (
+          <li key={revision.revision} className="p-3 bg-white border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-800">
+                #{revision.revision}
+                {index === 0 && (
+                  <span className="ml-2 text-xs py-0.5 px-2 bg-indigo-100 text-indigo-700 rounded-full">Latest</span>
+                )}
+              </span>
+              {index !== 0 && canRestore && (
+                <button
+                  onClick={() => handleRestore(revision)}
+                  className="text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                >
+                  Restore
+                </button>
+              )}
+            </div>
+            {revision.message && (
+              <p className="mt-1 text-sm text-gray-700">{revision.message}</p>
+            )}
+            <p className="mt-1 text-xs text-gray-500">
+              {revision.author?.name || revision.author?.email || 'Unknown'} · {new Date(revision.createdAt).toLocaleString()}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default RevisionHistory
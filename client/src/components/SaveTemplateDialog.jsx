@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react'
+import { templateService } from '../services/templateService'
+import { useNotification } from '../contexts/NotificationContext'
+
+// Modal for saving a design's room and furniture as a template for the store
+const SaveTemplateDialog = ({ isOpen, onClose, design }) => {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+  const { showSuccess, showError } = useNotification()
+
+  useEffect(() => {
+    if (!isOpen || !design) return
+
+    setName(design.name)
+    setDescription('')
+    setFieldErrors({})
+  }, [isOpen, design])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      const template = await templateService.createFromDesign(design.id, {
+        name: name.trim(),
+        description: description.trim()
+      })
+      showSuccess(`Saved template ${template.name}`)
+      onClose()
+    } catch (error) {
+      console.error('Error saving template:', error)
+      if (error.fieldErrors) {
+        setFieldErrors(error.fieldErrors)
+      } else {
+        showError(error.message || 'Could not save template')
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!isOpen || !design) return null
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black/40" onClick={onClose}></div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="relative bg-white rounded-lg shadow-xl w-full max-w-md"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="save-template-title"
+        >
+          <div className="px-6 pt-5 pb-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900" id="save-template-title">
+              Save as template
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Everyone in your store can start new designs from it. The last saved version of the design is used.
+            </p>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <div>
+              <label htmlFor="template-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="template-name"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={60}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              {fieldErrors.name && <p className="mt-1 text-xs text-red-600">{fieldErrors.name}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="template-description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                id="template-description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                rows={2}
+                maxLength={200}
+                placeholder="What the layout is good for (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              {fieldErrors.description && <p className="mt-1 text-xs text-red-600">{fieldErrors.description}</p>}
+            </div>
+          </div>
+
+          <div className="px-6 py-4 bg-gray-50 rounded-b-lg flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !name.trim()}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Saving...' : 'Save template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SaveTemplateDialog
@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react'
+import { shareService } from '../services/shareService'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', value: '' },
+  { label: '1 day', value: 1 },
+  { label: '7 days', value: 7 },
+  { label: '30 days', value: 30 }
+]
+
+const getLinkStatus = (link) => {
+  if (link.revokedAt) return { label: 'Revoked', className: 'bg-gray-100 text-gray-600' }
+  if (link.expiresAt && new Date(link.expiresAt) <= new Date()) {
+    return { label: 'Expired', className: 'bg-yellow-100 text-yellow-700' }
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-700' }
+}
+
+// Modal for creating, copying and revoking read-only share links
+const ShareDialog = ({ isOpen, onClose, design }) => {
+  const [links, setLinks] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [creating, setCreating] = useState(false)
+  const [expiresInDays, setExpiresInDays] = useState('')
+  const { showSuccess, showError } = useNotification()
+  const designId = design?.id
+  // Unverified accounts can't share; the server refuses too
+  const emailVerified = authService.isEmailVerified()
+
+  useEffect(() => {
+    if (!isOpen || !designId) return
+
+    const fetchLinks = async () => {
+      try {
+        setLoading(true)
+        setLinks(await shareService.getShareLinks(designId))
+      } catch (error) {
+        console.error('Error fetching share links:', error)
+        showError(error.message || 'Could not load share links')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchLinks()
+  }, [isOpen, designId, showError])
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(shareService.getShareUrl(link.token))
+      showSuccess('Link copied to clipboard')
+    } catch (error) {
+      console.error('Error copying link:', error)
+      showError('Could not copy link')
+    }
+  }
+
+  const createLink = async () => {
+    try {
+      setCreating(true)
+      const link = await shareService.createShareLink(designId, expiresInDays || undefined)
+      setLinks(prev => [link, ...prev])
+      await copyLink(link)
+    } catch (error) {
+      console.error('Error creating share link:', error)
+      showError(error.message || 'Could not create share link')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const revokeLink = async (link) => {
+    try {
+      const revoked = await shareService.revokeShareLink(designId, link._id)
+      setLinks(prev => prev.map(l => (l._id === revoked._id ? revoked : l)))
+      showSuccess('Share link revoked')
+    } catch (error) {
+      console.error('Error revoking share link:', error)
+      showError(error.message || 'Could not revoke share link')
+    }
+  }
+
+  if (!isOpen || !design) return null
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black/40" onClick={onClose}></div>
+
+        <div
+          className="relative bg-white rounded-lg shadow-xl w-full max-w-lg"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="share-dialog-title"
+        >
+          <div className="px-6 pt-5 pb-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900" id="share-dialog-title">
+              Share "{design.name}"
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Anyone with the link can view this design in 2D and 3D without an account. They cannot edit it.
+            </p>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <div className="flex gap-2">
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={createLink}
+                disabled={creating || !emailVerified}
+                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                {creating ? 'Creating...' : 'Create Link'}
+              </button>
+            </div>
+
+            {!emailVerified && (
+              <p className="text-sm text-amber-800">Confirm your email address to create share links.</p>
+            )}
+
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading links...</p>
+            ) : links.length === 0 ? (
+              <p className="text-sm text-gray-500">No share links yet.</p>
+            ) : (
+              <ul className="space-y-2 max-h-64 overflow-y-auto">
+                {links.map(link => {
+                  const status = getLinkStatus(link)
+                  const active = status.label === 'Active'
+
+                  return (
+                    <li key={link._id} className="p-3 border border-gray-200 rounded-lg">
+                      <div className="flex items-center justify-between">
+                        <span className={`text-xs py-0.5 px-2 rounded-full ${status.className}`}>{status.label}</span>
+                        <span className="text-xs text-gray-500">
+                          {link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                          {' · '}{link.accessCount} views
+                        </span>
+                      </div>
+                      <p className="mt-2 text-xs font-mono text-gray-600 truncate">{shareService.getShareUrl(link.token)}</p>
+                      {active && (
+                        <div className="mt-2 flex gap-2">
+                          <button
+                            onClick={() => copyLink(link)}
+                            className="px-2.5 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded hover:bg-indigo-100 transition-colors"
+                          >
+                            Copy
+                          </button>
+                          <button
+                            onClick={() => revokeLink(link)}
+                            className="px-2.5 py-1 text-xs font-medium text-red-700 bg-red-50 rounded hover:bg-red-100 transition-colors"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  )
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-6 py-3 flex justify-end rounded-b-lg">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ShareDialog
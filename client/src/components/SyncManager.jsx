@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react'
+import { designService } from '../services/designService'
+import { authService } from '../services/authService'
+import { useModal } from '../contexts/ModalContext'
+import { useNotification } from '../contexts/NotificationContext'
+
+// Keeps offline design changes flowing to the server and asks the
+// designer how to resolve conflicts. Renders a small status pill while
+// offline or while changes are still waiting to sync.
+const SyncManager = () => {
+  const [status, setStatus] = useState(designService.getSyncStatus())
+  const { openModal } = useModal()
+  const { showSuccess, showWarning, showError } = useNotification()
+
+  useEffect(() => {
+    designService.setConflictResolver((localDesign, serverDesign) => (
+      new Promise(resolve => {
+        openModal({
+          title: 'Design Changed Elsewhere',
+          message: `"${localDesign.name}" was changed on another device (saved ${new Date(serverDesign.lastModified).toLocaleString()}) while you were editing it. Keep your version or use the one saved on the server?`,
+          confirmText: 'Keep Mine',
+          cancelText: 'Use Server Version',
+          confirmButtonClass: 'bg-indigo-600 hover:bg-indigo-700',
+          onConfirm: () => resolve('local'),
+          onCancel: () => resolve('server')
+        })
+      })
+    ))
+
+    return () => designService.setConflictResolver(null)
+  }, [openModal])
+
+  useEffect(() => {
+    let previous = designService.getSyncStatus()
+
+    const unsubscribe = designService.onSyncStatusChange(next => {
+      if (previous.online && !next.online) {
+        showWarning('You are offline. Changes will be saved on this device.')
+      }
+      previous = next
+      setStatus(next)
+    })
+
+    // Rejected changes are gone for good, so say which designs they were
+    const unsubscribeSync = designService.onSyncComplete(({ synced, failed }) => {
+      if (failed.length > 0) {
+        const names = [...new Set(failed.map(change => `"${change.name}"`))].join(', ')
+        showError(
+          `Some offline changes could not be saved and were discarded: ${names}. ${failed[0].message}`,
+          10000
+        )
+      } else if (synced > 0 && designService.getSyncStatus().pending === 0) {
+        showSuccess('Offline changes synced')
+      }
+    })
+
+    if (authService.isAuthenticated()) {
+      designService.syncPendingChanges()
+    }
+
+    return () => {
+      unsubscribe()
+      unsubscribeSync()
+    }
+  }, [showSuccess, showWarning, showError])
+
+  if (status.online && status.pending === 0) {
+    return null
+  }
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 flex items-center px-3 py-1.5 bg-white rounded-full shadow-md text-sm text-gray-700">
+      <span className={`w-2.5 h-2.5 rounded-full mr-2 ${status.online ? 'bg-amber-400 animate-pulse' : 'bg-gray-400'}`}></span>
+      {status.online
+        ? `Syncing ${status.pending} change${status.pending === 1 ? '' : 's'}...`
+        : `Offline${status.pending > 0 ? ` · ${status.pending} change${status.pending === 1 ? '' : 's'} pending` : ''}`}
+    </div>
+  )
+}
+
+export default SyncManager
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { templateService } from '../services/templateService'
+import { useNotification } from '../contexts/NotificationContext'
+
+// Floor plan outline of a template, for those without a saved snapshot
+const TemplatePreview = ({ template }) => {
+  const { roomConfig, furniture } = template
+
+  if (template.thumbnail) {
+    return <img src={template.thumbnail} alt="" className="absolute inset-0 w-full h-full object-cover" />
+  }
+
+  return (
+    <div className="absolute inset-0" style={{ backgroundColor: roomConfig.color }}>
+      {furniture.map(item => (
+        <div
+          key={item.id}
+          className="absolute rounded-sm shadow-sm"
+          style={{
+            left: `${(item.x / roomConfig.width) * 100}%`,
+            top: `${(item.y / roomConfig.height) * 100}%`,
+            width: `${(item.width / roomConfig.width) * 100}%`,
+            height: `${(item.height / roomConfig.height) * 100}%`,
+            backgroundColor: item.fill || '#8B4513',
+            transform: `rotate(${item.rotation || 0}deg)`,
+            transformOrigin: 'top left'
+          }}
+        ></div>
+      ))}
+    </div>
+  )
+}
+
+// Modal shown before opening the editor for a new design: start from an
+// empty room or from one of the store's templates
+const TemplatePicker = ({ isOpen, onClose }) => {
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+  const { showSuccess, showError } = useNotification()
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const fetchTemplates = async () => {
+      try {
+        setLoading(true)
+        setTemplates(await templateService.getTemplates())
+      } catch (error) {
+        console.error('Error fetching templates:', error)
+        showError(error.message || 'Could not load templates')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchTemplates()
+  }, [isOpen, showError])
+
+  const startFrom = (template) => {
+    navigate('/editor', template ? { state: { template } } : undefined)
+  }
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return
+
+    try {
+      await templateService.deleteTemplate(template._id)
+      setTemplates(prev => prev.filter(t => t._id !== template._id))
+      showSuccess(`Deleted template ${template.name}`)
+    } catch (error) {
+      console.error('Error deleting template:', error)
+      showError(error.message || 'Could not delete template')
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 py-8">
+        <div className="fixed inset-0 bg-black/40" onClick={onClose}></div>
+
+        <div
+          className="relative bg-white rounded-lg shadow-xl w-full max-w-4xl"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="template-picker-title"
+        >
+          <div className="px-6 pt-5 pb-4 border-b border-gray-200 flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900" id="template-picker-title">
+                Start a new design
+              </h3>
+              <p className="mt-1 text-sm text-gray-500">Begin with an empty room or a ready-made layout you can change.</p>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl leading-none" aria-label="Close">
+              ×
+            </button>
+          </div>
+
+          <div className="px-6 py-5 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <button
+              onClick={() => startFrom(null)}
+              className="text-left rounded-lg border-2 border-dashed border-gray-300 hover:border-indigo-400 hover:bg-indigo-50/40 transition-colors overflow-hidden"
+            >
+              <div className="aspect-[4/3] flex items-center justify-center text-4xl text-gray-300">+</div>
+              <div className="p-3">
+                <p className="font-medium text-gray-800">Blank room</p>
+                <p className="text-xs text-gray-500">500 × 400 cm, no furniture</p>
+              </div>
+            </button>
+
+            {loading && templates.length === 0 && (
+              <div className="flex items-center justify-center py-12 sm:col-span-1 lg:col-span-2">
+                <div className="w-8 h-8 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            )}
+
+            {templates.map(template => (
+              <div
+                key={template._id}
+                className="group relative rounded-lg border border-gray-200 hover:border-indigo-400 hover:shadow-md transition-all overflow-hidden"
+              >
+                <button onClick={() => startFrom(template)} className="block w-full text-left">
+                  <div className="relative aspect-[4/3] overflow-hidden bg-gray-100">
+                    <TemplatePreview template={template} />
+                  </div>
+                  <div className="p-3">
+                    <p className="font-medium text-gray-800">{template.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {template.roomConfig.width} × {template.roomConfig.height} cm · {template.furniture.length} items
+                      {!template.builtIn && template.createdBy && ` · by ${template.createdBy.name}`}
+                    </p>
+                    {template.description && <p className="mt-1 text-sm text-gray-600">{template.description}</p>}
+                  </div>
+                </button>
+                {template.canDelete && (
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="absolute top-2 right-2 hidden group-hover:block px-2 py-1 text-xs text-red-700 bg-white/90 rounded shadow-sm hover:bg-red-50"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TemplatePicker
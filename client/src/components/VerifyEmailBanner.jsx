@@ -0,0 +1,42 @@
+import { useState } from 'react'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+// Reminds users who haven't confirmed their email yet, with a way to get
+// a new link
+const VerifyEmailBanner = () => {
+  const [sending, setSending] = useState(false)
+  const { showSuccess, showError } = useNotification()
+  const user = authService.getCurrentUser()
+
+  if (authService.isEmailVerified()) return null
+
+  const handleResend = async () => {
+    try {
+      setSending(true)
+      await authService.resendVerification(user.email)
+      showSuccess(`We sent a new link to ${user.email}`)
+    } catch (error) {
+      showError(error.message || 'Could not send the confirmation email')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 text-amber-800 text-sm print:hidden">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center gap-x-2">
+        <span>Confirm your email address to share designs. Check {user?.email} for the link we sent.</span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-medium underline hover:text-amber-900 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend link'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailBanner
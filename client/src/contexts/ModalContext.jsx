@@ -5,31 +5,35 @@ const ModalContext = createContext()
 
 export const useModal = () => useContext(ModalContext)
 
+const defaultModalConfig = {
+  isOpen: false,
+  title: '',
+  message: '',
+  confirmText: 'Confirm',
+  cancelText: 'Cancel',
+  onConfirm: () => {},
+  onCancel: () => {},
+  confirmButtonClass: 'bg-red-600 hover:bg-red-700'
+}
+
 export const ModalProvider = ({ children }) => {
-  const [modalConfig, setModalConfig] = useState({
-    isOpen: false,
-    title: '',
-    message: '',
-    confirmText: 'Confirm',
-    cancelText: 'Cancel',
-    onConfirm: () => {},
-    confirmButtonClass: 'bg-red-600 hover:bg-red-700'
-  })
+  const [modalConfig, setModalConfig] = useState(defaultModalConfig)
   
+  // Start from the defaults so options from a previous modal don't leak in
   const openModal = useCallback((config) => {
     setModalConfig({
-      ...modalConfig,
+      ...defaultModalConfig,
       isOpen: true,
       ...config
     })
-  }, [modalConfig])
+  }, [])
   
   const closeModal = useCallback(() => {
-    setModalConfig({
-      ...modalConfig,
+    setModalConfig(prev => ({
+      ...prev,
       isOpen: false
-    })
-  }, [modalConfig])
+    }))
+  }, [])
   
   // Shorthand method for confirmation dialogs
   const confirm = useCallback((
@@ -57,6 +61,7 @@ export const ModalProvider = ({ children }) => {
         confirmText={modalConfig.confirmText}
         cancelText={modalConfig.cancelText}
         onConfirm={modalConfig.onConfirm}
+        onCancel={modalConfig.onCancel}
         confirmButtonClass={modalConfig.confirmButtonClass}
       />
     </ModalContext.Provider>
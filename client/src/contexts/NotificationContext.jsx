@@ -8,9 +8,10 @@ export const useNotification = () => useContext(NotificationContext)
 export const NotificationProvider = ({ children }) => {
   const [notifications, setNotifications] = useState([])
   
-  const addNotification = useCallback((message, type = 'info', duration = 3000) => {
+  // `action` is an optional `{ label, onClick }` button, e.g. to undo
+  const addNotification = useCallback((message, type = 'info', duration = 3000, action = null) => {
     const id = Date.now()
-    setNotifications(prev => [...prev, { id, message, type, duration }])
+    setNotifications(prev => [...prev, { id, message, type, duration, action }])
     return id
   }, [])
   
@@ -19,20 +20,20 @@ export const NotificationProvider = ({ children }) => {
   }, [])
   
   // Helper methods for different notification types
-  const showSuccess = useCallback((message, duration) => {
-    return addNotification(message, 'success', duration)
+  const showSuccess = useCallback((message, duration, action) => {
+    return addNotification(message, 'success', duration, action)
   }, [addNotification])
   
-  const showError = useCallback((message, duration) => {
-    return addNotification(message, 'error', duration)
+  const showError = useCallback((message, duration, action) => {
+    return addNotification(message, 'error', duration, action)
   }, [addNotification])
   
-  const showWarning = useCallback((message, duration) => {
-    return addNotification(message, 'warning', duration)
+  const showWarning = useCallback((message, duration, action) => {
+    return addNotification(message, 'warning', duration, action)
   }, [addNotification])
   
-  const showInfo = useCallback((message, duration) => {
-    return addNotification(message, 'info', duration)
+  const showInfo = useCallback((message, duration, action) => {
+    return addNotification(message, 'info', duration, action)
   }, [addNotification])
   
   return (
@@ -52,6 +53,7 @@ export const NotificationProvider = ({ children }) => {
             message={notification.message}
             type={notification.type}
             duration={notification.duration}
+            action={notification.action}
             onClose={() => removeNotification(notification.id)}
           />
         ))}
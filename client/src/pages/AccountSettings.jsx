@@ -0,0 +1,340 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Layout from '../components/Layout'
+import { authService } from '../services/authService'
+import { designCache } from '../services/designCache'
+import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+
+const inputClass = 'block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent'
+
+const isStrongPassword = (password) => password.length >= 8 && /[a-z]/i.test(password) && /[0-9]/.test(password)
+
+const FieldError = ({ message }) => message ? <p className="mt-1 text-sm text-red-600">{message}</p> : null
+
+// The signed-in user's name, email, password and account deletion
+const AccountSettings = () => {
+  const [profile, setProfile] = useState(() => authService.getCurrentUser())
+  const [profileForm, setProfileForm] = useState({ name: '', email: '', currentPassword: '' })
+  const [profileErrors, setProfileErrors] = useState({})
+  const [savingProfile, setSavingProfile] = useState(false)
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
+  const [passwordErrors, setPasswordErrors] = useState({})
+  const [savingPassword, setSavingPassword] = useState(false)
+  const [deleteForm, setDeleteForm] = useState({ password: '', designs: 'delete', transferTo: '' })
+  const [deleteErrors, setDeleteErrors] = useState({})
+  const [deleting, setDeleting] = useState(false)
+  const navigate = useNavigate()
+  const { showSuccess, showError } = useNotification()
+  const { confirm } = useModal()
+
+  // The stored user may be missing changes made elsewhere, like a confirmed email
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const latest = await authService.getProfile()
+        setProfile(authService.updateCurrentUser({
+          name: latest.name,
+          email: latest.email,
+          pendingEmail: latest.pendingEmail,
+          emailVerified: latest.emailVerified,
+        }))
+      } catch (error) {
+        console.error('Error fetching profile:', error)
+      }
+    }
+
+    fetchProfile()
+  }, [])
+
+  useEffect(() => {
+    setProfileForm({ name: profile?.name || '', email: profile?.email || '', currentPassword: '' })
+  }, [profile])
+
+  const emailChanged = profileForm.email.trim().toLowerCase() !== profile?.email
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+    setProfileErrors({})
+
+    try {
+      setSavingProfile(true)
+      const updated = await authService.updateProfile({
+        name: profileForm.name,
+        ...(emailChanged && { email: profileForm.email, currentPassword: profileForm.currentPassword }),
+      })
+      setProfile(authService.getCurrentUser())
+      showSuccess(updated.message)
+    } catch (error) {
+      setProfileErrors(error.fieldErrors || {})
+      showError(error.message || 'Could not update your profile')
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  // Sending the current email again drops the pending change
+  const handleCancelEmailChange = async () => {
+    try {
+      await authService.updateProfile({ email: profile.email })
+      setProfile(authService.getCurrentUser())
+      showSuccess('Email change cancelled')
+    } catch (error) {
+      showError(error.message || 'Could not cancel the email change')
+    }
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+    setPasswordErrors({})
+
+    if (!isStrongPassword(passwordForm.newPassword)) {
+      setPasswordErrors({ newPassword: 'Password must be at least 8 characters and contain both letters and numbers' })
+      return
+    }
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordErrors({ confirmPassword: 'Passwords do not match' })
+      return
+    }
+
+    try {
+      setSavingPassword(true)
+      const result = await authService.changePassword(passwordForm.currentPassword, passwordForm.newPassword)
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      showSuccess(`${result.message}. Other devices have been logged out.`)
+    } catch (error) {
+      setPasswordErrors(error.fieldErrors || {})
+      showError(error.message || 'Could not change your password')
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  const handleDeleteSubmit = (e) => {
+    e.preventDefault()
+    setDeleteErrors({})
+
+    const transferring = deleteForm.designs === 'transfer'
+    confirm(
+      transferring
+        ? `Delete your account and give your designs to ${deleteForm.transferTo}? Designs in your trash are deleted. This cannot be undone.`
+        : 'Delete your account and all of your designs, including their history, share links and quotes? This cannot be undone.',
+      async () => {
+        try {
+          setDeleting(true)
+          await authService.deleteAccount(deleteForm)
+          designCache.clear()
+          await authService.logout()
+          showSuccess('Your account has been deleted')
+          navigate('/login', { replace: true })
+        } catch (error) {
+          setDeleteErrors(error.fieldErrors || {})
+          showError(error.message || 'Could not delete your account')
+          setDeleting(false)
+        }
+      },
+      'Delete Account',
+      { confirmText: 'Delete account' }
+    )
+  }
+
+  return (
+    <Layout title="Account Settings">
+      <div className="pt-6 pb-12 max-w-2xl">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-800">Account Settings</h1>
+          <p className="text-gray-500 text-sm">Your name and email are shown to people you work on designs with</p>
+        </div>
+
+        <form onSubmit={handleProfileSubmit} className="bg-white rounded-xl shadow-md p-5 mb-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-800">Profile</h2>
+
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              id="name"
+              type="text"
+              required
+              maxLength={60}
+              value={profileForm.name}
+              onChange={(e) => setProfileForm(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={profileErrors.name} />
+          </div>
+
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+            <input
+              id="email"
+              type="email"
+              required
+              value={profileForm.email}
+              onChange={(e) => setProfileForm(prev => ({ ...prev, email: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={profileErrors.email} />
+            {profile?.pendingEmail && (
+              <p className="mt-2 text-sm text-amber-800 bg-amber-50 rounded p-2">
+                Waiting for you to confirm <span className="font-medium">{profile.pendingEmail}</span> from the link we sent to it.{' '}
+                <button type="button" onClick={handleCancelEmailChange} className="font-medium underline">
+                  Cancel change
+                </button>
+              </p>
+            )}
+          </div>
+
+          {emailChanged && (
+            <div>
+              <label htmlFor="profileCurrentPassword" className="block text-sm font-medium text-gray-700">Current password</label>
+              <input
+                id="profileCurrentPassword"
+                type="password"
+                required
+                autoComplete="current-password"
+                value={profileForm.currentPassword}
+                onChange={(e) => setProfileForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+                className={inputClass}
+              />
+              <FieldError message={profileErrors.currentPassword} />
+              <p className="mt-1 text-xs text-gray-500">We'll send a link to the new address; your email changes once you open it.</p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={savingProfile}
+            className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            {savingProfile ? 'Saving...' : 'Save profile'}
+          </button>
+        </form>
+
+        <form onSubmit={handlePasswordSubmit} className="bg-white rounded-xl shadow-md p-5 mb-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-800">Password</h2>
+
+          <div>
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700">Current password</label>
+            <input
+              id="currentPassword"
+              type="password"
+              required
+              autoComplete="current-password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={passwordErrors.currentPassword} />
+          </div>
+
+          <div>
+            <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">New password</label>
+            <input
+              id="newPassword"
+              type="password"
+              required
+              autoComplete="new-password"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={passwordErrors.newPassword} />
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm new password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              required
+              autoComplete="new-password"
+              value={passwordForm.confirmPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={passwordErrors.confirmPassword} />
+          </div>
+
+          <button
+            type="submit"
+            disabled={savingPassword}
+            className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            {savingPassword ? 'Saving...' : 'Change password'}
+          </button>
+        </form>
+
+        <form onSubmit={handleDeleteSubmit} className="bg-white rounded-xl shadow-md p-5 space-y-4 border border-red-200">
+          <div>
+            <h2 className="text-lg font-semibold text-red-700">Delete account</h2>
+            <p className="text-sm text-gray-500">You will be logged out everywhere and lose access to designs shared with you.</p>
+          </div>
+
+          <fieldset className="space-y-2">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Your designs</legend>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="designs"
+                value="delete"
+                checked={deleteForm.designs === 'delete'}
+                onChange={(e) => setDeleteForm(prev => ({ ...prev, designs: e.target.value }))}
+              />
+              Delete them
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="designs"
+                value="transfer"
+                checked={deleteForm.designs === 'transfer'}
+                onChange={(e) => setDeleteForm(prev => ({ ...prev, designs: e.target.value }))}
+              />
+              Give them to a colleague
+            </label>
+          </fieldset>
+
+          {deleteForm.designs === 'transfer' && (
+            <div>
+              <label htmlFor="transferTo" className="block text-sm font-medium text-gray-700">Colleague's email</label>
+              <input
+                id="transferTo"
+                type="email"
+                required
+                value={deleteForm.transferTo}
+                onChange={(e) => setDeleteForm(prev => ({ ...prev, transferTo: e.target.value }))}
+                className={inputClass}
+              />
+              <FieldError message={deleteErrors.transferTo} />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              id="deletePassword"
+              type="password"
+              required
+              autoComplete="current-password"
+              value={deleteForm.password}
+              onChange={(e) => setDeleteForm(prev => ({ ...prev, password: e.target.value }))}
+              className={inputClass}
+            />
+            <FieldError message={deleteErrors.password} />
+          </div>
+
+          <button
+            type="submit"
+            disabled={deleting}
+            className="px-4 py-2 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors"
+          >
+            {deleting ? 'Deleting...' : 'Delete account'}
+          </button>
+        </form>
+      </div>
+    </Layout>
+  )
+}
+
+export default AccountSettings
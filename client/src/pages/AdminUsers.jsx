@@ -0,0 +1,505 @@
+import { useState, useEffect, useCallback } from 'react'
+import Layout from '../components/Layout'
+import { adminService } from '../services/adminService'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+
+const ROLE_LABELS = {
+  designer: 'Designer',
+  store_manager: 'Store manager',
+  admin: 'Admin'
+}
+
+// Admin area for store managers and admins: deactivate accounts, reset
+// passwords and hand a departed designer's designs to someone else. Lists
+// the users of the current store; admins can also open stores and choose
+// which stores each user works in.
+const AdminUsers = () => {
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [reassigning, setReassigning] = useState(null)
+  const [reassignTo, setReassignTo] = useState('')
+  const [allStores, setAllStores] = useState([])
+  const [newStoreName, setNewStoreName] = useState('')
+  const [editingStores, setEditingStores] = useState(null)
+  const [selectedStores, setSelectedStores] = useState([])
+  const [storeDrafts, setStoreDrafts] = useState({})
+  const { showSuccess, showError } = useNotification()
+  const { confirm } = useModal()
+  const currentUser = authService.getCurrentUser()
+  const isAdmin = currentUser?.role === 'admin'
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setUsers(await adminService.getUsers(query))
+    } catch (error) {
+      console.error('Error fetching users:', error)
+      showError(error.message || 'Could not load users')
+    } finally {
+      setLoading(false)
+    }
+  }, [query, showError])
+
+  useEffect(() => {
+    fetchUsers()
+  }, [fetchUsers])
+  
+  useEffect(() => {
+    if (!isAdmin) return
+    
+    adminService.getStores()
+      .then(setAllStores)
+      .catch(error => {
+        console.error('Error fetching stores:', error)
+        showError(error.message || 'Could not load stores')
+      })
+  }, [isAdmin, showError])
+
+  // Store managers can only manage designers
+  const canManage = (user) => user._id !== currentUser?._id && (isAdmin || user.role === 'designer')
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(user => (user._id === updated._id ? { ...user, ...updated } : user)))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setQuery(search.trim())
+  }
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      replaceUser(await adminService.updateUser(user._id, { role }))
+      showSuccess(`${user.email} is now ${ROLE_LABELS[role].toLowerCase()}`)
+    } catch (error) {
+      console.error('Error changing role:', error)
+      showError(error.message || 'Could not change role')
+    }
+  }
+
+  const handleToggleActive = (user) => {
+    const active = !user.active
+
+    const apply = async () => {
+      try {
+        replaceUser(await adminService.updateUser(user._id, { active }))
+        showSuccess(`${user.email} has been ${active ? 'reactivated' : 'deactivated'}`)
+      } catch (error) {
+        console.error('Error updating user:', error)
+        showError(error.message || 'Could not update user')
+      }
+    }
+
+    if (active) {
+      apply()
+      return
+    }
+
+    confirm(
+      `${user.email} will be signed out and will not be able to log in. Their designs are kept.`,
+      apply,
+      'Deactivate account',
+      { confirmText: 'Deactivate' }
+    )
+  }
+
+  const handleResetPassword = (user) => {
+    confirm(
+      `${user.email}'s current password will stop working and they will be emailed a link to choose a new one.`,
+      async () => {
+        try {
+          const result = await adminService.resetPassword(user._id)
+          showSuccess(result.message)
+        } catch (error) {
+          console.error('Error resetting password:', error)
+          showError(error.message || 'Could not reset password')
+        }
+      },
+      'Reset password',
+      { confirmText: 'Reset password' }
+    )
+  }
+
+  const startReassign = (user) => {
+    setEditingStores(null)
+    setReassigning(user)
+    setReassignTo('')
+  }
+  
+  const startEditStores = (user) => {
+    setReassigning(null)
+    setEditingStores(user)
+    setSelectedStores(user.stores.map(store => store._id))
+  }
+  
+  const toggleStore = (storeId) => {
+    setSelectedStores(prev => (
+      prev.includes(storeId) ? prev.filter(id => id !== storeId) : [...prev, storeId]
+    ))
+  }
+  
+  const handleSaveStores = async () => {
+    try {
+      const updated = await adminService.updateUser(editingStores._id, { stores: selectedStores })
+      // Users moved out of this store drop off the list
+      if (updated.stores.some(store => store._id === currentUser?.currentStore?._id)) {
+        replaceUser(updated)
+      } else {
+        setUsers(prev => prev.filter(user => user._id !== updated._id))
+      }
+      setEditingStores(null)
+      showSuccess(`Updated stores for ${updated.email}`)
+    } catch (error) {
+      console.error('Error updating stores:', error)
+      showError(error.message || 'Could not update stores')
+    }
+  }
+  
+  const handleCreateStore = async (e) => {
+    e.preventDefault()
+    
+    try {
+      const store = await adminService.createStore(newStoreName.trim())
+      setAllStores(prev => [...prev, store].sort((a, b) => a.name.localeCompare(b.name)))
+      // The creator joins the new store, so it can be switched to from the header
+      authService.updateCurrentUser({ stores: [...(currentUser?.stores || []), { _id: store._id, name: store.name }] })
+      setNewStoreName('')
+      showSuccess(`Opened ${store.name}`)
+    } catch (error) {
+      console.error('Error creating store:', error)
+      showError(error.message || 'Could not create store')
+    }
+  }
+
+  // Unsaved tax rate and currency edits, by store id
+  const storeSetting = (store, key) => storeDrafts[store._id]?.[key] ?? store[key]
+
+  const editStoreSetting = (store, key, value) => {
+    setStoreDrafts(prev => ({ ...prev, [store._id]: { ...prev[store._id], [key]: value } }))
+  }
+
+  const handleSaveStoreSettings = async (store) => {
+    const draft = storeDrafts[store._id]
+    const changes = {}
+    if (draft.taxRate !== undefined) changes.taxRate = Number(draft.taxRate)
+    if (draft.currency !== undefined) changes.currency = draft.currency.trim()
+
+    try {
+      const updated = await adminService.updateStore(store._id, changes)
+      setAllStores(prev => prev.map(s => (s._id === updated._id ? updated : s)))
+      setStoreDrafts(prev => {
+        const next = { ...prev }
+        delete next[store._id]
+        return next
+      })
+      showSuccess(`Updated ${updated.name}`)
+    } catch (error) {
+      console.error('Error updating store:', error)
+      const fieldMessages = error.fieldErrors && Object.values(error.fieldErrors)
+      showError(fieldMessages?.length ? fieldMessages.join('. ') : error.message || 'Could not update store')
+    }
+  }
+
+  const handleReassign = () => {
+    const target = users.find(user => user._id === reassignTo)
+    if (!reassigning || !target) return
+
+    confirm(
+      `Move all ${reassigning.designCount} of ${reassigning.email}'s designs to ${target.email}?`,
+      async () => {
+        try {
+          const result = await adminService.reassignDesigns(reassigning._id, target._id)
+          setUsers(prev => prev.map(user => {
+            if (user._id === reassigning._id) return { ...user, designCount: 0 }
+            if (user._id === target._id) return { ...user, designCount: user.designCount + result.reassigned }
+            return user
+          }))
+          setReassigning(null)
+          showSuccess(result.message)
+        } catch (error) {
+          console.error('Error reassigning designs:', error)
+          showError(error.message || 'Could not reassign designs')
+        }
+      },
+      'Reassign designs',
+      { confirmText: 'Move designs', confirmButtonClass: 'bg-indigo-600 hover:bg-indigo-700' }
+    )
+  }
+
+  return (
+    <Layout title="Users">
+      <div className="pt-6 pb-12">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Users</h1>
+            <p className="text-gray-500 text-sm">
+              {isAdmin ? 'Manage the accounts' : 'Manage the designers'} of {currentUser?.currentStore?.name || 'your store'}
+            </p>
+          </div>
+
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name or email"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 transition-colors"
+            >
+              Search
+            </button>
+          </form>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-md overflow-x-auto">
+          {loading ? (
+            <div className="flex justify-center py-16">
+              <div className="w-10 h-10 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          ) : users.length === 0 ? (
+            <p className="text-center text-gray-500 py-16">No users found</p>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">User</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Role</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                  {isAdmin && <th className="px-4 py-3 text-left font-medium text-gray-500">Stores</th>}
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Designs</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {users.map(user => {
+                  const manageable = canManage(user)
+
+                  return (
+                    <tr key={user._id} className={user.active ? '' : 'bg-gray-50 text-gray-400'}>
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-gray-800">{user.name}</div>
+                        <div className="text-gray-500">{user.email}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        {isAdmin && manageable ? (
+                          <select
+                            value={user.role}
+                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-700"
+                          >
+                            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          ROLE_LABELS[user.role]
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          user.active ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+                        }`}>
+                          {user.active ? 'Active' : 'Deactivated'}
+                        </span>
+                      </td>
+                      {isAdmin && (
+                        <td className="px-4 py-3">
+                          {user.stores.map(store => store.name).join(', ')}
+                          {manageable && (
+                            <button
+                              onClick={() => startEditStores(user)}
+                              className="ml-2 text-indigo-600 hover:underline"
+                            >
+                              Edit
+                            </button>
+                          )}
+                        </td>
+                      )}
+                      <td className="px-4 py-3">{user.designCount}</td>
+                      <td className="px-4 py-3">
+                        {manageable && (
+                          <div className="flex justify-end gap-2 whitespace-nowrap">
+                            <button
+                              onClick={() => handleResetPassword(user)}
+                              className="px-3 py-1 text-indigo-600 hover:bg-indigo-50 rounded-md"
+                            >
+                              Reset password
+                            </button>
+                            {user.designCount > 0 && (
+                              <button
+                                onClick={() => startReassign(user)}
+                                className="px-3 py-1 text-indigo-600 hover:bg-indigo-50 rounded-md"
+                              >
+                                Reassign designs
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleToggleActive(user)}
+                              className={`px-3 py-1 rounded-md ${
+                                user.active ? 'text-red-600 hover:bg-red-50' : 'text-green-600 hover:bg-green-50'
+                              }`}
+                            >
+                              {user.active ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {editingStores && (
+          <div className="mt-6 bg-white rounded-xl shadow-md p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Stores for {editingStores.email}</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Designs stay in the store they were created in. Reassign them first if this user leaves the store.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 mb-4">
+              {allStores.map(store => (
+                <label key={store._id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedStores.includes(store._id)}
+                    onChange={() => toggleStore(store._id)}
+                    className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  {store.name}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleSaveStores}
+                disabled={selectedStores.length === 0}
+                className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                Save stores
+              </button>
+              <button
+                onClick={() => setEditingStores(null)}
+                className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+        
+        {isAdmin && allStores.length > 0 && (
+          <div className="mt-6 bg-white rounded-xl shadow-md p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Store settings</h2>
+            <p className="text-sm text-gray-500 mb-4">Used for new price quotes. Saved quotes keep the rates they were made with.</p>
+            <div className="space-y-2">
+              {allStores.map(store => (
+                <div key={store._id} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <span className="flex-grow text-sm text-gray-800">{store.name}</span>
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    Tax
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={storeSetting(store, 'taxRate')}
+                      onChange={(e) => editStoreSetting(store, 'taxRate', e.target.value)}
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    />
+                    %
+                  </label>
+                  <input
+                    type="text"
+                    value={storeSetting(store, 'currency')}
+                    onChange={(e) => editStoreSetting(store, 'currency', e.target.value.toUpperCase())}
+                    maxLength={3}
+                    aria-label={`Currency for ${store.name}`}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm uppercase"
+                  />
+                  <button
+                    onClick={() => handleSaveStoreSettings(store)}
+                    disabled={!storeDrafts[store._id]}
+                    className="px-3 py-1 text-sm text-indigo-600 hover:bg-indigo-50 rounded-md disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {isAdmin && (
+          <form onSubmit={handleCreateStore} className="mt-6 bg-white rounded-xl shadow-md p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Open a store</h2>
+            <p className="text-sm text-gray-500 mb-4">You will be added to the new store and can switch to it from the header.</p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                value={newStoreName}
+                onChange={(e) => setNewStoreName(e.target.value)}
+                placeholder="Store name"
+                maxLength={80}
+                className="flex-grow px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={!newStoreName.trim()}
+                className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                Open store
+              </button>
+            </div>
+          </form>
+        )}
+        
+        {reassigning && (
+          <div className="mt-6 bg-white rounded-xl shadow-md p-5">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Reassign designs</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Move the {reassigning.designCount} design{reassigning.designCount === 1 ? '' : 's'} owned by {reassigning.email} to another user.
+              Existing collaborators keep their access.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <select
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="flex-grow px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+              >
+                <option value="">Choose the new owner</option>
+                {users
+                  .filter(user => user.active && user._id !== reassigning._id)
+                  .map(user => (
+                    <option key={user._id} value={user._id}>{user.name} ({user.email})</option>
+                  ))}
+              </select>
+              <button
+                onClick={handleReassign}
+                disabled={!reassignTo}
+                className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                Move designs
+              </button>
+              <button
+                onClick={() => setReassigning(null)}
+                className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default AdminUsers
@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react'
+import Layout from '../components/Layout'
+import ModelPreview from '../components/ModelPreview'
+import { assetService } from '../services/assetService'
+import { catalogService } from '../services/catalogService'
+import { modelService } from '../services/modelService'
+import { authService } from '../services/authService'
+import { ADMIN_ROLES } from '../services/adminService'
+import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+
+// Viewer3D draws 1 cm of the floor plan as this many scene units
+const VIEWER_UNITS_PER_CM = 0.02
+
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`
+)
+
+const formatDimensions = (size) => size.map(value => value.toFixed(2)).join(' × ')
+
+// Scale a model so its width matches the product's, standing on the floor
+const fitModelToProduct = (asset, product) => {
+  const [modelWidth] = asset.boundingBox.size
+  const scale = modelWidth > 0 ? (product.dimensions.width * VIEWER_UNITS_PER_CM) / modelWidth : 1
+  return {
+    url: asset.url,
+    scale: Number(scale.toFixed(4)),
+    yOffset: Number((-asset.boundingBox.min[1] * scale).toFixed(4))
+  }
+}
+
+// Upload, preview and delete the store's 3D models. Store managers can
+// also make a model the one a catalog product uses.
+const AssetManager = () => {
+  const [assets, setAssets] = useState([])
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [file, setFile] = useState(null)
+  const [name, setName] = useState('')
+  const [uploadError, setUploadError] = useState('')
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [previewId, setPreviewId] = useState(null)
+  const [fileInputKey, setFileInputKey] = useState(0)
+  const { showSuccess, showError } = useNotification()
+  const { confirm } = useModal()
+  const currentUser = authService.getCurrentUser()
+  const canManageCatalog = ADMIN_ROLES.includes(currentUser?.role)
+
+  useEffect(() => {
+    const fetchAssets = async () => {
+      try {
+        const [assetList, productList] = await Promise.all([
+          assetService.getAssets(),
+          canManageCatalog ? catalogService.getProducts({ includeInactive: true }) : []
+        ])
+        setAssets(assetList)
+        setProducts(productList)
+        setPreviewId(assetList[0]?.id || null)
+      } catch (error) {
+        console.error('Error fetching models:', error)
+        showError(error.message || 'Could not load models')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchAssets()
+  }, [canManageCatalog, showError])
+
+  const previewAsset = assets.find(asset => asset.id === previewId)
+
+  const handleUpload = async (e) => {
+    e.preventDefault()
+    if (!file) return
+
+    try {
+      setUploadError('')
+      setUploadProgress(0)
+      const asset = await assetService.uploadAsset(file, name.trim(), setUploadProgress)
+      setAssets(prev => [asset, ...prev])
+      setPreviewId(asset.id)
+      setFile(null)
+      setName('')
+      setFileInputKey(key => key + 1)
+      showSuccess(`Uploaded ${asset.name}`)
+    } catch (error) {
+      console.error('Error uploading model:', error)
+      setUploadError(error.fieldErrors?.model || error.message)
+    } finally {
+      setUploadProgress(null)
+    }
+  }
+
+  const handleDelete = (asset) => {
+    confirm(
+      `Delete ${asset.name}? This cannot be undone.`,
+      async () => {
+        try {
+          await assetService.deleteAsset(asset.id)
+          setAssets(prev => prev.filter(a => a.id !== asset.id))
+          if (previewId === asset.id) setPreviewId(null)
+          showSuccess(`Deleted ${asset.name}`)
+        } catch (error) {
+          console.error('Error deleting model:', error)
+          showError(error.message || 'Could not delete model')
+        }
+      },
+      'Delete model',
+      { confirmText: 'Delete' }
+    )
+  }
+
+  const handleAssign = async (asset, productId) => {
+    const product = products.find(p => p._id === productId)
+    if (!product) return
+
+    try {
+      const updated = await catalogService.updateProduct(product._id, { model: fitModelToProduct(asset, product) })
+      setProducts(prev => prev.map(p => (p._id === updated._id ? updated : p)))
+      showSuccess(`${product.name} now uses ${asset.name}`)
+    } catch (error) {
+      console.error('Error assigning model:', error)
+      showError(error.message || 'Could not assign model')
+    }
+  }
+
+  const productsUsing = (asset) => products.filter(product => product.model?.url === asset.url)
+
+  return (
+    <Layout title="3D Models">
+      <div className="pt-6 pb-12">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-800">3D Models</h1>
+          <p className="text-gray-500 text-sm">Upload .glb or .gltf files (up to 20 MB) for the furniture shown in 3D</p>
+        </div>
+
+        <form onSubmit={handleUpload} className="bg-white rounded-xl shadow-md p-5 mb-6">
+          <div className="flex flex-col md:flex-row gap-3">
+            <input
+              key={fileInputKey}
+              type="file"
+              accept=".glb,.gltf,model/gltf-binary,model/gltf+json"
+              onChange={(e) => {
+                setFile(e.target.files[0] || null)
+                setUploadError('')
+              }}
+              className="flex-grow text-sm text-gray-600 file:mr-3 file:px-4 file:py-2 file:rounded-md file:border-0 file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+            />
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name (defaults to the file name)"
+              maxLength={80}
+              className="md:w-64 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={!file || uploadProgress !== null}
+              className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {uploadProgress !== null ? `Uploading ${Math.round(uploadProgress * 100)}%` : 'Upload'}
+            </button>
+          </div>
+          {uploadError && <p className="mt-2 text-sm text-red-600">{uploadError}</p>}
+        </form>
+
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="w-10 h-10 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : assets.length === 0 ? (
+          <p className="text-center text-gray-500 py-16 bg-white rounded-xl shadow-md">No models uploaded yet</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 space-y-3">
+              {assets.map(asset => {
+                const usedBy = productsUsing(asset)
+
+                return (
+                  <div
+                    key={asset.id}
+                    className={`bg-white rounded-xl shadow-sm border p-4 ${
+                      asset.id === previewId ? 'border-indigo-400' : 'border-transparent'
+                    }`}
+                  >
+                    <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                      <button onClick={() => setPreviewId(asset.id)} className="text-left">
+                        <h3 className="font-medium text-gray-800">
+                          {asset.name}
+                          <span className="ml-2 text-xs uppercase text-gray-400">{asset.format}</span>
+                        </h3>
+                        <p className="text-sm text-gray-500">
+                          {formatSize(asset.size)} · {asset.triangleCount.toLocaleString()} triangles · {asset.meshCount} mesh{asset.meshCount === 1 ? '' : 'es'}
+                        </p>
+                        <p className="text-sm text-gray-500">Size {formatDimensions(asset.boundingBox.size)} (model units)</p>
+                        <p className="text-xs text-gray-400 mt-1">
+                          Uploaded by {asset.uploadedBy?.name || 'unknown'} on {new Date(asset.createdAt).toLocaleDateString()}
+                        </p>
+                        {usedBy.length > 0 && (
+                          <p className="text-xs text-indigo-600 mt-1">Used by {usedBy.map(p => p.name).join(', ')}</p>
+                        )}
+                      </button>
+
+                      <div className="flex flex-wrap gap-2 sm:justify-end">
+                        {canManageCatalog && products.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => handleAssign(asset, e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white text-gray-700"
+                          >
+                            <option value="">Use for product…</option>
+                            {products.map(product => (
+                              <option key={product._id} value={product._id}>
+                                {product.name} ({product.sku}){product.active ? '' : ' – discontinued'}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                        {(canManageCatalog || asset.uploadedBy?._id === currentUser?._id) && (
+                          <button
+                            onClick={() => handleDelete(asset)}
+                            className="px-3 py-1 text-sm text-red-600 hover:bg-red-50 rounded-md"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+
+            <div className="lg:sticky lg:top-24 self-start bg-white rounded-xl shadow-md p-4">
+              <h2 className="font-medium text-gray-800 mb-3">{previewAsset ? previewAsset.name : 'Preview'}</h2>
+              {previewAsset ? (
+                <ModelPreview
+                  url={modelService.resolveModelUrl(previewAsset.url)}
+                  className="h-72 rounded-lg overflow-hidden"
+                />
+              ) : (
+                <p className="text-sm text-gray-500">Choose a model to preview it</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default AssetManager
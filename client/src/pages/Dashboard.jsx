@@ -1,42 +1,204 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { Link } from 'react-router-dom'
 import Layout from '../components/Layout'
+import ShareDialog from '../components/ShareDialog'
+import CollaboratorsDialog from '../components/CollaboratorsDialog'
+import OrganizeDialog from '../components/OrganizeDialog'
+import DesignSidebar from '../components/DesignSidebar'
+import TemplatePicker from '../components/TemplatePicker'
+import DesignThumbnail from '../components/DesignThumbnail'
 import { designService } from '../services/designService'
+import { catalogService } from '../services/catalogService'
+import { folderService } from '../services/folderService'
 import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+
+const PAGE_SIZE = 12
+
+const SORT_OPTIONS = [
+  { value: 'updated', label: 'Last modified' },
+  { value: 'name', label: 'Name' },
+  { value: 'items', label: 'Most items' }
+]
+
+const SIZE_OPTIONS = [
+  { value: 'small', label: 'Small (under 12 m²)' },
+  { value: 'medium', label: 'Medium (12–25 m²)' },
+  { value: 'large', label: 'Large (over 25 m²)' }
+]
+
+const NO_FILTERS = { search: '', size: '', category: '', folder: '', tag: '', favorite: '' }
 
 const Dashboard = () => {
   const [designs, setDesigns] = useState([])
+  const [sharedDesigns, setSharedDesigns] = useState([])
   const [loading, setLoading] = useState(true)
-  const { showError } = useNotification()
+  const [fetching, setFetching] = useState(false)
+  const [sharingDesign, setSharingDesign] = useState(null)
+  const [collaboratingDesign, setCollaboratingDesign] = useState(null)
+  const [organizingDesign, setOrganizingDesign] = useState(null)
+  const [pickingTemplate, setPickingTemplate] = useState(false)
+  const [folders, setFolders] = useState([])
+  const [tags, setTags] = useState([])
+  const { showSuccess, showError } = useNotification()
+  const { confirm } = useModal()
+  
+  // Search, filters, sort and paging of "Your Designs"
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState(NO_FILTERS)
+  const [sort, setSort] = useState('updated')
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [categories, setCategories] = useState([])
+  const [refreshKey, setRefreshKey] = useState(0)
+  const hasFilters = Object.values(filters).some(Boolean)
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  // Sidebar views replace each other: one folder, one tag or favourites
+  const selectView = ({ folder = '', tag = '', favorite = '' }) => {
+    setFilters(prev => ({ ...prev, folder, tag, favorite }))
+    setPage(1)
+  }
+
+  const clearFilters = () => {
+    setSearchInput('')
+    setFilters(NO_FILTERS)
+    setPage(1)
+  }
 
-  // Fetch user's designs
+  // Search once typing pauses
   useEffect(() => {
+    const term = searchInput.trim()
+    if (term === filters.search) return
+
+    const timer = setTimeout(() => updateFilter('search', term), 300)
+    return () => clearTimeout(timer)
+  }, [searchInput, filters.search])
+
+  // Fetch a page of the user's designs
+  useEffect(() => {
+    let cancelled = false
+
     const fetchDesigns = async () => {
       try {
-        const data = await designService.getDesigns()
-        setDesigns(data)
+        setFetching(true)
+        const query = { sort, page, limit: PAGE_SIZE }
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) query[key] = value
+        })
+
+        const result = await designService.getDesigns(query)
+        if (cancelled) return
+
+        // Deleting the last design on the last page leaves it empty
+        if (result.designs.length === 0 && page > result.pages) {
+          setPage(result.pages)
+          return
+        }
+
+        setDesigns(result.designs)
+        setPages(result.pages)
+        setTotal(result.total)
       } catch (error) {
         console.error('Error fetching designs:', error)
         showError('Could not load designs')
       } finally {
-        setLoading(false)
+        if (!cancelled) {
+          setLoading(false)
+          setFetching(false)
+        }
       }
     }
 
     fetchDesigns()
-  }, [showError])
+    return () => { cancelled = true }
+  }, [filters, sort, page, refreshKey, showError])
 
-  // Delete a design
-  const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this design?')) return
+  // Folders and tags for the sidebar, with their design counts
+  const fetchSidebar = useCallback(async () => {
+    try {
+      const [folderList, tagList] = await Promise.all([folderService.getFolders(), designService.getTags()])
+      setFolders(folderList)
+      setTags(tagList)
+    } catch (error) {
+      console.error('Error fetching folders and tags:', error)
+    }
+  }, [])
 
+  useEffect(() => {
+    fetchSidebar()
+  }, [fetchSidebar])
+
+  // Shared designs and the furniture types to filter by
+  useEffect(() => {
+    designService.getSharedDesigns()
+      .then(setSharedDesigns)
+      .catch(error => console.error('Error fetching shared designs:', error))
+
+    catalogService.getProducts()
+      .then(products => setCategories([...new Set(products.map(product => product.category))]))
+      .catch(error => console.error('Error fetching catalog:', error))
+  }, [])
+
+  // Put a deleted design back where it was
+  const handleUndoDelete = useCallback(async (design) => {
     try {
-      await designService.deleteDesign(id)
-      setDesigns(designs.filter(design => design.id !== id))
+      await designService.restoreDesign(design)
+      setRefreshKey(key => key + 1)
+      fetchSidebar()
     } catch (error) {
-      console.error('Error deleting design:', error)
-      showError('Could not delete design')
+      console.error('Error restoring design:', error)
+      showError(error.message || 'Could not restore design')
     }
+  }, [fetchSidebar, showError])
+
+  // Move a design to the trash
+  const handleDelete = (design) => {
+    confirm(
+      `Move "${design.name}" to the trash? You can restore it from there until the trash is emptied.`,
+      async () => {
+        try {
+          await designService.deleteDesign(design.id)
+          setRefreshKey(key => key + 1)
+          fetchSidebar()
+          showSuccess(`Moved "${design.name}" to the trash`, 6000, {
+            label: 'Undo',
+            onClick: () => handleUndoDelete(design)
+          })
+        } catch (error) {
+          console.error('Error deleting design:', error)
+          showError(error.message || 'Could not delete design')
+        }
+      },
+      'Delete Design',
+      { confirmText: 'Move to Trash' }
+    )
+  }
+
+  // Star or unstar a design
+  const toggleFavorite = async (design) => {
+    try {
+      const updated = await designService.organizeDesign(design.id, { favorite: !design.favorite })
+      if (filters.favorite && !updated.favorite) {
+        setRefreshKey(key => key + 1)
+      } else {
+        setDesigns(prev => prev.map(d => (d.id === updated.id ? { ...d, favorite: updated.favorite } : d)))
+      }
+    } catch (error) {
+      console.error('Error starring design:', error)
+      showError(error.message || 'Could not update favourites')
+    }
+  }
+
+  // Folder or tags changed in the organise dialog
+  const handleOrganized = () => {
+    setRefreshKey(key => key + 1)
+    fetchSidebar()
   }
 
   // Generate a random gradient for design cards
@@ -77,149 +239,348 @@ const Dashboard = () => {
             <div className="max-w-4xl">
               <h1 className="text-3xl md:text-4xl font-bold text-white mb-4">Welcome to your Design Studio</h1>
               <p className="text-indigo-100 text-lg mb-6">Create, manage, and visualize your furniture layouts in 2D and 3D</p>
-              <Link
-                to="/editor"
+              <button
+                onClick={() => setPickingTemplate(true)}
                 className="inline-flex items-center px-6 py-3 rounded-full bg-white text-indigo-700 font-medium text-base shadow-lg hover:shadow-xl transition duration-300 transform hover:scale-105"
               >
                 <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
                 </svg>
                 Create New Design
-              </Link>
+              </button>
             </div>
           </div>
 
-          {/* Designs Section */}
-          <div className="mb-8">
-            <div className="flex justify-between items-center mb-6">
-              <h2 className="text-2xl font-bold text-gray-800">Your Designs</h2>
-              <div className="flex space-x-2">
-                <Link
-                  to="/editor"
-                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2 shadow-md"
-                >
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4"></path>
-                  </svg>
-                  New Design
-                </Link>
-              </div>
+          {/* Designs Section, with folders and tags alongside */}
+          <div className="mb-8 lg:flex lg:items-start gap-8">
+            <div className="lg:w-64 flex-shrink-0 mb-6 lg:mb-0">
+              <DesignSidebar
+                folders={folders}
+                tags={tags}
+                view={filters}
+                onSelect={selectView}
+                onFoldersChanged={handleOrganized}
+              />
             </div>
-
-            {/* Designs Grid */}
-            {designs.length === 0 ? (
-              <div className="text-center py-16 bg-white rounded-3xl shadow-md">
-                <div className="inline-flex items-center justify-center w-16 h-16 bg-indigo-100 rounded-full mb-4">
-                  <svg className="w-8 h-8 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 13h6m-3-3v6m5 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
+            
+            <div className="flex-grow min-w-0">
+              <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">
+                  Your Designs
+                  {total > 0 && <span className="ml-2 text-base font-normal text-gray-500">({total})</span>}
+                </h2>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setPickingTemplate(true)}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2 shadow-md"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4"></path>
+                    </svg>
+                    New Design
+                  </button>
                 </div>
-                <h3 className="text-xl font-medium text-gray-900 mb-2">No designs yet</h3>
-                <p className="text-gray-500 mb-8 max-w-md mx-auto">Start creating beautiful room layouts with our intuitive design tools.</p>
-                <Link
-                  to="/editor"
-                  className="inline-flex items-center px-6 py-3 border border-transparent rounded-full shadow-md text-base font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 transition-all duration-300 transform hover:scale-105"
+              </div>
+
+              {/* Search, filters and sort */}
+              <div className="flex flex-col md:flex-row gap-3 mb-6">
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search designs by name"
+                  className="flex-grow px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+                <select
+                  value={filters.size}
+                  onChange={(e) => updateFilter('size', e.target.value)}
+                  aria-label="Room size"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-700"
                 >
-                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-                  </svg>
-                  Create Your First Design
-                </Link>
+                  <option value="">Any room size</option>
+                  {SIZE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={filters.category}
+                  onChange={(e) => updateFilter('category', e.target.value)}
+                  aria-label="Furniture type"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-700"
+                >
+                  <option value="">Any furniture</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>With {category.toLowerCase()}</option>
+                  ))}
+                </select>
+                <select
+                  value={sort}
+                  onChange={(e) => {
+                    setSort(e.target.value)
+                    setPage(1)
+                  }}
+                  aria-label="Sort by"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-700"
+                >
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                  ))}
+                </select>
               </div>
-            ) : (
-              <div className="grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-3">
-                {designs.map((design, index) => {
-                  // Use a consistent gradient for each design based on index
-                  const gradientClass = `from-${['purple', 'blue', 'cyan', 'teal', 'green', 'amber', 'orange', 'pink'][index % 8]}-500 to-${['indigo', 'cyan', 'blue', 'emerald', 'teal', 'orange', 'red', 'rose'][index % 8]}-600`;
+
+              {/* Designs Grid */}
+              {designs.length === 0 && hasFilters ? (
+                <div className="text-center py-16 bg-white rounded-3xl shadow-md">
+                  <h3 className="text-xl font-medium text-gray-900 mb-2">No designs match</h3>
+                  <p className="text-gray-500 mb-6">Try a different search or fewer filters.</p>
+                  <button
+                    onClick={clearFilters}
+                    className="px-4 py-2 text-sm font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition-colors"
+                  >
+                    Clear filters
+                  </button>
+                </div>
+              ) : designs.length === 0 ? (
+                <div className="text-center py-16 bg-white rounded-3xl shadow-md">
+                  <div className="inline-flex items-center justify-center w-16 h-16 bg-indigo-100 rounded-full mb-4">
+                    <svg className="w-8 h-8 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 13h6m-3-3v6m5 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                  </div>
+                  <h3 className="text-xl font-medium text-gray-900 mb-2">No designs yet</h3>
+                  <p className="text-gray-500 mb-8 max-w-md mx-auto">Start creating beautiful room layouts with our intuitive design tools.</p>
+                  <button
+                    onClick={() => setPickingTemplate(true)}
+                    className="inline-flex items-center px-6 py-3 border border-transparent rounded-full shadow-md text-base font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 transition-all duration-300 transform hover:scale-105"
+                  >
+                    <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+                    </svg>
+                    Create Your First Design
+                  </button>
+                </div>
+              ) : (
+                <div className={`grid grid-cols-1 gap-8 sm:grid-cols-2 xl:grid-cols-3 transition-opacity ${fetching ? 'opacity-60' : ''}`}>
+                  {designs.map((design, index) => {
+                    // Use a consistent gradient for each design based on index
+                    const gradientClass = `from-${['purple', 'blue', 'cyan', 'teal', 'green', 'amber', 'orange', 'pink'][index % 8]}-500 to-${['indigo', 'cyan', 'blue', 'emerald', 'teal', 'orange', 'red', 'rose'][index % 8]}-600`;
                   
-                  return (
-                    <div
-                      key={design.id}
-                      className="group bg-white rounded-xl shadow-md overflow-hidden hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1"
-                    >
-                      {/* Design Preview */}
-                      <div 
-                        className={`h-48 bg-gradient-to-r ${gradientClass} relative overflow-hidden`}
-                        style={{ 
-                          backgroundColor: design.roomConfig?.color || '#F5F5DC',
-                        }}
+                    return (
+                      <div
+                        key={design.id}
+                        className="group bg-white rounded-xl shadow-md overflow-hidden hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1"
                       >
-                        {/* Furniture items preview */}
-                        {design.furniture && design.furniture.length > 0 && (
-                          <div className="absolute inset-0 p-4">
-                            {design.furniture.map(item => (
-                              <div
-                                key={item.id}
-                                className="absolute shadow-md rounded transition-transform duration-200 group-hover:scale-105"
-                                style={{
-                                  left: `${(item.x / design.roomConfig.width) * 100}%`,
-                                  top: `${(item.y / design.roomConfig.height) * 100}%`,
-                                  width: `${(item.width / design.roomConfig.width) * 100}%`,
-                                  height: `${(item.height / design.roomConfig.height) * 100}%`,
-                                  backgroundColor: item.fill || '#8B4513',
-                                  transform: `rotate(${item.rotation || 0}deg)`,
-                                }}
-                              ></div>
-                            ))}
+                        {/* Design Preview */}
+                        <div 
+                          className={`h-48 bg-gradient-to-r ${gradientClass} relative overflow-hidden`}
+                          style={{ 
+                            backgroundColor: design.roomConfig?.color || '#F5F5DC',
+                          }}
+                        >
+                          {/* Snapshot from the last save, or an outline of the furniture */}
+                          <DesignThumbnail
+                            design={design}
+                            alt={`Preview of ${design.name}`}
+                            className="absolute inset-0 w-full h-full object-cover transition-transform duration-200 group-hover:scale-105"
+                          >
+                            {design.furniture && design.furniture.length > 0 && (
+                              <div className="absolute inset-0 p-4">
+                                {design.furniture.map(item => (
+                                  <div
+                                    key={item.id}
+                                    className="absolute shadow-md rounded transition-transform duration-200 group-hover:scale-105"
+                                    style={{
+                                      left: `${(item.x / design.roomConfig.width) * 100}%`,
+                                      top: `${(item.y / design.roomConfig.height) * 100}%`,
+                                      width: `${(item.width / design.roomConfig.width) * 100}%`,
+                                      height: `${(item.height / design.roomConfig.height) * 100}%`,
+                                      backgroundColor: item.fill || '#8B4513',
+                                      transform: `rotate(${item.rotation || 0}deg)`,
+                                    }}
+                                  ></div>
+                                ))}
+                              </div>
+                            )}
+                          </DesignThumbnail>
+                        
+                          {/* Hover overlay */}
+                          <div className="absolute inset-0 bg-black/30 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
+                            <span className="text-white text-lg font-medium">View Design</span>
                           </div>
-                        )}
                         
-                        {/* Hover overlay */}
-                        <div className="absolute inset-0 bg-black/30 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
-                          <span className="text-white text-lg font-medium">View Design</span>
-                        </div>
+                          {/* Items count badge */}
+                          <div className="absolute top-3 right-3 bg-white/90 text-gray-800 text-xs px-2 py-1 rounded-full font-medium shadow-sm">
+                            {design.furniture?.length || 0} items
+                          </div>
                         
-                        {/* Items count badge */}
-                        <div className="absolute top-3 right-3 bg-white/90 text-gray-800 text-xs px-2 py-1 rounded-full font-medium shadow-sm">
-                          {design.furniture?.length || 0} items
+                          {/* Favourite star */}
+                          <button
+                            onClick={() => toggleFavorite(design)}
+                            className={`absolute top-2 left-2 w-8 h-8 flex items-center justify-center rounded-full bg-white/90 shadow-sm text-lg leading-none transition-colors ${
+                              design.favorite ? 'text-amber-500' : 'text-gray-400 hover:text-amber-500'
+                            }`}
+                            title={design.favorite ? 'Remove from favourites' : 'Add to favourites'}
+                            aria-pressed={!!design.favorite}
+                          >
+                            {design.favorite ? '★' : '☆'}
+                          </button>
                         </div>
-                      </div>
                       
-                      {/* Design Info */}
-                      <div className="p-5">
-                        <h3 className="text-xl font-semibold text-gray-900 mb-2">{design.name}</h3>
-                        <p className="text-sm text-gray-500 mb-4">
-                          Room size: {design.roomConfig?.width}×{design.roomConfig?.height}
-                        </p>
+                        {/* Design Info */}
+                        <div className="p-5">
+                          <h3 className="text-xl font-semibold text-gray-900 mb-2">{design.name}</h3>
+                          <p className="text-sm text-gray-500 mb-4">
+                            Room size: {design.roomConfig?.width}×{design.roomConfig?.height}
+                            {design.folder && folders.some(f => f._id === design.folder) && (
+                              <> · {folders.find(f => f._id === design.folder).name}</>
+                            )}
+                          </p>
                         
-                        <div className="flex gap-2">
-                          <Link
-                            to={`/editor/${design.id}`}
-                            className="flex-1 inline-flex justify-center items-center px-4 py-2.5 text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 transition-colors shadow-sm"
-                          >
-                            <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                            </svg>
-                            Edit
-                          </Link>
+                          {design.tags?.length > 0 && (
+                            <div className="flex flex-wrap gap-1 -mt-2 mb-4">
+                              {design.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  onClick={() => selectView({ tag })}
+                                  className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full hover:bg-gray-200"
+                                >
+                                  {tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        
+                          <div className="flex gap-2">
+                            <Link
+                              to={`/editor/${design.id}`}
+                              className="flex-1 inline-flex justify-center items-center px-4 py-2.5 text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 transition-colors shadow-sm"
+                            >
+                              <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                              </svg>
+                              Edit
+                            </Link>
                           
-                          <Link
-                            to={`/viewer/${design.id}`}
-                            className="flex-1 inline-flex justify-center items-center px-4 py-2.5 text-sm font-medium rounded-lg text-white bg-purple-600 hover:bg-purple-700 transition-colors shadow-sm"
-                          >
-                            <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 10l-2 1m0 0l-2-1m2 1v2.5M20 7l-2 1m2-1l-2-1m2 1v2.5M14 4l-2-1-2 1M4 7l2-1M4 7l2 1M4 7v2.5M12 21l-2-1m2 1l2-1m-2 1v-2.5M6 18l-2-1v-2.5M18 18l2-1v-2.5" />
-                            </svg>
-                            View 3D
-                          </Link>
+                            <Link
+                              to={`/viewer/${design.id}`}
+                              className="flex-1 inline-flex justify-center items-center px-4 py-2.5 text-sm font-medium rounded-lg text-white bg-purple-600 hover:bg-purple-700 transition-colors shadow-sm"
+                            >
+                              <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 10l-2 1m0 0l-2-1m2 1v2.5M20 7l-2 1m2-1l-2-1m2 1v2.5M14 4l-2-1-2 1M4 7l2-1M4 7l2 1M4 7v2.5M12 21l-2-1m2 1l2-1m-2 1v-2.5M6 18l-2-1v-2.5M18 18l2-1v-2.5" />
+                              </svg>
+                              View 3D
+                            </Link>
                           
-                          <button
-                            onClick={() => handleDelete(design.id)}
-                            className="inline-flex justify-center items-center p-2.5 rounded-lg text-red-600 hover:bg-red-50 border border-gray-200 hover:border-red-300 transition-colors"
-                            title="Delete design"
-                          >
-                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                            </svg>
-                          </button>
+                            <button
+                              onClick={() => setOrganizingDesign(design)}
+                              className="inline-flex justify-center items-center p-2.5 rounded-lg text-amber-600 hover:bg-amber-50 border border-gray-200 hover:border-amber-300 transition-colors"
+                              title="Folder and tags"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+                              </svg>
+                            </button>
+                          
+                            <button
+                              onClick={() => setCollaboratingDesign(design)}
+                              className="inline-flex justify-center items-center p-2.5 rounded-lg text-indigo-600 hover:bg-indigo-50 border border-gray-200 hover:border-indigo-300 transition-colors"
+                              title="Manage collaborators"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                              </svg>
+                            </button>
+                          
+                            <button
+                              onClick={() => setSharingDesign(design)}
+                              className="inline-flex justify-center items-center p-2.5 rounded-lg text-green-600 hover:bg-green-50 border border-gray-200 hover:border-green-300 transition-colors"
+                              title="Share design"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+                              </svg>
+                            </button>
+                          
+                            <button
+                              onClick={() => handleDelete(design)}
+                              className="inline-flex justify-center items-center p-2.5 rounded-lg text-red-600 hover:bg-red-50 border border-gray-200 hover:border-red-300 transition-colors"
+                              title="Delete design"
+                            >
+                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                              </svg>
+                            </button>
+                          </div>
                         </div>
                       </div>
+                    );
+                  })}
+                </div>
+              )}
+            
+              {/* Pages */}
+              {pages > 1 && (
+                <div className="mt-8 flex items-center justify-center gap-4 text-sm">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1 || fetching}
+                    className="px-4 py-2 rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-gray-600">Page {page} of {pages}</span>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pages || fetching}
+                    className="px-4 py-2 rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+          
+          {/* Designs other users have invited this user to */}
+          {sharedDesigns.length > 0 && (
+            <div className="mb-8">
+              <h2 className="text-2xl font-bold text-gray-800 mb-6">Shared with me</h2>
+              
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+                {sharedDesigns.map(design => (
+                  <div key={design.id} className="bg-white rounded-xl shadow-md p-5">
+                    <div className="flex items-start justify-between gap-2 mb-2">
+                      <h3 className="text-lg font-semibold text-gray-900 truncate">{design.name}</h3>
+                      <span className={`text-xs py-0.5 px-2 rounded-full whitespace-nowrap ${
+                        design.role === 'editor' ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {design.role === 'editor' ? 'Can edit' : 'View only'}
+                      </span>
                     </div>
-                  );
-                })}
+                    <p className="text-sm text-gray-500 mb-4 truncate">
+                      Owner: {design.owner?.name || design.owner?.email || 'Unknown'}
+                      {' · '}{design.furniture?.length || 0} items
+                    </p>
+                    
+                    <div className="flex gap-2">
+                      <Link
+                        to={`/editor/${design.id}`}
+                        className="flex-1 inline-flex justify-center items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 transition-colors shadow-sm"
+                      >
+                        {design.role === 'editor' ? 'Edit' : 'Open'}
+                      </Link>
+                      <Link
+                        to={`/viewer/${design.id}`}
+                        className="flex-1 inline-flex justify-center items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-purple-600 hover:bg-purple-700 transition-colors shadow-sm"
+                      >
+                        View 3D
+                      </Link>
+                    </div>
+                  </div>
+                ))}
               </div>
-            )}
-          </div>
+            </div>
+          )}
           
           {/* Info Cards */}
           {designs.length > 0 && (
@@ -257,6 +618,32 @@ const Dashboard = () => {
           )}
         </div>
       </div>
+      
+      <ShareDialog
+        isOpen={!!sharingDesign}
+        design={sharingDesign}
+        onClose={() => setSharingDesign(null)}
+      />
+      
+      <CollaboratorsDialog
+        isOpen={!!collaboratingDesign}
+        design={collaboratingDesign}
+        onClose={() => setCollaboratingDesign(null)}
+      />
+      
+      <OrganizeDialog
+        isOpen={!!organizingDesign}
+        design={organizingDesign}
+        folders={folders}
+        knownTags={tags}
+        onClose={() => setOrganizingDesign(null)}
+        onSaved={handleOrganized}
+      />
+      
+      <TemplatePicker
+        isOpen={pickingTemplate}
+        onClose={() => setPickingTemplate(false)}
+      />
     </Layout>
   )
 }
@@ -0,0 +1,329 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import Layout from '../components/Layout'
+import { designService } from '../services/designService'
+import { quoteService } from '../services/quoteService'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const formatMoney = (amount, currency) => (
+  new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
+)
+
+// The printable part of the page: a saved quote, or the current estimate
+const QuoteDocument = ({ quote, storeName }) => {
+  const money = (amount) => formatMoney(amount, quote.currency)
+  const { discount } = quote
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 print:shadow-none print:p-0">
+      <div className="flex items-start justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">{quote.number ? `Quote ${quote.number}` : 'Estimate'}</h2>
+          <p className="text-sm text-gray-500">{storeName}</p>
+        </div>
+        <div className="text-right text-sm text-gray-600">
+          <p>{new Date(quote.createdAt || Date.now()).toLocaleDateString()}</p>
+          <p>{quote.designName} (revision {quote.designRevision})</p>
+          {quote.createdBy && <p>Prepared by {quote.createdBy.name}</p>}
+        </div>
+      </div>
+
+      <table className="min-w-full text-sm">
+        <thead className="border-b border-gray-200">
+          <tr>
+            <th className="py-2 text-left font-medium text-gray-500">Product</th>
+            <th className="py-2 text-left font-medium text-gray-500">Finish</th>
+            <th className="py-2 text-right font-medium text-gray-500">Qty</th>
+            <th className="py-2 text-right font-medium text-gray-500">Unit price</th>
+            <th className="py-2 text-right font-medium text-gray-500">Subtotal</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {quote.lineItems.map(line => (
+            <tr key={`${line.productId}-${line.finish}`}>
+              <td className="py-2">
+                <span className="text-gray-800">{line.name}</span>
+                <span className="block text-xs text-gray-400">{line.sku} · {line.category}</span>
+              </td>
+              <td className="py-2 text-gray-600">{line.finish}</td>
+              <td className="py-2 text-right text-gray-800">{line.quantity}</td>
+              <td className="py-2 text-right text-gray-800">{money(line.unitPrice)}</td>
+              <td className="py-2 text-right text-gray-800">{money(line.subtotal)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {quote.lineItems.length === 0 && (
+        <p className="py-6 text-center text-gray-500">None of the furniture in this design has a catalog price</p>
+      )}
+
+      <dl className="mt-4 ml-auto max-w-xs text-sm space-y-1">
+        <div className="flex justify-between">
+          <dt className="text-gray-600">Subtotal</dt>
+          <dd className="text-gray-800">{money(quote.subtotal)}</dd>
+        </div>
+        {discount.amount > 0 && (
+          <div className="flex justify-between">
+            <dt className="text-gray-600">Discount{discount.type === 'percent' ? ` (${discount.value}%)` : ''}</dt>
+            <dd className="text-gray-800">−{money(discount.amount)}</dd>
+          </div>
+        )}
+        <div className="flex justify-between">
+          <dt className="text-gray-600">Tax ({quote.taxRate}%)</dt>
+          <dd className="text-gray-800">{money(quote.taxAmount)}</dd>
+        </div>
+        <div className="flex justify-between pt-1 border-t border-gray-200 font-semibold">
+          <dt className="text-gray-900">Total</dt>
+          <dd className="text-gray-900">{money(quote.total)}</dd>
+        </div>
+      </dl>
+
+      {quote.unpricedItems.length > 0 && (
+        <p className="mt-6 text-xs text-gray-500">
+          Not priced (not in the catalog): {quote.unpricedItems.map(item => `${item.name} × ${item.quantity}`).join(', ')}
+        </p>
+      )}
+
+      {quote.notes && <p className="mt-4 text-sm text-gray-700 whitespace-pre-line">{quote.notes}</p>}
+    </div>
+  )
+}
+
+// Bill of materials for a design: a live estimate from the current
+// catalog, and saved quotes whose prices never change
+const DesignQuote = () => {
+  const { designId } = useParams()
+  const [design, setDesign] = useState(null)
+  const [quotes, setQuotes] = useState([])
+  const [selectedQuote, setSelectedQuote] = useState(null)
+  const [estimate, setEstimate] = useState(null)
+  const [discountType, setDiscountType] = useState('percent')
+  const [discountValue, setDiscountValue] = useState('')
+  const [notes, setNotes] = useState('')
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const { showSuccess, showError } = useNotification()
+  const storeName = authService.getCurrentUser()?.currentStore?.name || ''
+  const canSave = design && design.role !== 'viewer'
+
+  const quoteOptions = () => ({
+    discount: { type: discountType, value: Number(discountValue) || 0 },
+    notes
+  })
+
+  useEffect(() => {
+    const fetchQuotes = async () => {
+      try {
+        const [designData, quoteList] = await Promise.all([
+          designService.getDesign(designId),
+          quoteService.getQuotes(designId)
+        ])
+        setDesign(designData)
+        setQuotes(quoteList)
+      } catch (error) {
+        console.error('Error fetching quotes:', error)
+        showError(error.message || 'Could not load quotes')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchQuotes()
+  }, [designId, showError])
+
+  // Re-price the estimate as the discount changes
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const discount = { type: discountType, value: Number(discountValue) || 0 }
+        setEstimate(await quoteService.previewQuote(designId, { discount }))
+        setFieldErrors({})
+      } catch (error) {
+        if (error.fieldErrors) {
+          setFieldErrors(error.fieldErrors)
+        } else {
+          console.error('Error pricing design:', error)
+          showError(error.message || 'Could not price this design')
+        }
+      }
+    }, 300)
+
+    return () => clearTimeout(timer)
+  }, [designId, discountType, discountValue, showError])
+
+  const openQuote = async (quoteId) => {
+    try {
+      setSelectedQuote(await quoteService.getQuote(designId, quoteId))
+    } catch (error) {
+      console.error('Error loading quote:', error)
+      showError(error.message || 'Could not load quote')
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      const quote = await quoteService.createQuote(designId, quoteOptions())
+      setQuotes(prev => [quote, ...prev])
+      setSelectedQuote(quote)
+      setNotes('')
+      showSuccess(`Saved quote ${quote.number}`)
+    } catch (error) {
+      console.error('Error saving quote:', error)
+      if (error.fieldErrors) setFieldErrors(error.fieldErrors)
+      showError(error.message || 'Could not save quote')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDownload = async () => {
+    try {
+      await quoteService.downloadCsv(designId, selectedQuote)
+    } catch (error) {
+      console.error('Error downloading quote:', error)
+      showError(error.message || 'Could not download quote')
+    }
+  }
+
+  const shownQuote = selectedQuote || (estimate && { ...estimate, notes })
+
+  return (
+    <Layout title="Quote">
+      <div className="pt-6 pb-12">
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3 print:hidden">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Quote{design ? ` for ${design.name}` : ''}</h1>
+            <p className="text-gray-500 text-sm">Prices the last saved version of the design with the store&apos;s catalog</p>
+          </div>
+          <Link to={`/editor/${designId}`} className="text-sm text-indigo-600 hover:text-indigo-800">
+            Back to the editor
+          </Link>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="w-10 h-10 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="space-y-4 print:hidden">
+              <div className="bg-white rounded-xl shadow-md p-4">
+                <button
+                  onClick={() => setSelectedQuote(null)}
+                  className={`w-full text-left px-3 py-2 rounded-md text-sm ${
+                    selectedQuote ? 'text-gray-700 hover:bg-gray-50' : 'bg-indigo-50 text-indigo-700 font-medium'
+                  }`}
+                >
+                  Current estimate
+                </button>
+                {quotes.map(quote => (
+                  <button
+                    key={quote._id}
+                    onClick={() => openQuote(quote._id)}
+                    className={`w-full text-left px-3 py-2 rounded-md text-sm ${
+                      selectedQuote?._id === quote._id ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="flex justify-between gap-2">
+                      <span>{quote.number}</span>
+                      <span>{formatMoney(quote.total, quote.currency)}</span>
+                    </span>
+                    <span className="block text-xs text-gray-400">
+                      {new Date(quote.createdAt).toLocaleDateString()} · {quote.createdBy?.name || 'unknown'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+
+              {!selectedQuote && (
+                <div className="bg-white rounded-xl shadow-md p-4 space-y-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Discount</label>
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={discountValue}
+                        onChange={(e) => setDiscountValue(e.target.value)}
+                        placeholder="0"
+                        className="flex-grow px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                      />
+                      <select
+                        value={discountType}
+                        onChange={(e) => setDiscountType(e.target.value)}
+                        className="px-2 py-2 border border-gray-300 rounded-md text-sm bg-white"
+                      >
+                        <option value="percent">%</option>
+                        <option value="amount">{estimate?.currency || 'Amount'}</option>
+                      </select>
+                    </div>
+                    {fieldErrors['discount.value'] && (
+                      <p className="mt-1 text-xs text-red-600">{fieldErrors['discount.value']}</p>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                    <textarea
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                      rows={3}
+                      maxLength={500}
+                      placeholder="Delivery, lead times, validity…"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  {canSave && (
+                    <button
+                      onClick={handleSave}
+                      disabled={saving || !estimate || estimate.lineItems.length === 0}
+                      className="w-full px-4 py-2 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                    >
+                      {saving ? 'Saving...' : 'Save quote'}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => window.print()}
+                  disabled={!shownQuote}
+                  className="flex-1 px-4 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Print
+                </button>
+                <button
+                  onClick={handleDownload}
+                  disabled={!selectedQuote}
+                  title={selectedQuote ? '' : 'Save the quote to download it'}
+                  className="flex-1 px-4 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Download CSV
+                </button>
+              </div>
+            </div>
+
+            <div className="lg:col-span-2 print:col-span-3">
+              {shownQuote ? (
+                <QuoteDocument quote={shownQuote} storeName={storeName} />
+              ) : (
+                <div className="flex justify-center py-16">
+                  <div className="w-10 h-10 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default DesignQuote
@@ -1,9 +1,19 @@
 import { useState, useRef, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, useLocation } from 'react-router-dom'
 import { Stage, Layer, Rect, Transformer, Image as KonvaImage } from 'react-konva'
 import Layout from '../components/Layout'
+import RevisionHistory from '../components/RevisionHistory'
+import RevisionDiffLayer from '../components/RevisionDiffLayer'
+import ShareDialog from '../components/ShareDialog'
+import CollaboratorsDialog from '../components/CollaboratorsDialog'
+import SaveTemplateDialog from '../components/SaveTemplateDialog'
+import PresenceLayer, { PresenceList } from '../components/PresenceLayer'
 import { designService } from '../services/designService'
+import { collabService } from '../services/collabService'
+import { isLocalId } from '../services/designCache'
+import { applyFurnitureOp } from '../utils/furnitureOps'
 import { modelService } from '../services/modelService'
+import { catalogService } from '../services/catalogService'
 import { useNotification } from '../contexts/NotificationContext'
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader'
@@ -22,9 +32,12 @@ const debug = (message, data = null) => {
   }
 };
 
+// Items from the same product look the same, so they share a preview
+const getPreviewKey = (item) => `${item.productId || item.name}-${item.fill}-${item.rotation || 0}`;
+
 // Update the createTopDownImage function
-const createTopDownImage = async (modelName, color, rotation) => {
-  const cacheKey = `${modelName}-${color}-${rotation}`;
+const createTopDownImage = async (modelName, color, rotation, productId) => {
+  const cacheKey = `${productId || modelName}-${color}-${rotation}`;
   
   // Check if already in cache
   if (topDownImageCache[cacheKey]) {
@@ -67,7 +80,7 @@ const createTopDownImage = async (modelName, color, rotation) => {
     renderer.setClearColor(0x000000, 0); // Transparent background
     
     // Load and prepare the model
-    const model = await modelService.loadModel(modelName);
+    const model = await modelService.loadModel(modelName, productId);
     
     // Apply color
     modelService.applyMaterial(model, color);
@@ -77,7 +90,7 @@ const createTopDownImage = async (modelName, color, rotation) => {
     model.rotation.y = rotationRadians;
     
     // Scale model appropriately
-    const config = modelService.getModelConfig(modelName);
+    const config = modelService.getModelConfig(modelName, productId);
     const scale = config.scale * topDownSettings.scale;
     model.scale.set(scale, scale, scale);
     
@@ -134,7 +147,7 @@ const preloadImage = (src) => {
 };
 
 // Add this component above the Editor2D component
-const FurnitureItem = ({ item, isSelected, onSelect, onDragEnd, onTransformEnd, imageUrl }) => {
+const FurnitureItem = ({ item, isSelected, onSelect, onDragEnd, onTransformEnd, imageUrl, draggable = true }) => {
   const [image, setImage] = useState(null);
 
   // Load the image when the URL is available
@@ -158,7 +171,7 @@ const FurnitureItem = ({ item, isSelected, onSelect, onDragEnd, onTransformEnd,
         height={item.height}
         image={image}
         rotation={item.rotation || 0}
-        draggable
+        draggable={draggable}
         onClick={() => onSelect(item.id)}
         onTap={() => onSelect(item.id)}
         perfectDrawEnabled={true}
@@ -180,7 +193,7 @@ const FurnitureItem = ({ item, isSelected, onSelect, onDragEnd, onTransformEnd,
       height={item.height}
       fill={item.fill}
       rotation={item.rotation || 0}
-      draggable
+      draggable={draggable}
       onClick={() => onSelect(item.id)}
       onTap={() => onSelect(item.id)}
       onDragEnd={onDragEnd}
@@ -189,17 +202,48 @@ const FurnitureItem = ({ item, isSelected, onSelect, onDragEnd, onTransformEnd,
   );
 };
 
+// Dashboard thumbnails are this wide, whatever the room size
+const THUMBNAIL_WIDTH = 320
+
+// Snapshot the room layer as a small JPEG for the design's thumbnail,
+// leaving out the selection handles
+const captureThumbnail = (layer, transformer, roomWidth) => {
+  if (!layer) return null
+
+  transformer?.hide()
+  try {
+    return layer.toDataURL({
+      mimeType: 'image/jpeg',
+      quality: 0.7,
+      pixelRatio: THUMBNAIL_WIDTH / roomWidth
+    })
+  } catch (error) {
+    // A tainted canvas (e.g. a cross-origin preview image) can't be exported
+    console.error('Error capturing thumbnail:', error)
+    return null
+  } finally {
+    transformer?.show()
+  }
+}
+
+// Message under an input the server rejected
+const FieldError = ({ message }) => (
+  message ? <p className="mt-1 text-xs text-red-600">{message}</p> : null
+);
+
 const Editor2D = () => {
   const { designId } = useParams()
   const navigate = useNavigate()
+  const location = useLocation()
   const isNewDesign = !designId
+  const template = isNewDesign ? location.state?.template : null
   const { showSuccess, showError, showInfo } = useNotification()
   
   // Editor state
   const [designName, setDesignName] = useState('New Design')
   const [loading, setLoading] = useState(false)
   const [saving, setSaving] = useState(false)
-  const [activeTab, setActiveTab] = useState('room') // 'room', 'furniture', 'actions'
+  const [activeTab, setActiveTab] = useState('room') // 'room', 'furniture', 'actions', 'history'
   const [sidebarOpen, setSidebarOpen] = useState(true)
   const editorContainerRef = useRef(null)
   
@@ -217,14 +261,40 @@ const Editor2D = () => {
   // Selected furniture
   const [selectedId, setSelectedId] = useState(null)
   const transformerRef = useRef(null)
+  const roomLayerRef = useRef(null)
   const selectedItem = selectedId ? furniture.find(item => item.id === selectedId) : null
   
   // Add state for model previews
   const [modelPreviews, setModelPreviews] = useState({});
   const [loadingPreviews, setLoadingPreviews] = useState(false);
   
+  // Revision history
+  const [revisionMessage, setRevisionMessage] = useState('')
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
+  const [revisionDiff, setRevisionDiff] = useState(null)
+  const [shareOpen, setShareOpen] = useState(false)
+  const [collaboratorsOpen, setCollaboratorsOpen] = useState(false)
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false)
+  
+  // Validation errors from the last save: inputs by field path, and
+  // furniture problems tied to the item they belong to
+  const [fieldErrors, setFieldErrors] = useState({})
+  const [furnitureErrors, setFurnitureErrors] = useState([])
+  
+  // The caller's access level; designs without a role are the user's own
+  const [role, setRole] = useState('owner')
+  const isOwner = role === 'owner'
+  const readOnly = role === 'viewer'
+  
+  // Live editing session with everyone else who has this design open
+  const [designLoaded, setDesignLoaded] = useState(false)
+  const [peers, setPeers] = useState({})
+  const [liveConnected, setLiveConnected] = useState(false)
+  const liveSessionRef = useRef(null)
+  
   // Add state for initial model loading
   const [initialLoading, setInitialLoading] = useState(true);
+  const [products, setProducts] = useState([]);
   
   // Fetch design data if editing an existing design
   useEffect(() => {
@@ -232,12 +302,15 @@ const Editor2D = () => {
       const fetchDesign = async () => {
         try {
           setLoading(true)
+          setDesignLoaded(false)
           const design = await designService.getDesign(designId)
           
           // Set design data
           setDesignName(design.name)
           setRoomConfig(design.roomConfig)
           setFurniture(design.furniture)
+          setRole(design.role || 'owner')
+          setDesignLoaded(true)
         } catch (error) {
           console.error('Error fetching design:', error)
           showError('Could not load the design')
@@ -251,9 +324,95 @@ const Editor2D = () => {
     }
   }, [designId, isNewDesign, navigate, showError])
   
-  // Add this effect for initial model preloading
+  // A new design picked from the template library starts as a copy of it
+  useEffect(() => {
+    if (!template) return
+    
+    setDesignName(template.name)
+    setRoomConfig(template.roomConfig)
+    setFurniture(template.furniture)
+    showInfo(`Started from the ${template.name} template`)
+  }, [template, showInfo])
+  
+  // Join the live session once the saved design is loaded, so the live
+  // state it sends replaces the saved furniture rather than the other way round
+  useEffect(() => {
+    if (isNewDesign || !designLoaded || isLocalId(designId)) return
+    
+    const updatePeer = (peerId, changes) => {
+      setPeers(prev => (prev[peerId] ? { ...prev, [peerId]: { ...prev[peerId], ...changes } } : prev))
+    }
+    
+    const session = collabService.connect(designId, {
+      onSync: (liveFurniture, livePeers) => {
+        setFurniture(liveFurniture)
+        if (livePeers) {
+          setPeers(Object.fromEntries(livePeers.map(peer => [peer.id, peer])))
+        }
+      },
+      onOp: (op) => {
+        setFurniture(prev => applyFurnitureOp(prev, op))
+        if (op.kind === 'delete') {
+          setSelectedId(id => (id === op.id ? null : id))
+        }
+      },
+      onPeerJoined: (peer) => setPeers(prev => ({ ...prev, [peer.id]: peer })),
+      onPeerLeft: (peerId) => setPeers(prev => {
+        const { [peerId]: _left, ...rest } = prev
+        return rest
+      }),
+      onCursor: (peerId, cursor) => updatePeer(peerId, { cursor }),
+      onSelect: (peerId, itemId) => updatePeer(peerId, { selectedId: itemId }),
+      onSaved: (savedBy) => {
+        setHistoryRefreshKey(key => key + 1)
+        showInfo(`${savedBy.name && savedBy.name !== 'Designer' ? savedBy.name : savedBy.email} saved the design`)
+      },
+      onRoleChange: (newRole) => {
+        setRole(newRole)
+        showInfo(newRole === 'viewer' ? 'You now have view-only access' : 'You can now edit this design')
+      },
+      onClosed: (message) => {
+        showError(message)
+        navigate('/')
+      },
+      onStatusChange: (connected) => {
+        setLiveConnected(connected)
+        if (!connected) setPeers({})
+      }
+    })
+    
+    liveSessionRef.current = session
+    
+    return () => {
+      session.close()
+      liveSessionRef.current = null
+      setPeers({})
+    }
+  }, [designId, isNewDesign, designLoaded, navigate, showInfo, showError])
+  
+  // Let the others see what this user has selected
+  useEffect(() => {
+    liveSessionRef.current?.sendSelect(selectedId)
+  }, [selectedId, liveConnected])
+  
+  // Apply a local furniture change and share it with the live session
+  const applyLocalOp = (op) => {
+    setFurniture(prev => applyFurnitureOp(prev, op))
+    liveSessionRef.current?.sendOp(op)
+  }
+  
+  // Load the store's catalog for the palette, then preload its models
   useEffect(() => {
     const preloadModels = async () => {
+      try {
+        const catalog = await catalogService.getProducts();
+        setProducts(catalog);
+        modelService.setCatalog(catalog);
+      } catch (error) {
+        console.error('Error loading catalog:', error);
+        showError(error.message || 'Could not load the furniture catalog');
+      }
+      
       try {
         await modelService.preloadModels();
         setInitialLoading(false);
@@ -268,7 +427,16 @@ const Editor2D = () => {
     return () => {
       modelService.clearCache();
     };
-  }, []);
+  }, [showError]);
+  
+  const clearFieldError = (path) => {
+    setFieldErrors(prev => (prev[path] ? { ...prev, [path]: undefined } : prev))
+  }
+  
+  const updateRoomConfig = (key, value) => {
+    setRoomConfig(prev => ({ ...prev, [key]: value }))
+    clearFieldError(`roomConfig.${key}`)
+  }
   
   // Handle selection
   const checkDeselect = (e) => {
@@ -277,65 +445,54 @@ const Editor2D = () => {
     }
   }
   
-  // Furniture types with properties
-  const furnitureTypes = [
-    { type: 'sofa', name: 'Sofa', width: 120, height: 70, fill: '#8B4513', icon: '🛋️' },
-    { type: 'table', name: 'Table', width: 80, height: 80, fill: '#A0522D', icon: '🪑' },
-    { type: 'bed', name: 'Bed', width: 160, height: 200, fill: '#CD853F', icon: '🛏️' },
-    { type: 'bookshelf', name: 'Bookshelf', width: 60, height: 120, fill: '#D2B48C', icon: '📚' },
-    { type: 'dresser', name: 'Dresser', width: 100, height: 50, fill: '#8B4513', icon: '🗄️' },
-    { type: 'plant', name: 'Plant', width: 40, height: 40, fill: '#228B22', icon: '🪴' }
-  ]
+  // Palette products grouped by category, in catalog order
+  const productsByCategory = products.reduce((groups, product) => {
+    (groups[product.category] = groups[product.category] || []).push(product)
+    return groups
+  }, {})
   
-  // Add furniture
-  const addFurniture = (type) => {
-    const furnitureType = furnitureTypes.find(f => f.type === type) || furnitureTypes[0]
+  // Add furniture from the catalog. The floor plan shows width by depth.
+  const addFurniture = (product) => {
+    if (readOnly) return
+    
+    const { width, depth } = product.dimensions
     
     const newItem = {
       id: Date.now(),
-      x: roomConfig.width / 2 - furnitureType.width / 2,
-      y: roomConfig.height / 2 - furnitureType.height / 2,
-      width: furnitureType.width,
-      height: furnitureType.height,
-      fill: furnitureType.fill,
-      name: furnitureType.name,
+      productId: product._id,
+      x: roomConfig.width / 2 - width / 2,
+      y: roomConfig.height / 2 - depth / 2,
+      width,
+      height: depth,
+      fill: product.defaultFinish?.color || '#8B4513',
+      name: product.name,
       rotation: 0 // Add rotation property with default 0 degrees
     }
     
-    setFurniture(prev => [...prev, newItem])
+    applyLocalOp({ kind: 'add', item: newItem })
     setSelectedId(newItem.id)
-    showInfo(`Added new ${furnitureType.name}`)
+    showInfo(`Added new ${product.name}`)
   }
   
   // Update furniture color
   const updateFurnitureColor = (color) => {
-    if (!selectedId) return
+    if (!selectedId || readOnly) return
     
-    setFurniture(furniture.map(item => {
-      if (item.id === selectedId) {
-        return { ...item, fill: color }
-      }
-      return item
-    }))
+    applyLocalOp({ kind: 'update', id: selectedId, changes: { fill: color } })
   }
   
   // Add this new function to handle rotation changes
   const updateFurnitureRotation = (degrees) => {
-    if (!selectedId) return
+    if (!selectedId || readOnly) return
     
-    setFurniture(furniture.map(item => {
-      if (item.id === selectedId) {
-        return { ...item, rotation: degrees }
-      }
-      return item
-    }))
+    applyLocalOp({ kind: 'update', id: selectedId, changes: { rotation: degrees } })
   }
   
   // Delete selected furniture
   const deleteSelected = () => {
-    if (selectedId) {
+    if (selectedId && !readOnly) {
       const itemToDelete = furniture.find(item => item.id === selectedId)
-      setFurniture(furniture.filter(item => item.id !== selectedId))
+      applyLocalOp({ kind: 'delete', id: selectedId })
       setSelectedId(null)
       showInfo(`Deleted ${itemToDelete.name}`)
     }
@@ -343,13 +500,24 @@ const Editor2D = () => {
   
   // Save the design
   const saveDesign = async () => {
+    if (readOnly) return
+    
     try {
       setSaving(true)
+      setFieldErrors({})
+      setFurnitureErrors([])
       
       const designData = {
         name: designName,
         roomConfig,
-        furniture
+        furniture,
+        message: revisionMessage
+      }
+      
+      // Skip the snapshot while a revision comparison dims the room
+      const thumbnail = !revisionDiff && captureThumbnail(roomLayerRef.current, transformerRef.current, roomConfig.width)
+      if (thumbnail) {
+        designData.thumbnail = thumbnail
       }
       
       if (isNewDesign) {
@@ -360,17 +528,53 @@ const Editor2D = () => {
         navigate(`/editor/${newDesign.id}`)
       } else {
         // Update existing design
-        await designService.updateDesign(designId, designData)
+        const savedDesign = await designService.updateDesign(designId, designData)
+        
+        // A conflict may have been resolved in favour of the server copy
+        setDesignName(savedDesign.name)
+        setRoomConfig(savedDesign.roomConfig)
+        setFurniture(savedDesign.furniture)
         showSuccess('Design updated successfully!')
       }
+      
+      setRevisionMessage('')
+      setHistoryRefreshKey(key => key + 1)
     } catch (error) {
       console.error('Error saving design:', error)
-      showError('Failed to save design. Please try again.')
+      
+      if (error.fieldErrors) {
+        // Furniture errors come back by position, e.g. 'furniture.2.width'
+        const itemErrors = []
+        const otherErrors = {}
+        Object.entries(error.fieldErrors).forEach(([path, message]) => {
+          const match = path.match(/^furniture\.(\d+)/)
+          const item = match && furniture[Number(match[1])]
+          if (item) {
+            itemErrors.push({ id: item.id, name: item.name, message })
+          } else {
+            otherErrors[path] = message
+          }
+        })
+        setFieldErrors(otherErrors)
+        setFurnitureErrors(itemErrors)
+        showError('Some fields need fixing before the design can be saved')
+      } else {
+        showError('Failed to save design. Please try again.')
+      }
     } finally {
       setSaving(false)
     }
   }
   
+  // Load a restored revision into the editor
+  const handleRevisionRestored = (design) => {
+    setDesignName(design.name)
+    setRoomConfig(design.roomConfig)
+    setFurniture(design.furniture)
+    setSelectedId(null)
+    setHistoryRefreshKey(key => key + 1)
+  }
+  
   // View in 3D
   const view3D = () => {
     if (isNewDesign) {
@@ -409,7 +613,8 @@ const Editor2D = () => {
   // Update the model preview generation effect
   useEffect(() => {
     const generatePreviews = async () => {
-      if (furniture.length === 0) return;
+      // Wait for the catalog, which says which model each item uses
+      if (furniture.length === 0 || initialLoading) return;
       
       debug(`Generating previews for ${furniture.length} furniture items`);
       setLoadingPreviews(true);
@@ -417,13 +622,13 @@ const Editor2D = () => {
       let updatedPreviews = false;
       
       for (const item of furniture) {
-        const cacheKey = `${item.name}-${item.fill}-${item.rotation || 0}`;
+        const cacheKey = getPreviewKey(item);
         debug(`Processing ${item.name} with color ${item.fill} and rotation ${item.rotation}`);
         
         if (!newPreviews[cacheKey]) {
           try {
             debug(`Creating top-down image for ${item.name}`);
-            const imageUrl = await createTopDownImage(item.name, item.fill, item.rotation || 0);
+            const imageUrl = await createTopDownImage(item.name, item.fill, item.rotation || 0, item.productId);
             
             if (imageUrl) {
               debug(`Successfully created image for ${item.name}`);
@@ -449,7 +654,7 @@ const Editor2D = () => {
     };
     
     generatePreviews();
-  }, [furniture]);
+  }, [furniture, initialLoading]);
   
   // Add this effect to clean up resources
   useEffect(() => {
@@ -534,13 +739,25 @@ const Editor2D = () => {
         >
           <div className="p-4 border-b border-gray-200 flex-shrink-0">
             <div className="mb-4">
-              <label className="block mb-2 text-sm font-medium text-gray-700">Design Name</label>
+              <label className="block mb-2 text-sm font-medium text-gray-700 flex justify-between">
+                <span>Design Name</span>
+                {readOnly && (
+                  <span className="text-xs py-0.5 px-2 bg-gray-100 text-gray-600 rounded-full font-normal">View only</span>
+                )}
+              </label>
               <input
                 type="text"
                 value={designName}
-                onChange={(e) => setDesignName(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                onChange={(e) => {
+                  setDesignName(e.target.value)
+                  clearFieldError('name')
+                }}
+                disabled={readOnly}
+                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent ${
+                  fieldErrors.name ? 'border-red-400 bg-red-50' : 'border-gray-300'
+                }`}
               />
+              <FieldError message={fieldErrors.name} />
             </div>
           </div>
           
@@ -564,6 +781,14 @@ const Editor2D = () => {
             >
               Actions
             </button>
+            {!isNewDesign && (
+              <button
+                className={`flex-1 py-2 text-sm font-medium ${activeTab === 'history' ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-600'}`}
+                onClick={() => setActiveTab('history')}
+              >
+                History
+              </button>
+            )}
           </div>
           
           <div className="flex-grow overflow-y-auto">
@@ -571,7 +796,7 @@ const Editor2D = () => {
             <div className={`p-4 ${activeTab !== 'room' && 'hidden md:block'}`}>
               <h2 className="text-lg font-medium text-gray-800 mb-4">Room Settings</h2>
               
-              <div className="mb-6 space-y-4">
+              <fieldset disabled={readOnly} className="mb-6 space-y-4 disabled:opacity-60">
                 <div>
                   <label className="block mb-2 text-sm font-medium text-gray-700">Room Width (inch)</label>
                   <div className="flex items-center gap-3">
@@ -580,13 +805,14 @@ const Editor2D = () => {
                       min="300" 
                       max="1000" 
                       value={roomConfig.width} 
-                      onChange={(e) => setRoomConfig({...roomConfig, width: parseInt(e.target.value)})}
+                      onChange={(e) => updateRoomConfig('width', parseInt(e.target.value))}
                       className="flex-1 accent-indigo-600"
                     />
                     <span className="w-14 text-sm text-gray-600 bg-gray-100 py-1 px-2 rounded text-center font-mono">
                       {roomConfig.width}
                     </span>
                   </div>
+                  <FieldError message={fieldErrors['roomConfig.width']} />
                 </div>
                 
                 <div>
@@ -597,13 +823,14 @@ const Editor2D = () => {
                       min="200" 
                       max="1000" 
                       value={roomConfig.height} 
-                      onChange={(e) => setRoomConfig({...roomConfig, height: parseInt(e.target.value)})}
+                      onChange={(e) => updateRoomConfig('height', parseInt(e.target.value))}
                       className="flex-1 accent-indigo-600"
                     />
                     <span className="w-14 text-sm text-gray-600 bg-gray-100 py-1 px-2 rounded text-center font-mono">
                       {roomConfig.height}
                     </span>
                   </div>
+                  <FieldError message={fieldErrors['roomConfig.height']} />
                 </div>
                 
                 <div>
@@ -612,13 +839,14 @@ const Editor2D = () => {
                     <input 
                       type="color" 
                       value={roomConfig.color} 
-                      onChange={(e) => setRoomConfig({...roomConfig, color: e.target.value})}
+                      onChange={(e) => updateRoomConfig('color', e.target.value)}
                       className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
                     />
                     <span className="text-sm font-mono bg-gray-100 py-1 px-2 rounded flex-1 text-gray-600 whitespace-nowrap overflow-hidden">
                       {roomConfig.color}
                     </span>
                   </div>
+                  <FieldError message={fieldErrors['roomConfig.color']} />
                 </div>
                 
                 <div>
@@ -627,95 +855,111 @@ const Editor2D = () => {
                     <input 
                       type="color" 
                       value={roomConfig.wallColor} 
-                      onChange={(e) => setRoomConfig({...roomConfig, wallColor: e.target.value})}
+                      onChange={(e) => updateRoomConfig('wallColor', e.target.value)}
                       className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
                     />
                     <span className="text-sm font-mono bg-gray-100 py-1 px-2 rounded flex-1 text-gray-600 whitespace-nowrap overflow-hidden">
                       {roomConfig.wallColor}
                     </span>
                   </div>
+                  <FieldError message={fieldErrors['roomConfig.wallColor']} />
                 </div>
-              </div>
+              </fieldset>
             </div>
             
             {/* Furniture Options */}
             <div className={`p-4 ${activeTab !== 'furniture' && 'hidden md:block'}`}>
               <h2 className="text-lg font-medium text-gray-800 mb-4">Add Furniture</h2>
               
-              <div className="grid grid-cols-2 gap-2 mb-6">
-                {furnitureTypes.map(item => (
-                  <button 
-                    key={item.type}
-                    onClick={() => addFurniture(item.type)}
-                    className="flex flex-col items-center justify-center p-3 bg-white border border-gray-200 rounded-lg hover:bg-indigo-50 hover:border-indigo-200 transition-colors"
-                  >
-                    <span className="text-2xl mb-1">{item.icon}</span>
-                    <span className="text-sm text-gray-700">{item.name}</span>
-                  </button>
-                ))}
-              </div>
+              <fieldset disabled={readOnly} className="disabled:opacity-60">
+                {products.length === 0 && (
+                  <p className="text-sm text-gray-500 mb-6">This store's catalog has no products yet.</p>
+                )}
+                
+                <div className="mb-6">
+                  {Object.entries(productsByCategory).map(([category, categoryProducts]) => (
+                    <div key={category} className="mb-4">
+                      <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{category}</h3>
+                      <div className="grid grid-cols-2 gap-2">
+                        {categoryProducts.map(product => (
+                          <button 
+                            key={product._id}
+                            onClick={() => addFurniture(product)}
+                            title={`${product.sku} · ${product.dimensions.width} × ${product.dimensions.depth} × ${product.dimensions.height} cm`}
+                            className="flex flex-col items-center justify-center p-3 bg-white border border-gray-200 rounded-lg hover:bg-indigo-50 hover:border-indigo-200 transition-colors"
+                          >
+                            <span className="text-2xl mb-1">{product.icon}</span>
+                            <span className="text-sm text-gray-700">{product.name}</span>
+                            <span className="text-xs text-gray-400">{product.dimensions.width} × {product.dimensions.depth} cm</span>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
               
-              {selectedItem && (
-                <div className="mt-6 bg-gray-50 p-4 rounded-lg border border-gray-200">
-                  <h3 className="text-md font-medium text-gray-800 mb-3 flex items-center">
-                    <span className="mr-2">{selectedItem.name}</span>
-                    <span className="text-xs py-0.5 px-2 bg-indigo-100 text-indigo-700 rounded-full">Selected</span>
-                  </h3>
+                {selectedItem && (
+                  <div className="mt-6 bg-gray-50 p-4 rounded-lg border border-gray-200">
+                    <h3 className="text-md font-medium text-gray-800 mb-3 flex items-center">
+                      <span className="mr-2">{selectedItem.name}</span>
+                      <span className="text-xs py-0.5 px-2 bg-indigo-100 text-indigo-700 rounded-full">Selected</span>
+                    </h3>
                   
-                  <div className="mb-4">
-                    <label className="block mb-2 text-sm font-medium text-gray-700">Color</label>
-                    <div className="flex items-center gap-3">
-                      <input 
-                        type="color" 
-                        value={selectedItem.fill} 
-                        onChange={(e) => updateFurnitureColor(e.target.value)}
-                        className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
-                      />
-                      <span className="text-sm font-mono bg-gray-100 py-1 px-2 rounded flex-1 text-gray-600">
-                        {selectedItem.fill}
-                      </span>
+                    <div className="mb-4">
+                      <label className="block mb-2 text-sm font-medium text-gray-700">Color</label>
+                      <div className="flex items-center gap-3">
+                        <input 
+                          type="color" 
+                          value={selectedItem.fill} 
+                          onChange={(e) => updateFurnitureColor(e.target.value)}
+                          className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                        />
+                        <span className="text-sm font-mono bg-gray-100 py-1 px-2 rounded flex-1 text-gray-600">
+                          {selectedItem.fill}
+                        </span>
+                      </div>
                     </div>
-                  </div>
                   
-                  {/* Add rotation control */}
-                  <div className="mb-4">
-                    <label className="block mb-2 text-sm font-medium text-gray-700 flex justify-between">
-                      <span>Rotation</span>
-                      <span className="text-gray-500 font-mono">{selectedItem.rotation || 0}°</span>
-                    </label>
-                    <div className="flex items-center gap-3">
-                      <input 
-                        type="range" 
-                        min="0" 
-                        max="360" 
-                        step="15"
-                        value={selectedItem.rotation || 0} 
-                        onChange={(e) => updateFurnitureRotation(parseInt(e.target.value))}
-                        className="flex-1 accent-indigo-600"
-                      />
-                      <button 
-                        onClick={() => updateFurnitureRotation(((selectedItem.rotation || 0) + 90) % 360)}
-                        className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                        title="Rotate 90°"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                        </svg>
-                      </button>
+                    {/* Add rotation control */}
+                    <div className="mb-4">
+                      <label className="block mb-2 text-sm font-medium text-gray-700 flex justify-between">
+                        <span>Rotation</span>
+                        <span className="text-gray-500 font-mono">{selectedItem.rotation || 0}°</span>
+                      </label>
+                      <div className="flex items-center gap-3">
+                        <input 
+                          type="range" 
+                          min="0" 
+                          max="360" 
+                          step="15"
+                          value={selectedItem.rotation || 0} 
+                          onChange={(e) => updateFurnitureRotation(parseInt(e.target.value))}
+                          className="flex-1 accent-indigo-600"
+                        />
+                        <button 
+                          onClick={() => updateFurnitureRotation(((selectedItem.rotation || 0) + 90) % 360)}
+                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                          title="Rotate 90°"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+                          </svg>
+                        </button>
+                      </div>
                     </div>
-                  </div>
                   
-                  <button 
-                    onClick={deleteSelected}
-                    className="w-full px-4 py-2 text-white bg-red-500 rounded-md hover:bg-red-600 transition-colors flex items-center justify-center"
-                  >
-                    <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
-                    </svg>
-                    Delete Item
-                  </button>
-                </div>
-              )}
+                    <button 
+                      onClick={deleteSelected}
+                      className="w-full px-4 py-2 text-white bg-red-500 rounded-md hover:bg-red-600 transition-colors flex items-center justify-center"
+                    >
+                      <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                      </svg>
+                      Delete Item
+                    </button>
+                  </div>
+                )}
+              </fieldset>
             </div>
             
             {/* Actions */}
@@ -723,28 +967,65 @@ const Editor2D = () => {
               <h2 className="text-lg font-medium text-gray-800 mb-4">Actions</h2>
               
               <div className="space-y-3">
-                <button 
-                  onClick={saveDesign}
-                  disabled={saving}
-                  className="w-full px-4 py-3 text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors flex items-center justify-center gap-2 shadow-sm"
-                >
-                  {saving ? (
-                    <>
-                      <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      <span>Saving...</span>
-                    </>
-                  ) : (
-                    <>
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4"></path>
-                      </svg>
-                      <span>Save Design</span>
-                    </>
-                  )}
-                </button>
+                {readOnly && (
+                  <p className="text-sm text-gray-600 bg-gray-50 border border-gray-200 rounded-md p-3">
+                    You have view-only access to this design. Ask the owner for edit access to make changes.
+                  </p>
+                )}
+                
+                {(furnitureErrors.length > 0 || fieldErrors.furniture) && (
+                  <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-md p-3 space-y-1">
+                    <p className="font-medium">Fix these items before saving:</p>
+                    {fieldErrors.furniture && <p>{fieldErrors.furniture}</p>}
+                    {furnitureErrors.map((itemError, index) => (
+                      <button
+                        key={`${itemError.id}-${index}`}
+                        onClick={() => {
+                          setSelectedId(itemError.id)
+                          setActiveTab('furniture')
+                        }}
+                        className="block text-left hover:underline"
+                      >
+                        {itemError.name}: {itemError.message}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                
+                {!readOnly && (
+                  <>
+                    <input
+                      type="text"
+                      value={revisionMessage}
+                      onChange={(e) => setRevisionMessage(e.target.value)}
+                      placeholder="Describe this change (optional)"
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    />
+                
+                    <button 
+                      onClick={saveDesign}
+                      disabled={saving}
+                      className="w-full px-4 py-3 text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 transition-colors flex items-center justify-center gap-2 shadow-sm"
+                    >
+                      {saving ? (
+                        <>
+                          <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                          </svg>
+                          <span>Saving...</span>
+                        </>
+                      ) : (
+                        <>
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4"></path>
+                          </svg>
+                          <span>Save Design</span>
+                        </>
+                      )}
+                    </button>
+                  </>
+                )}
                 
                 <button 
                   onClick={view3D}
@@ -756,8 +1037,71 @@ const Editor2D = () => {
                   </svg>
                   <span>View in 3D</span>
                 </button>
+                
+                <button 
+                  onClick={() => navigate(`/quote/${designId}`)}
+                  disabled={isNewDesign}
+                  className="w-full px-4 py-3 text-amber-700 bg-amber-50 border border-amber-200 rounded-md hover:bg-amber-100 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+                  </svg>
+                  <span>Price Quote</span>
+                </button>
+                
+                <button 
+                  onClick={() => setSaveTemplateOpen(true)}
+                  disabled={isNewDesign}
+                  className="w-full px-4 py-3 text-gray-700 bg-gray-50 border border-gray-200 rounded-md hover:bg-gray-100 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 5a1 1 0 011-1h14a1 1 0 011 1v2a1 1 0 01-1 1H5a1 1 0 01-1-1V5zM4 13a1 1 0 011-1h6a1 1 0 011 1v6a1 1 0 01-1 1H5a1 1 0 01-1-1v-6zM16 13a1 1 0 011-1h2a1 1 0 011 1v6a1 1 0 01-1 1h-2a1 1 0 01-1-1v-6z"></path>
+                  </svg>
+                  <span>Save as Template</span>
+                </button>
+                
+                {isOwner && (
+                  <button 
+                    onClick={() => setShareOpen(true)}
+                    disabled={isNewDesign}
+                    className="w-full px-4 py-3 text-green-700 bg-green-50 border border-green-200 rounded-md hover:bg-green-100 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z"></path>
+                    </svg>
+                    <span>Share</span>
+                  </button>
+                )}
+                
+                {isOwner && (
+                  <button 
+                    onClick={() => setCollaboratorsOpen(true)}
+                    disabled={isNewDesign}
+                    className="w-full px-4 py-3 text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-md hover:bg-indigo-100 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z"></path>
+                    </svg>
+                    <span>Collaborators</span>
+                  </button>
+                )}
               </div>
             </div>
+            
+            {/* Revision History */}
+            {!isNewDesign && (
+              <div className={`p-4 ${activeTab !== 'history' && 'hidden md:block'}`}>
+                <h2 className="text-lg font-medium text-gray-800 mb-4">History</h2>
+                
+                <RevisionHistory
+                  designId={designId}
+                  refreshKey={historyRefreshKey}
+                  canRestore={!readOnly}
+                  onRestore={handleRevisionRestored}
+                  onCompare={setRevisionDiff}
+                />
+              </div>
+            )}
           </div>
         </div>
         
@@ -785,9 +1129,11 @@ const Editor2D = () => {
             <div className="relative">
               {/* Help tooltip */}
               <div className="absolute -top-10 left-1/2 transform -translate-x-1/2 bg-white px-3 py-1.5 rounded-full shadow-md text-xs text-gray-600 whitespace-nowrap">
-                {selectedId 
-                  ? "Drag to move" 
-                  : "Click an item to select it"}
+                {readOnly
+                  ? "View only"
+                  : selectedId 
+                    ? "Drag to move" 
+                    : "Click an item to select it"}
               </div>
               
               <div className="bg-white rounded-lg shadow-md overflow-hidden">
@@ -796,9 +1142,11 @@ const Editor2D = () => {
                   height={roomConfig.height} 
                   onMouseDown={checkDeselect}
                   onTouchStart={checkDeselect}
+                  onMouseMove={(e) => liveSessionRef.current?.sendCursor(e.target.getStage().getPointerPosition())}
+                  onMouseLeave={() => liveSessionRef.current?.sendCursor(null)}
                   className="border border-gray-200"
                 >
-                  <Layer>
+                  <Layer ref={roomLayerRef} opacity={revisionDiff ? 0.35 : 1}>
                     {/* Room Background */}
                     <Rect 
                       width={roomConfig.width} 
@@ -808,8 +1156,7 @@ const Editor2D = () => {
                     
                     {/* Furniture - Use the FurnitureItem component */}
                     {furniture.map(item => {
-                      const cacheKey = `${item.name}-${item.fill}-${item.rotation || 0}`;
-                      const imageUrl = modelPreviews[cacheKey];
+                      const imageUrl = modelPreviews[getPreviewKey(item)];
                       
                       return (
                         <FurnitureItem
@@ -817,43 +1164,35 @@ const Editor2D = () => {
                           item={item}
                           isSelected={selectedId === item.id}
                           imageUrl={imageUrl}
+                          draggable={!readOnly}
                           onSelect={setSelectedId}
                           onDragEnd={(e) => {
-                            const newFurniture = furniture.map(f => {
-                              if (f.id === item.id) {
-                                return {
-                                  ...f,
-                                  x: e.target.x(),
-                                  y: e.target.y()
-                                }
-                              }
-                              return f
+                            applyLocalOp({
+                              kind: 'update',
+                              id: item.id,
+                              changes: { x: e.target.x(), y: e.target.y() }
                             })
-                            setFurniture(newFurniture)
                           }}
                           onTransformEnd={(e) => {
                             const node = e.target
-                            const newFurniture = furniture.map(f => {
-                              if (f.id === item.id) {
-                                return {
-                                  ...f,
-                                  x: node.x(),
-                                  y: node.y(),
-                                  width: node.width() * node.scaleX(),
-                                  height: node.height() * node.scaleY(),
-                                  rotation: node.rotation()
-                                }
+                            applyLocalOp({
+                              kind: 'update',
+                              id: item.id,
+                              changes: {
+                                x: node.x(),
+                                y: node.y(),
+                                width: node.width() * node.scaleX(),
+                                height: node.height() * node.scaleY(),
+                                rotation: node.rotation()
                               }
-                              return f
                             })
-                            setFurniture(newFurniture)
                           }}
                         />
                       );
                     })}
                     
                     {/* Transformer for selected item */}
-                    {selectedId && (
+                    {selectedId && !readOnly && (
                       <Transformer
                         ref={transformerRef}
                         rotateEnabled={true}
@@ -874,6 +1213,12 @@ const Editor2D = () => {
                       />
                     )}
                   </Layer>
+                  
+                  {/* Changes between two revisions */}
+                  <RevisionDiffLayer diff={revisionDiff} />
+                  
+                  {/* Other users' cursors and selections */}
+                  <PresenceLayer peers={Object.values(peers)} furniture={furniture} />
                 </Stage>
               </div>
             </div>
@@ -890,6 +1235,13 @@ const Editor2D = () => {
             <div>
               {selectedItem ? `Selected: ${selectedItem.name}` : 'No item selected'}
             </div>
+            {!isNewDesign && (
+              <div className="flex items-center gap-2">
+                <PresenceList peers={Object.values(peers)} />
+                <span className={`w-2 h-2 rounded-full ${liveConnected ? 'bg-green-500' : 'bg-gray-300'}`}></span>
+                {liveConnected ? 'Live' : 'Offline'}
+              </div>
+            )}
           </div>
           
           {/* Add a loading indicator while generating previews */}
@@ -901,6 +1253,24 @@ const Editor2D = () => {
           )}
         </div>
       </div>
+      
+      <ShareDialog
+        isOpen={shareOpen}
+        design={isNewDesign ? null : { id: designId, name: designName }}
+        onClose={() => setShareOpen(false)}
+      />
+      
+      <CollaboratorsDialog
+        isOpen={collaboratorsOpen}
+        design={isNewDesign ? null : { id: designId, name: designName }}
+        onClose={() => setCollaboratorsOpen(false)}
+      />
+      
+      <SaveTemplateDialog
+        isOpen={saveTemplateOpen}
+        design={isNewDesign ? null : { id: designId, name: designName }}
+        onClose={() => setSaveTemplateOpen(false)}
+      />
     </Layout>
   )
 }
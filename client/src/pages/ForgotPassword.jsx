@@ -0,0 +1,85 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+  const { showError } = useNotification()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    
+    try {
+      setLoading(true)
+      await authService.forgotPassword(email)
+      setSent(true)
+    } catch (err) {
+      setError(err.message)
+      showError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50">
+      <div className="w-full max-w-md p-8 space-y-8 bg-white rounded-lg shadow-xl">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-indigo-700">🛋️ Furniture Visualizer</h1>
+          <p className="mt-2 text-gray-600">Reset your password</p>
+        </div>
+        
+        {sent ? (
+          <div className="p-4 text-sm text-green-700 bg-green-50 rounded">
+            If an account exists for <span className="font-medium">{email}</span>, we have sent a link to reset
+            its password. The link is valid for one hour.
+          </div>
+        ) : (
+          <>
+            {error && <div className="p-3 text-sm text-red-500 bg-red-100 rounded">{error}</div>}
+            
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              <p className="text-sm text-gray-600">
+                Enter the email you registered with and we will send you a link to choose a new password.
+              </p>
+              
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  required
+                  className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+              
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          </>
+        )}
+        
+        <div className="text-center text-sm">
+          <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+            Back to login
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
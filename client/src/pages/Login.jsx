@@ -1,5 +1,5 @@
-import { useState } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { useState, useEffect } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { authService } from '../services/authService'
 import { useNotification } from '../contexts/NotificationContext'
 
@@ -7,9 +7,30 @@ const Login = ({ setIsAuthenticated }) => {
   const [credentials, setCredentials] = useState({ email: '', password: '' })
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // Set when the server locks us out (429); the form stays disabled until then
+  const [lockedUntil, setLockedUntil] = useState(null)
+  const [secondsLeft, setSecondsLeft] = useState(0)
   const navigate = useNavigate()
+  const location = useLocation()
   const { showError, showSuccess } = useNotification()
 
+  // Tick the lockout countdown down once a second
+  useEffect(() => {
+    if (!lockedUntil) return
+    
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000))
+      setSecondsLeft(remaining)
+      if (remaining === 0) setLockedUntil(null)
+    }
+    
+    tick()
+    const interval = setInterval(tick, 1000)
+    return () => clearInterval(interval)
+  }, [lockedUntil])
+  
+  const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+  
   const handleChange = (e) => {
     const { name, value } = e.target
     setCredentials(prev => ({ ...prev, [name]: value }))
@@ -29,9 +50,14 @@ const Login = ({ setIsAuthenticated }) => {
       // Show success notification
       showSuccess('Login successful! Welcome back.')
       
-      // Redirect to dashboard
-      navigate('/')
+      // Back to the page that sent us here, or the dashboard
+      const from = location.state?.from
+      navigate(from ? `${from.pathname}${from.search}${from.hash}` : '/', { replace: true })
     } catch (err) {
+      if (err.retryAfter) {
+        setLockedUntil(Date.now() + err.retryAfter * 1000)
+        return
+      }
       setError(err.message || 'Login failed. Please check your credentials.')
       showError(err.message || 'Login failed. Please check your credentials.')
     } finally {
@@ -47,7 +73,14 @@ const Login = ({ setIsAuthenticated }) => {
           <p className="mt-2 text-gray-600">Designer Login</p>
         </div>
         
-        {error && <div className="p-3 text-sm text-red-500 bg-red-100 rounded">{error}</div>}
+        {lockedUntil ? (
+          <div className="p-3 text-sm text-amber-800 bg-amber-100 rounded" role="alert">
+            Too many failed login attempts. You can try again in{' '}
+            <span className="font-mono font-semibold">{formatCountdown(secondsLeft)}</span>.
+            {' '}
+            <Link to="/forgot-password" className="font-medium underline">Reset your password</Link> if you have forgotten it.
+          </div>
+        ) : error && <div className="p-3 text-sm text-red-500 bg-red-100 rounded">{error}</div>}
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <div>
@@ -64,7 +97,12 @@ const Login = ({ setIsAuthenticated }) => {
           </div>
           
           <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+            <div className="flex items-center justify-between">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+              <Link to="/forgot-password" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+                Forgot your password?
+              </Link>
+            </div>
             <input
               id="password"
               name="password"
@@ -79,7 +117,7 @@ const Login = ({ setIsAuthenticated }) => {
           <div>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || !!lockedUntil}
               className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
             >
               {loading ? (
@@ -90,7 +128,7 @@ const Login = ({ setIsAuthenticated }) => {
                   </svg>
                   Signing in...
                 </>
-              ) : 'Sign in'}
+              ) : lockedUntil ? `Try again in ${formatCountdown(secondsLeft)}` : 'Sign in'}
             </button>
           </div>
         </form>
@@ -1,54 +1,66 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { authService } from '../services/authService';
 import { useNotification } from '../contexts/NotificationContext';
 
-const Register = ({ setIsAuthenticated }) => {
+const Register = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     confirmPassword: ''
   });
   const [error, setError] = useState('');
+  // Per-input messages, from the checks below or the server's validation
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
-  const navigate = useNavigate();
+  // Set once the account exists; the page then asks them to check their inbox
+  const [registeredEmail, setRegisteredEmail] = useState(null);
+  const [emailSent, setEmailSent] = useState(true);
+  const [resending, setResending] = useState(false);
   const { showError, showSuccess } = useNotification();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
   };
 
+  const inputClass = (name) =>
+    `block w-full px-3 py-2 mt-1 border rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 ${
+      fieldErrors[name] ? 'border-red-400 bg-red-50' : 'border-gray-300'
+    }`;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     
-    // Form validation
-    if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
-      showError('Passwords do not match');
+    // Form validation, matching the server's password rules
+    if (formData.password.length < 8) {
+      setFieldErrors({ password: 'Password must be at least 8 characters' });
       return;
     }
     
-    if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters');
-      showError('Password must be at least 6 characters');
+    if (!/[a-z]/i.test(formData.password) || !/[0-9]/.test(formData.password)) {
+      setFieldErrors({ password: 'Password must contain both letters and numbers' });
+      return;
+    }
+    
+    if (formData.password !== formData.confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
       return;
     }
     
     try {
       setLoading(true);
-      await authService.register(formData.email, formData.password);
-      
-      // Update auth state
-      setIsAuthenticated(true);
-      
-      // Show success notification
-      showSuccess('Account created successfully! Welcome to Furniture Visualizer.');
-      
-      // Redirect to dashboard
-      navigate('/');
+      const result = await authService.register(formData.email, formData.password);
+      setRegisteredEmail(result.email);
+      setEmailSent(result.emailSent !== false);
     } catch (err) {
+      if (err.fieldErrors) {
+        setFieldErrors(err.fieldErrors);
+        return;
+      }
       setError(err.message || 'Registration failed. Please try again.');
       showError(err.message || 'Registration failed. Please try again.');
     } finally {
@@ -56,6 +68,63 @@ const Register = ({ setIsAuthenticated }) => {
     }
   };
 
+  const handleResend = async () => {
+    try {
+      setResending(true);
+      const result = await authService.resendVerification(registeredEmail);
+      setEmailSent(true);
+      showSuccess(result.message);
+    } catch (err) {
+      showError(err.message || 'Could not send the confirmation email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (registeredEmail) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50">
+        <div className="w-full max-w-md p-8 space-y-6 bg-white rounded-lg shadow-xl text-center">
+          <div>
+            <h1 className="text-3xl font-bold text-indigo-700">🛋️ Furniture Visualizer</h1>
+            <p className="mt-2 text-gray-600">Check your inbox</p>
+          </div>
+          
+          <p className="text-sm text-gray-700">
+            {emailSent ? (
+              <>
+                We sent a confirmation link to <span className="font-medium">{registeredEmail}</span>.
+                Open it to confirm your address.
+              </>
+            ) : (
+              <>
+                We could not send a confirmation link to <span className="font-medium">{registeredEmail}</span> just
+                now. Ask for a new one below.
+              </>
+            )}{' '}
+            You can log in already, but you need to confirm your address before you can share designs.
+          </p>
+          
+          <div className="flex flex-col gap-3">
+            <Link
+              to="/login"
+              className="w-full py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Go to login
+            </Link>
+            <button
+              onClick={handleResend}
+              disabled={resending}
+              className="text-sm font-medium text-indigo-600 hover:text-indigo-500 disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : "Didn't get it? Send a new link"}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50">
       <div className="w-full max-w-md p-8 space-y-8 bg-white rounded-lg shadow-xl">
@@ -74,10 +143,11 @@ const Register = ({ setIsAuthenticated }) => {
               name="email"
               type="email"
               required
-              className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              className={inputClass('email')}
               value={formData.email}
               onChange={handleChange}
             />
+            {fieldErrors.email && <p className="mt-1 text-xs text-red-600">{fieldErrors.email}</p>}
           </div>
           
           <div>
@@ -87,11 +157,14 @@ const Register = ({ setIsAuthenticated }) => {
               name="password"
               type="password"
               required
-              className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              className={inputClass('password')}
               value={formData.password}
               onChange={handleChange}
             />
-            <p className="mt-1 text-xs text-gray-500">Must be at least 6 characters</p>
+            {fieldErrors.password && <p className="mt-1 text-xs text-red-600">{fieldErrors.password}</p>}
+            {!fieldErrors.password && (
+              <p className="mt-1 text-xs text-gray-500">At least 8 characters, with letters and numbers</p>
+            )}
           </div>
           
           <div>
@@ -101,10 +174,11 @@ const Register = ({ setIsAuthenticated }) => {
               name="confirmPassword"
               type="password"
               required
-              className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              className={inputClass('confirmPassword')}
               value={formData.confirmPassword}
               onChange={handleChange}
             />
+            {fieldErrors.confirmPassword && <p className="mt-1 text-xs text-red-600">{fieldErrors.confirmPassword}</p>}
           </div>
           
           <div>
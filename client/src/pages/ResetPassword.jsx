@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { authService } from '../services/authService'
+import { useNotification } from '../contexts/NotificationContext'
+
+const ResetPassword = () => {
+  const { token } = useParams()
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' })
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+  const { showError, showSuccess } = useNotification()
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+    
+    if (formData.password.length < 8 || !/[a-z]/i.test(formData.password) || !/[0-9]/.test(formData.password)) {
+      setError('Password must be at least 8 characters and contain both letters and numbers')
+      return
+    }
+    
+    try {
+      setLoading(true)
+      const result = await authService.resetPassword(token, formData.password)
+      showSuccess(result.message)
+      navigate('/login')
+    } catch (err) {
+      const message = err.fieldErrors?.password || err.message
+      setError(message)
+      showError(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50">
+      <div className="w-full max-w-md p-8 space-y-8 bg-white rounded-lg shadow-xl">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-indigo-700">🛋️ Furniture Visualizer</h1>
+          <p className="mt-2 text-gray-600">Choose a new password</p>
+        </div>
+        
+        {error && <div className="p-3 text-sm text-red-500 bg-red-100 rounded">{error}</div>}
+        
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700">New password</label>
+            <input
+              id="password"
+              name="password"
+              type="password"
+              required
+              className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              value={formData.password}
+              onChange={handleChange}
+            />
+          </div>
+          
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm new password</label>
+            <input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              required
+              className="block w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+            />
+          </div>
+          
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            {loading ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+        
+        <div className="text-center text-sm">
+          <p className="text-gray-600">
+            Link expired?{' '}
+            <Link to="/forgot-password" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Request a new one
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
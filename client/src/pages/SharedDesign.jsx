@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import Viewer3D from './Viewer3D'
+import FloorPlan from '../components/FloorPlan'
+import { shareService } from '../services/shareService'
+
+// Public, read-only view of a design opened from a share link
+const SharedDesign = () => {
+  const { token } = useParams()
+  const [design, setDesign] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [view, setView] = useState('3d') // '3d' or 'plan'
+
+  useEffect(() => {
+    const fetchDesign = async () => {
+      try {
+        setDesign(await shareService.getSharedDesign(token))
+      } catch (err) {
+        console.error('Error fetching shared design:', err)
+        setError(err.message || 'Could not load shared design')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchDesign()
+  }, [token])
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white shadow-sm">
+        <div className="container mx-auto px-4 h-16 flex items-center justify-between">
+          <div className="flex items-center">
+            <div className="w-10 h-10 flex items-center justify-center bg-indigo-600 rounded-lg text-white">
+              <span className="text-xl">🛋️</span>
+            </div>
+            <div className="ml-3 flex items-baseline">
+              <h1 className="text-xl font-bold text-indigo-600">Furniture</h1>
+              <h2 className="ml-1 text-lg text-gray-600 hidden sm:block">Visualizer</h2>
+            </div>
+          </div>
+
+          {design && (
+            <div className="flex items-center gap-3">
+              <span className="text-xs py-1 px-2.5 bg-gray-100 text-gray-600 rounded-full">View only</span>
+              <div className="bg-gray-100 rounded-lg p-1 flex">
+                {[['3d', '3D View'], ['plan', 'Floor Plan']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setView(value)}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                      view === value
+                        ? 'bg-white text-indigo-600 shadow-sm'
+                        : 'text-gray-700 hover:text-indigo-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </header>
+
+      {loading && (
+        <div className="flex items-center justify-center h-[80vh]">
+          <div className="inline-block w-12 h-12 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="container mx-auto p-4">
+          <div className="p-8 bg-red-50 text-red-700 rounded-lg shadow">
+            <h3 className="text-xl font-bold mb-2">Design Unavailable</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      )}
+
+      {design && view === '3d' && <Viewer3D sharedDesign={design} />}
+
+      {design && view === 'plan' && (
+        <div className="container mx-auto p-4">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">{design.name}</h2>
+          <FloorPlan roomConfig={design.roomConfig} furniture={design.furniture} />
+          <p className="mt-2 text-sm text-gray-500">
+            Room size: {design.roomConfig.width} × {design.roomConfig.height} · {design.furniture.length} items
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SharedDesign
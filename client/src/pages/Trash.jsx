@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import Layout from '../components/Layout'
+import DesignThumbnail from '../components/DesignThumbnail'
+import { designService } from '../services/designService'
+import { useNotification } from '../contexts/NotificationContext'
+import { useModal } from '../contexts/ModalContext'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const daysLeft = (purgeAt) => Math.max(Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS), 0)
+
+// Designs the user deleted, which can be restored or removed for good
+// until the server empties them from the trash
+const Trash = () => {
+  const [designs, setDesigns] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const { showSuccess, showError } = useNotification()
+  const { confirm } = useModal()
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const trash = await designService.getTrash()
+        setDesigns(trash.designs)
+        setRetentionDays(trash.retentionDays)
+      } catch (error) {
+        console.error('Error fetching trash:', error)
+        showError(error.message || 'Could not load the trash')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchTrash()
+  }, [showError])
+
+  const handleRestore = async (design) => {
+    try {
+      await designService.restoreDesign(design)
+      setDesigns(prev => prev.filter(d => d.id !== design.id))
+      showSuccess(`Restored "${design.name}"`)
+    } catch (error) {
+      console.error('Error restoring design:', error)
+      showError(error.message || 'Could not restore design')
+    }
+  }
+
+  const handlePurge = (design) => {
+    confirm(
+      `Delete "${design.name}" for good? Its history, share links and quotes are deleted too. This cannot be undone.`,
+      async () => {
+        try {
+          await designService.purgeDesign(design.id)
+          setDesigns(prev => prev.filter(d => d.id !== design.id))
+          showSuccess(`Deleted "${design.name}"`)
+        } catch (error) {
+          console.error('Error deleting design:', error)
+          showError(error.message || 'Could not delete design')
+        }
+      },
+      'Delete Forever',
+      { confirmText: 'Delete Forever' }
+    )
+  }
+
+  const handleEmpty = () => {
+    confirm(
+      `Delete all ${designs.length} designs in the trash for good? This cannot be undone.`,
+      async () => {
+        try {
+          const result = await designService.emptyTrash()
+          setDesigns([])
+          showSuccess(result.message)
+        } catch (error) {
+          console.error('Error emptying trash:', error)
+          showError(error.message || 'Could not empty the trash')
+        }
+      },
+      'Empty Trash',
+      { confirmText: 'Empty Trash' }
+    )
+  }
+
+  return (
+    <Layout title="Trash">
+      <div className="pt-6 pb-12">
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+          <div>
+            <Link to="/" className="text-sm text-indigo-600 hover:text-indigo-800">← Back to designs</Link>
+            <h1 className="mt-2 text-2xl font-bold text-gray-800">Trash</h1>
+            {retentionDays && (
+              <p className="text-gray-500 text-sm">
+                Deleted designs are removed for good after {retentionDays} days
+              </p>
+            )}
+          </div>
+          {designs.length > 0 && (
+            <button
+              onClick={handleEmpty}
+              className="px-4 py-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+            >
+              Empty Trash
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-24">
+            <div className="w-12 h-12 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : designs.length === 0 ? (
+          <div className="bg-white rounded-2xl shadow-md p-12 text-center">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">The trash is empty</h3>
+            <p className="text-gray-500 text-sm">Designs you delete show up here until they are removed for good.</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-xl shadow-md divide-y divide-gray-100">
+            {designs.map(design => (
+              <div key={design.id} className="p-4 flex flex-col sm:flex-row sm:items-center gap-4">
+                <div
+                  className="w-24 aspect-[4/3] flex-shrink-0 rounded-md overflow-hidden"
+                  style={{ backgroundColor: design.roomConfig?.color || '#F5F5DC' }}
+                >
+                  <DesignThumbnail design={design} className="w-full h-full object-cover opacity-80" />
+                </div>
+                <div className="flex-grow min-w-0">
+                  <h3 className="font-medium text-gray-800 truncate">{design.name}</h3>
+                  <p className="text-sm text-gray-500">
+                    Deleted {new Date(design.deletedAt).toLocaleDateString()} · {design.furniture.length} items
+                  </p>
+                  <p className="text-xs text-amber-700 mt-0.5">
+                    Removed for good in {daysLeft(design.purgeAt)} day{daysLeft(design.purgeAt) === 1 ? '' : 's'}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleRestore(design)}
+                    className="px-3 py-1.5 text-sm text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100 transition-colors"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(design)}
+                    className="px-3 py-1.5 text-sm text-red-700 bg-red-50 rounded-md hover:bg-red-100 transition-colors"
+                  >
+                    Delete Forever
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default Trash
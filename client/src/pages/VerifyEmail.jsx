@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { authService } from '../services/authService'
+
+// Opened from the link emailed to a new account or a new address; confirms it straight away
+const VerifyEmail = () => {
+  const { token } = useParams()
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('')
+  // Tokens are single use, so never send one twice (effects run twice in development)
+  const verifiedToken = useRef(null)
+
+  useEffect(() => {
+    if (verifiedToken.current === token) return
+    verifiedToken.current = token
+
+    const verify = async () => {
+      try {
+        const result = await authService.verifyEmail(token)
+        setMessage(result.message)
+        setStatus('verified')
+      } catch (err) {
+        setMessage(err.message)
+        setStatus('failed')
+      }
+    }
+
+    verify()
+  }, [token])
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-indigo-50 to-purple-50">
+      <div className="w-full max-w-md p-8 space-y-8 bg-white rounded-lg shadow-xl">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-indigo-700">🛋️ Furniture Visualizer</h1>
+          <p className="mt-2 text-gray-600">Confirm your email address</p>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="flex justify-center">
+            <div className="w-10 h-10 border-4 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+        {status === 'verified' && <div className="p-3 text-sm text-green-700 bg-green-100 rounded">{message}</div>}
+        {status === 'failed' && <div className="p-3 text-sm text-red-500 bg-red-100 rounded">{message}</div>}
+
+        {status !== 'verifying' && (
+          <div className="text-center text-sm">
+            {authService.isAuthenticated() ? (
+              <Link to="/account" className="font-medium text-indigo-600 hover:text-indigo-500">
+                Back to your account
+              </Link>
+            ) : (
+              <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+                Go to login
+              </Link>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -6,54 +6,13 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 import Header from '../components/Header'
 import { designService } from '../services/designService'
 import { modelService } from '../services/modelService'
+import { catalogService } from '../services/catalogService'
 import { useNotification } from '../contexts/NotificationContext'
 
-// 3D model mapping configuration
-const MODEL_MAP = {
-  'Sofa': '/models/canba.glb',
-  'Table': '/models/table.glb',
-  'Bed': '/models/bed-2.glb',
-  'Bookshelf': '/models/bookshelf.glb', 
-  'Dresser': '/models/dresser.glb',
-  'Plant': '/models/plant.glb',
-  'default': '/models/cube.glb'
-};
-
-// Model scale factors (adjust based on actual models)
-const MODEL_SCALES = {
-  'Sofa': 0.5,
-  'Table': 0.4,
-  'Bed': 0.6,
-  'Bookshelf': 0.45,
-  'Dresser': 0.4,
-  'Plant': 0.3,
-  'default': 0.5
-};
-
-// Model Y-Position adjustments (for floor alignment)
-const MODEL_Y_POSITIONS = {
-  'Sofa': 0,
-  'Table': 0,
-  'Bed': 0,
-  'Bookshelf': 0,
-  'Dresser': 0,
-  'Plant': 0,
-  'default': 0
-};
-
-// Model rotation adjustments (in radians)
-const MODEL_ROTATIONS = {
-  'Sofa': 0,
-  'Table': 0,
-  'Bed': 0,
-  'Bookshelf': 0,
-  'Dresser': 0,
-  'Plant': 0,
-  'default': 0
-};
-
-const Viewer3D = () => {
+// Pass `sharedDesign` to show an already loaded design read-only, e.g. from a share link
+const Viewer3D = ({ sharedDesign = null }) => {
   const { designId } = useParams()
+  const readOnly = !!sharedDesign
   const containerRef = useRef(null)
   const sceneRef = useRef(null)
   const rendererRef = useRef(null)
@@ -78,9 +37,26 @@ const Viewer3D = () => {
   
   // Fetch design data
   useEffect(() => {
+    if (sharedDesign) {
+      modelService.setCatalog(sharedDesign.catalog || [])
+      setDesign(sharedDesign)
+      setTotalModels(sharedDesign.furniture.length)
+      setLoading(false)
+      return
+    }
+    
     const fetchDesign = async () => {
       try {
-        const data = await designService.getDesign(designId)
+        // The catalog says which 3D model each item uses; without it items
+        // fall back to a plain shape
+        const [data, catalog] = await Promise.all([
+          designService.getDesign(designId),
+          catalogService.getProducts().catch(catalogError => {
+            console.error('Error loading catalog:', catalogError)
+            return []
+          })
+        ])
+        modelService.setCatalog(catalog)
         setDesign(data)
         setTotalModels(data.furniture.length)
       } catch (err) {
@@ -93,7 +69,7 @@ const Viewer3D = () => {
     }
     
     fetchDesign()
-  }, [designId, showError])
+  }, [designId, sharedDesign, showError])
   
   // Setup and render 3D scene once design data is loaded
   useEffect(() => {
@@ -208,7 +184,7 @@ const Viewer3D = () => {
       const z = (item.y * scale) - (roomDepth / 2) + (item.height * scale / 2)
       
       try {
-        const model = await modelService.loadModel(item.name);
+        const model = await modelService.loadModel(item.name, item.productId);
         model.userData = { itemId: item.id };
         modelService.applyMaterial(model, item.fill);
         
@@ -220,7 +196,7 @@ const Viewer3D = () => {
           });
         }
         
-        const config = modelService.getModelConfig(item.name);
+        const config = modelService.getModelConfig(item.name, item.productId);
         model.scale.set(config.scale, config.scale, config.scale);
         model.position.set(x, config.yPosition, z);
         model.rotation.y = THREE.MathUtils.degToRad(item.rotation || 0);
@@ -659,7 +635,7 @@ const Viewer3D = () => {
   };
 
   useEffect(() => {
-    if (!selectedModelId || !design) return;
+    if (!selectedModelId || !design || readOnly) return;
     
     const handleKeyDown = (e) => {
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
@@ -690,7 +666,7 @@ const Viewer3D = () => {
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedModelId, design, moveSelectedFurniture, rotateSelectedFurniture]);
+  }, [selectedModelId, design, readOnly, moveSelectedFurniture, rotateSelectedFurniture]);
   
   const updateWallColor = (color) => {
     if (!sceneRef.current) return;
@@ -713,7 +689,7 @@ const Viewer3D = () => {
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-100">
-        <Header title="3D Room Viewer" />
+        {!readOnly && <Header title="3D Room Viewer" />}
         <div className="container p-4 mx-auto">
           <div className="flex items-center justify-center p-8 bg-white rounded-lg shadow">
             <div className="text-center">
@@ -742,14 +718,16 @@ const Viewer3D = () => {
   if (error) {
     return (
       <div className="min-h-screen bg-gray-100">
-        <Header title="3D Room Viewer" />
+        {!readOnly && <Header title="3D Room Viewer" />}
         <div className="container p-4 mx-auto">
           <div className="p-8 bg-red-50 text-red-700 rounded-lg shadow">
             <h3 className="text-xl font-bold mb-2">Error Loading Design</h3>
             <p>{error}</p>
-            <Link to="/" className="mt-4 inline-block px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
-              Return to Dashboard
-            </Link>
+            {!readOnly && (
+              <Link to="/" className="mt-4 inline-block px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
+                Return to Dashboard
+              </Link>
+            )}
           </div>
         </div>
       </div>
@@ -758,18 +736,22 @@ const Viewer3D = () => {
   
   return (
     <div className="min-h-screen bg-gray-100">
-      <Header title="3D Room Viewer" />
+      {!readOnly && <Header title="3D Room Viewer" />}
       <div className="container p-4 mx-auto">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 space-y-4 md:space-y-0">
-          <Link 
-            to={`/editor/${designId}`}
-            className="px-4 py-2 text-blue-600 border border-blue-600 rounded hover:bg-blue-50 inline-flex items-center"
-          >
-            <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path>
-            </svg>
-            Back to Editor
-          </Link>
+          {readOnly ? (
+            <h2 className="text-xl font-semibold text-gray-800">{design.name}</h2>
+          ) : (
+            <Link 
+              to={`/editor/${designId}`}
+              className="px-4 py-2 text-blue-600 border border-blue-600 rounded hover:bg-blue-50 inline-flex items-center"
+            >
+              <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path>
+              </svg>
+              Back to Editor
+            </Link>
+          )}
           <div className="flex flex-wrap gap-2">
             <div className="bg-white rounded-md shadow-sm">
               <button
@@ -831,119 +813,121 @@ const Viewer3D = () => {
                 </div>
               </div>
               
-              <div>
-                <h3 className="text-md font-medium text-gray-800 mb-3">Furniture Controls</h3>
-                {selectedModelId ? (
-                  <div className="space-y-3">
-                    {design.furniture.filter(item => item.id === selectedModelId).map(item => (
-                      <div key={item.id} className="mb-3">
-                        <div className="flex items-center mb-2">
-                          <span 
-                            className="w-3 h-3 rounded-full mr-2" 
-                            style={{ backgroundColor: item.fill }}
-                          ></span>
-                          <span className="text-sm font-medium">{item.name}</span>
+              {!readOnly && (
+                <div>
+                  <h3 className="text-md font-medium text-gray-800 mb-3">Furniture Controls</h3>
+                  {selectedModelId ? (
+                    <div className="space-y-3">
+                      {design.furniture.filter(item => item.id === selectedModelId).map(item => (
+                        <div key={item.id} className="mb-3">
+                          <div className="flex items-center mb-2">
+                            <span 
+                              className="w-3 h-3 rounded-full mr-2" 
+                              style={{ backgroundColor: item.fill }}
+                            ></span>
+                            <span className="text-sm font-medium">{item.name}</span>
+                          </div>
+                        </div>
+                      ))}
+                      <div>
+                        <label className="block mb-1 text-sm text-gray-700 flex justify-between">
+                          <span>Position</span>
+                          <span className="text-xs text-gray-500">Use WASD keys</span>
+                        </label>
+                        <div className="grid grid-cols-3 gap-2">
+                          <button
+                            onClick={() => moveSelectedFurniture('left')}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title="Move left"
+                          >
+                            <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path>
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => moveSelectedFurniture('up')}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title="Move up"
+                          >
+                            <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path>
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => moveSelectedFurniture('right')}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title="Move right"
+                          >
+                            <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path>
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => moveSelectedFurniture('down')}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors col-start-2"
+                            title="Move down"
+                          >
+                            <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
+                            </svg>
+                          </button>
                         </div>
                       </div>
-                    ))}
-                    <div>
-                      <label className="block mb-1 text-sm text-gray-700 flex justify-between">
-                        <span>Position</span>
-                        <span className="text-xs text-gray-500">Use WASD keys</span>
-                      </label>
-                      <div className="grid grid-cols-3 gap-2">
-                        <button
-                          onClick={() => moveSelectedFurniture('left')}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                          title="Move left"
-                        >
-                          <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path>
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => moveSelectedFurniture('up')}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                          title="Move up"
-                        >
-                          <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"></path>
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => moveSelectedFurniture('right')}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                          title="Move right"
-                        >
-                          <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path>
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => moveSelectedFurniture('down')}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors col-start-2"
-                          title="Move down"
-                        >
-                          <svg className="w-4 h-4 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
-                          </svg>
-                        </button>
-                      </div>
-                    </div>
                     
-                    <div>
-                      <label className="block mb-1 text-sm text-gray-700 flex justify-between">
-                        <span>Rotation</span>
-                        <span className="flex items-center">
-                          <span className="text-xs text-gray-500 mr-2">Use Q/E keys</span>
-                          {design.furniture.find(item => item.id === selectedModelId)?.rotation || 0}°
-                        </span>
-                      </label>
-                      <div className="flex items-center gap-2">
-                        <button
-                          onClick={() => rotateSelectedFurniture(-15)}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                          title="Rotate counter-clockwise"
-                        >
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                          </svg>
-                        </button>
-                        <input 
-                          type="range" 
-                          min="0" 
-                          max="360" 
-                          step="15" 
-                          value={design.furniture.find(item => item.id === selectedModelId)?.rotation || 0} 
-                          onChange={(e) => updateFurnitureRotation(parseInt(e.target.value))}
-                          className="flex-1 accent-indigo-600"
-                        />
-                        <button
-                          onClick={() => rotateSelectedFurniture(15)}
-                          className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
-                          title="Rotate clockwise"
-                        >
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" transform="scale(-1, 1) translate(-24, 0)"></path>
-                          </svg>
-                        </button>
+                      <div>
+                        <label className="block mb-1 text-sm text-gray-700 flex justify-between">
+                          <span>Rotation</span>
+                          <span className="flex items-center">
+                            <span className="text-xs text-gray-500 mr-2">Use Q/E keys</span>
+                            {design.furniture.find(item => item.id === selectedModelId)?.rotation || 0}°
+                          </span>
+                        </label>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => rotateSelectedFurniture(-15)}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title="Rotate counter-clockwise"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+                            </svg>
+                          </button>
+                          <input 
+                            type="range" 
+                            min="0" 
+                            max="360" 
+                            step="15" 
+                            value={design.furniture.find(item => item.id === selectedModelId)?.rotation || 0} 
+                            onChange={(e) => updateFurnitureRotation(parseInt(e.target.value))}
+                            className="flex-1 accent-indigo-600"
+                          />
+                          <button
+                            onClick={() => rotateSelectedFurniture(15)}
+                            className="p-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                            title="Rotate clockwise"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" transform="scale(-1, 1) translate(-24, 0)"></path>
+                            </svg>
+                          </button>
+                        </div>
                       </div>
-                    </div>
                     
-                    <button 
-                      id="save-changes-button"
-                      onClick={saveChanges}
-                      className="w-full px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 transition-colors shadow-sm mt-2"
-                    >
-                      Save Changes
-                    </button>
-                  </div>
-                ) : (
-                  <div className="bg-gray-50 rounded-md p-3 text-sm text-gray-600">
-                    <p>Select an item to modify</p>
-                  </div>
-                )}
-              </div>
+                      <button 
+                        id="save-changes-button"
+                        onClick={saveChanges}
+                        className="w-full px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 transition-colors shadow-sm mt-2"
+                      >
+                        Save Changes
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="bg-gray-50 rounded-md p-3 text-sm text-gray-600">
+                      <p>Select an item to modify</p>
+                    </div>
+                  )}
+                </div>
+              )}
               
               <div>
                 <h3 className="text-md font-medium text-gray-800 mb-3">Camera Position</h3>
@@ -1139,7 +1123,7 @@ const Viewer3D = () => {
             <li>Right click + drag: Pan camera</li>
             <li>Scroll: Zoom in/out</li>
             <li>Use side panel controls to adjust lighting and view options</li>
-            <li>Keyboard shortcuts: <span className="font-mono bg-gray-100 px-1 rounded">W</span> (up), <span className="font-mono bg-gray-100 px-1 rounded">A</span> (left), <span className="font-mono bg-gray-100 px-1 rounded">S</span> (down), <span className="font-mono bg-gray-100 px-1 rounded">D</span> (right), <span className="font-mono bg-gray-100 px-1 rounded">Q</span> (rotate counter-clockwise), <span className="font-mono bg-gray-100 px-1 rounded">E</span> (rotate clockwise)</li>
+            {!readOnly && <li>Keyboard shortcuts: <span className="font-mono bg-gray-100 px-1 rounded">W</span> (up), <span className="font-mono bg-gray-100 px-1 rounded">A</span> (left), <span className="font-mono bg-gray-100 px-1 rounded">S</span> (down), <span className="font-mono bg-gray-100 px-1 rounded">D</span> (right), <span className="font-mono bg-gray-100 px-1 rounded">Q</span> (rotate counter-clockwise), <span className="font-mono bg-gray-100 px-1 rounded">E</span> (rotate clockwise)</li>}
           </ul>
         </div>
       </div>
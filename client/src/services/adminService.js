@@ -0,0 +1,83 @@
+// Service for the admin area: managing other users' accounts
+
+import apiClient, { handleError } from './apiClient';
+
+const ADMIN_PATH = '/admin';
+
+// Account roles that may open the admin area
+export const ADMIN_ROLES = ['store_manager', 'admin'];
+
+export const adminService = {
+  async getUsers(search = '') {
+    try {
+      const response = await apiClient.get(`${ADMIN_PATH}/users`, {
+        params: search ? { search } : {},
+      });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load users');
+    }
+  },
+
+  // `changes` may hold `role` and/or `active`
+  async updateUser(userId, changes) {
+    try {
+      const response = await apiClient.put(`${ADMIN_PATH}/users/${userId}`, changes);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not update user');
+    }
+  },
+
+  async resetPassword(userId) {
+    try {
+      const response = await apiClient.post(`${ADMIN_PATH}/users/${userId}/reset-password`, {});
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not reset password');
+    }
+  },
+
+  async reassignDesigns(userId, toUserId) {
+    try {
+      const response = await apiClient.post(
+        `${ADMIN_PATH}/users/${userId}/reassign-designs`,
+        { toUserId }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not reassign designs');
+    }
+  },
+
+  // Every store, not only the admin's own (admins only)
+  async getStores() {
+    try {
+      const response = await apiClient.get(`${ADMIN_PATH}/stores`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load stores');
+    }
+  },
+
+  // `settings` may include the store's `taxRate` (a percentage) and `currency`
+  async createStore(name, settings = {}) {
+    try {
+      const response = await apiClient.post(`${ADMIN_PATH}/stores`, { name, ...settings });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not create store');
+    }
+  },
+
+  async updateStore(id, changes) {
+    try {
+      const response = await apiClient.put(`${ADMIN_PATH}/stores/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not update store');
+    }
+  },
+};
+
+export default adminService;
@@ -0,0 +1,93 @@
+// The axios instance every service talks to the API server through. It
+// sends the user's access token, refreshes it when it is about to expire,
+// retries reads that fail because the server could not be reached, and
+// ends the session when the server no longer accepts it.
+
+import axios from 'axios';
+import { authService } from './authService';
+
+// Set VITE_API_URL in client/.env to point at another API server
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Where the API server itself lives, for the WebSocket channel and
+// uploaded files it serves outside /api
+export const SERVER_URL = new URL(API_URL, window.location.origin).origin;
+
+// Reads are safe to send again; writes could be applied twice
+const RETRY_METHODS = ['get', 'head', 'options'];
+const MAX_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const apiClient = axios.create({ baseURL: API_URL });
+
+// For services: rethrow a failed request as an Error with the server's
+// message, or `fallbackMessage` when there is none. Per-field messages
+// from the server's validation go on `fieldErrors`.
+export const handleError = (error, fallbackMessage) => {
+  if (error.response && error.response.data.message) {
+    const apiError = new Error(error.response.data.message);
+    apiError.fieldErrors = error.response.data.errors;
+    throw apiError;
+  } else {
+    throw new Error(fallbackMessage);
+  }
+};
+
+// Requests made with `skipAuth: true` (login, register, ...) go out
+// without a token and their 401s are left to the caller
+apiClient.interceptors.request.use(async (config) => {
+  if (config.skipAuth) return config;
+
+  let token;
+  try {
+    token = await authService.getValidToken();
+  } catch (error) {
+    // Send the old token and let the server answer 401
+    console.error(error);
+    token = authService.getToken();
+  }
+
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (!config) return Promise.reject(error);
+
+  // No response at all: try a read again, waiting longer each time. Not
+  // worth it while the browser knows it is offline.
+  if (!response && !axios.isCancel(error) && navigator.onLine && RETRY_METHODS.includes(config.method)) {
+    config._retries = (config._retries || 0) + 1;
+    if (config._retries <= MAX_RETRIES) {
+      await wait(RETRY_DELAY_MS * 2 ** (config._retries - 1));
+      return apiClient(config);
+    }
+  }
+
+  if (response?.status === 401 && !config.skipAuth) {
+    // The access token may have expired since it was sent; refresh it and
+    // try once more
+    if (!config._retried && localStorage.getItem('refreshToken')) {
+      config._retried = true;
+      try {
+        await authService.refresh();
+        return apiClient(config);
+      } catch (refreshError) {
+        // A rejected refresh token has already ended the session
+        console.error(refreshError);
+        return Promise.reject(error);
+      }
+    }
+
+    authService.expireSession();
+  }
+
+  return Promise.reject(error);
+});
+
+export default apiClient;
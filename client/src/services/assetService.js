@@ -0,0 +1,45 @@
+// Service for uploaded 3D models (.glb/.gltf) of the current store
+
+import apiClient, { handleError } from './apiClient';
+
+const ASSETS_PATH = '/assets';
+
+export const assetService = {
+  async getAssets() {
+    try {
+      const response = await apiClient.get(ASSETS_PATH);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load models');
+    }
+  },
+
+  // `onProgress` gets the uploaded fraction, 0 to 1
+  async uploadAsset(file, name, onProgress) {
+    const formData = new FormData();
+    formData.append('model', file);
+    if (name) formData.append('name', name);
+
+    try {
+      const response = await apiClient.post(ASSETS_PATH, formData, {
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) onProgress(event.loaded / event.total);
+        },
+      });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not upload model');
+    }
+  },
+
+  async deleteAsset(id) {
+    try {
+      const response = await apiClient.delete(`${ASSETS_PATH}/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not delete model');
+    }
+  },
+};
+
+export default assetService;
@@ -1,9 +1,9 @@
 // Service to handle authentication requests
 // This will be replaced with real API calls in the future
 
-import axios from 'axios';
+import apiClient, { handleError } from './apiClient';
 
-const API_URL = 'http://localhost:5000/api/auth';
+const AUTH_PATH = '/auth';
 
 // For development, store users in localStorage
 const getUsers = () => {
@@ -22,57 +22,247 @@ if (!localStorage.getItem('users')) {
   ]);
 }
 
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const saveSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('tokenExpiresAt', String(data.tokenExpiresAt));
+};
+
+const clearSession = () => {
+  localStorage.removeItem('user');
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('tokenExpiresAt');
+};
+
+const isTokenExpiring = () => {
+  const expiresAt = Number(localStorage.getItem('tokenExpiresAt'));
+  return !expiresAt || expiresAt - Date.now() < REFRESH_MARGIN_MS;
+};
+
+// Only one refresh at a time; concurrent callers share the same request
+let refreshPromise = null;
+
+// Called when the server stops accepting the session
+const sessionExpiredListeners = new Set();
+
 export const authService = {
-  // Register user
+  // Register user. The account starts unverified and isn't signed in;
+  // the server emails a link to confirm the address.
   async register(email, password) {
     try {
-      const response = await axios.post(`${API_URL}/register`, {
+      const response = await apiClient.post(`${AUTH_PATH}/register`, {
         email,
         password,
-      });
-      
-      if (response.data) {
-        localStorage.setItem('user', JSON.stringify(response.data));
-        localStorage.setItem('token', response.data.token);
-      }
-      
+      }, { skipAuth: true });
       return response.data;
     } catch (error) {
       if (error.response && error.response.data.message) {
-        throw new Error(error.response.data.message);
+        const registerError = new Error(error.response.data.message);
+        // Per-field messages from the server's request validation
+        registerError.fieldErrors = error.response.data.errors;
+        throw registerError;
       } else {
         throw new Error('Registration failed. Please try again.');
       }
     }
   },
   
+  // Email a new confirmation link. The server answers the same way whether
+  // or not the account exists.
+  async resendVerification(email) {
+    try {
+      const response = await apiClient.post(`${AUTH_PATH}/resend-verification`, { email }, { skipAuth: true });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not send the confirmation email. Please try again.');
+    }
+  },
+  
   // Login user
   async login(email, password) {
     try {
-      const response = await axios.post(`${API_URL}/login`, {
+      const response = await apiClient.post(`${AUTH_PATH}/login`, {
         email,
         password,
-      });
+      }, { skipAuth: true });
       
       if (response.data) {
-        localStorage.setItem('user', JSON.stringify(response.data));
-        localStorage.setItem('token', response.data.token);
+        const { token: _token, refreshToken: _refreshToken, tokenExpiresAt: _expiresAt, ...user } = response.data;
+        localStorage.setItem('user', JSON.stringify(user));
+        saveSession(response.data);
       }
       
       return response.data;
     } catch (error) {
       if (error.response && error.response.data.message) {
-        throw new Error(error.response.data.message);
+        const loginError = new Error(error.response.data.message);
+        // Seconds to wait when the account or network is locked out (429)
+        loginError.retryAfter = error.response.data.retryAfter;
+        throw loginError;
       } else {
         throw new Error('Login failed. Please check your credentials.');
       }
     }
   },
   
-  // Logout user
-  logout() {
-    localStorage.removeItem('user');
-    localStorage.removeItem('token');
+  // Ask for a password reset email. The server answers the same way
+  // whether or not the email is registered.
+  async forgotPassword(email) {
+    try {
+      const response = await apiClient.post(`${AUTH_PATH}/forgot-password`, { email }, { skipAuth: true });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data.message) {
+        throw new Error(error.response.data.message);
+      } else {
+        throw new Error('Could not send the reset email. Please try again.');
+      }
+    }
+  },
+  
+  // Set a new password with the token from the reset email
+  async resetPassword(token, password) {
+    try {
+      const response = await apiClient.post(`${AUTH_PATH}/reset-password`, { token, password }, { skipAuth: true });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data.message) {
+        const resetError = new Error(error.response.data.message);
+        resetError.fieldErrors = error.response.data.errors;
+        throw resetError;
+      } else {
+        throw new Error('Could not reset your password. Please try again.');
+      }
+    }
+  },
+  
+  // Profile with the stores and any email change waiting to be confirmed
+  async getProfile() {
+    try {
+      const response = await apiClient.get(`${AUTH_PATH}/profile`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load your account');
+    }
+  },
+  
+  // `changes` may hold `name`, and `email` with `currentPassword`. A new
+  // email is only used once confirmed from the link sent to it.
+  async updateProfile(changes) {
+    try {
+      const { message, ...profile } = (await apiClient.put(`${AUTH_PATH}/profile`, changes)).data;
+      this.updateCurrentUser(profile);
+      return { ...profile, message };
+    } catch (error) {
+      handleError(error, 'Could not update your profile');
+    }
+  },
+  
+  // Confirm the account's email address, or a new one, with the token from
+  // the link sent to it
+  async verifyEmail(token) {
+    try {
+      const response = await apiClient.post(`${AUTH_PATH}/verify-email`, { token }, { skipAuth: true });
+      if (this.isAuthenticated()) {
+        this.updateCurrentUser({ email: response.data.email, pendingEmail: null, emailVerified: true });
+      }
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not confirm your email address');
+    }
+  },
+  
+  // Signs out every other session; this one gets new tokens
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await apiClient.put(`${AUTH_PATH}/password`, { currentPassword, newPassword });
+      saveSession(response.data);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not change your password');
+    }
+  },
+  
+  // `designs` is 'delete' or 'transfer'; transferring needs the email of
+  // the user who gets them as `transferTo`. Log out afterwards.
+  async deleteAccount({ password, designs, transferTo }) {
+    try {
+      const response = await apiClient.delete(`${AUTH_PATH}/account`, {
+        data: { password, designs, ...(designs === 'transfer' && { transferTo }) },
+      });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not delete your account');
+    }
+  },
+  
+  // Logout user, revoking the refresh token on the server
+  async logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+    
+    if (refreshToken) {
+      try {
+        await apiClient.post(`${AUTH_PATH}/logout`, { refreshToken }, { skipAuth: true });
+      } catch (error) {
+        // The local session is gone either way
+        console.error('Error revoking refresh token:', error);
+      }
+    }
+  },
+  
+  // Swap the refresh token for a new access token. Ends the session and
+  // throws if the refresh token is no longer valid.
+  refresh() {
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+          throw new Error('Your session has expired. Please log in again.');
+        }
+        
+        try {
+          const response = await apiClient.post(`${AUTH_PATH}/refresh`, { refreshToken }, { skipAuth: true });
+          saveSession(response.data);
+          return response.data.token;
+        } catch (error) {
+          // Keep the session on network errors; a rejected token ends it
+          if (!error.response) throw error;
+          this.expireSession();
+          throw new Error('Your session has expired. Please log in again.');
+        }
+      })().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    
+    return refreshPromise;
+  },
+  
+  // Drop a session the server has rejected and tell the listeners, which
+  // send the user to the login page
+  expireSession() {
+    if (!this.isAuthenticated()) return;
+    clearSession();
+    sessionExpiredListeners.forEach((listener) => listener());
+  },
+  
+  // Listen for the session expiring; returns a function to stop listening
+  onSessionExpired(listener) {
+    sessionExpiredListeners.add(listener);
+    return () => sessionExpiredListeners.delete(listener);
+  },
+  
+  // Access token that is valid for at least another minute
+  async getValidToken() {
+    if (localStorage.getItem('refreshToken') && isTokenExpiring()) {
+      return this.refresh();
+    }
+    return this.getToken();
   },
   
   // Get user data
@@ -80,6 +270,19 @@ export const authService = {
     return JSON.parse(localStorage.getItem('user'));
   },
   
+  // Merge changes into the stored user, e.g. after switching stores
+  updateCurrentUser(changes) {
+    const user = { ...this.getCurrentUser(), ...changes };
+    localStorage.setItem('user', JSON.stringify(user));
+    return user;
+  },
+  
+  // Unverified accounts can't share designs. Users stored before
+  // verification existed count as verified; the server has the final say.
+  isEmailVerified() {
+    return this.getCurrentUser()?.emailVerified !== false;
+  },
+  
   // Check if user is authenticated
   isAuthenticated() {
     return !!localStorage.getItem('token');
@@ -91,4 +294,4 @@ export const authService = {
   }
 };
 
-export default authService; 
\ No newline at end of file
+export default authService;
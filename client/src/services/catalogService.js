@@ -0,0 +1,72 @@
+// Service for the current store's furniture catalog. The last catalog is
+// kept in localStorage so Editor2D's palette still works offline.
+
+import apiClient, { handleError } from './apiClient';
+import { authService } from './authService';
+
+const CATALOG_PATH = '/catalog';
+const CATALOG_KEY = 'furniture_catalog';
+
+// Each store has its own catalog
+const cacheKey = () => {
+  const user = authService.getCurrentUser();
+  return user ? `${CATALOG_KEY}_${user._id}_${user.currentStore?._id}` : CATALOG_KEY;
+};
+
+export const catalogService = {
+  // Active products, sorted by category then name. Filters are
+  // `category`, `search` and (for store managers) `includeInactive`.
+  async getProducts(filters = {}) {
+    const unfiltered = Object.keys(filters).length === 0;
+
+    try {
+      const response = await apiClient.get(CATALOG_PATH, { params: filters });
+      if (unfiltered) {
+        localStorage.setItem(cacheKey(), JSON.stringify(response.data));
+      }
+      return response.data;
+    } catch (error) {
+      const cached = unfiltered && !error.response && localStorage.getItem(cacheKey());
+      if (cached) {
+        return JSON.parse(cached);
+      }
+      handleError(error, 'Could not load the furniture catalog');
+    }
+  },
+
+  // The last catalog fetched, without going to the server
+  getCachedProducts() {
+    const cached = localStorage.getItem(cacheKey());
+    return cached ? JSON.parse(cached) : [];
+  },
+
+  async createProduct(product) {
+    try {
+      const response = await apiClient.post(CATALOG_PATH, product);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not add product');
+    }
+  },
+
+  async updateProduct(id, changes) {
+    try {
+      const response = await apiClient.put(`${CATALOG_PATH}/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not update product');
+    }
+  },
+
+  // Discontinues the product; designs that use it are unaffected
+  async deleteProduct(id) {
+    try {
+      const response = await apiClient.delete(`${CATALOG_PATH}/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not discontinue product');
+    }
+  },
+};
+
+export default catalogService;
@@ -0,0 +1,158 @@
+// Service for the live editing channel of a design: furniture operations,
+// cursors and selections of everyone who has the design open
+
+import { authService } from './authService';
+import { SERVER_URL } from './apiClient';
+import { applyFurnitureOp } from '../utils/furnitureOps';
+
+// ws:// or wss:// to match the API server
+const WS_URL = `${SERVER_URL.replace(/^http/, 'ws')}/ws/designs`;
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+const CURSOR_THROTTLE_MS = 50;
+
+export const collabService = {
+  // Join the live session of a design. `handlers` are all optional:
+  //   onSync(furniture, peers)   full live state, on (re)connect or restore
+  //   onOp(op, peerId)           another user's furniture operation
+  //   onPeerJoined(peer) / onPeerLeft(peerId)
+  //   onCursor(peerId, cursor) / onSelect(peerId, itemId)
+  //   onSaved(savedBy)           someone saved the design
+  //   onRoleChange(role)         the owner changed this user's role
+  //   onClosed(message)          access was removed; the session is over
+  //   onStatusChange(connected)
+  connect(designId, handlers = {}) {
+    let socket = null;
+    let closed = false;
+    let attempts = 0;
+    let reconnectTimer = null;
+    let lastCursorAt = 0;
+    // Local operations made while disconnected, sent after reconnecting
+    let pending = [];
+
+    const send = (message) => {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+        return true;
+      }
+      return false;
+    };
+
+    const handleMessage = (message) => {
+      switch (message.type) {
+        case 'welcome': {
+          const furniture = pending.reduce(applyFurnitureOp, message.furniture);
+          pending.forEach(op => send({ type: 'op', op }));
+          pending = [];
+          handlers.onSync?.(furniture, message.peers);
+          break;
+        }
+        case 'op':
+          handlers.onOp?.(message.op, message.peerId);
+          break;
+        case 'peer-joined':
+          handlers.onPeerJoined?.(message.peer);
+          break;
+        case 'peer-left':
+          handlers.onPeerLeft?.(message.peerId);
+          break;
+        case 'cursor':
+          handlers.onCursor?.(message.peerId, message.cursor);
+          break;
+        case 'select':
+          handlers.onSelect?.(message.peerId, message.itemId);
+          break;
+        case 'saved':
+          if (message.furniture) {
+            handlers.onSync?.(message.furniture);
+          }
+          handlers.onSaved?.(message.savedBy);
+          break;
+        case 'role':
+          handlers.onRoleChange?.(message.role);
+          break;
+        case 'closed':
+          closed = true;
+          handlers.onClosed?.(message.message);
+          break;
+        case 'error':
+          console.warn('Live editing:', message.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const scheduleReconnect = () => {
+      const delay = RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+      attempts += 1;
+      reconnectTimer = setTimeout(open, delay);
+    };
+
+    const open = async () => {
+      // The server only checks the access token when the socket connects
+      let token;
+      try {
+        token = await authService.getValidToken();
+      } catch (error) {
+        if (!authService.isAuthenticated()) {
+          closed = true;
+          handlers.onClosed?.(error.message);
+        } else {
+          scheduleReconnect();
+        }
+        return;
+      }
+      if (closed) return;
+
+      socket = new WebSocket(`${WS_URL}/${designId}?token=${encodeURIComponent(token || '')}`);
+
+      socket.onopen = () => {
+        attempts = 0;
+        handlers.onStatusChange?.(true);
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          handleMessage(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Invalid live editing message:', error);
+        }
+      };
+
+      socket.onclose = () => {
+        handlers.onStatusChange?.(false);
+        if (!closed) scheduleReconnect();
+      };
+    };
+
+    open();
+
+    return {
+      sendOp(op) {
+        if (!send({ type: 'op', op })) {
+          pending.push(op);
+        }
+      },
+
+      // Pass null when the pointer leaves the stage
+      sendCursor(cursor) {
+        const now = Date.now();
+        if (cursor && now - lastCursorAt < CURSOR_THROTTLE_MS) return;
+        lastCursorAt = now;
+        send({ type: 'cursor', cursor });
+      },
+
+      sendSelect(itemId) {
+        send({ type: 'select', itemId });
+      },
+
+      close() {
+        closed = true;
+        clearTimeout(reconnectTimer);
+        if (socket) socket.close();
+      },
+    };
+  },
+};
+
+export default collabService;
@@ -0,0 +1,52 @@
+// Service to manage who else can view or edit a design
+
+import apiClient, { handleError } from './apiClient';
+
+const DESIGNS_PATH = '/designs';
+
+// Every call resolves to `{ owner, collaborators }`
+export const collaboratorService = {
+  async getCollaborators(designId) {
+    try {
+      const response = await apiClient.get(`${DESIGNS_PATH}/${designId}/collaborators`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load collaborators');
+    }
+  },
+
+  async addCollaborator(designId, email, role) {
+    try {
+      const response = await apiClient.post(
+        `${DESIGNS_PATH}/${designId}/collaborators`,
+        { email, role }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not invite collaborator');
+    }
+  },
+
+  async updateCollaborator(designId, userId, role) {
+    try {
+      const response = await apiClient.put(
+        `${DESIGNS_PATH}/${designId}/collaborators/${userId}`,
+        { role }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not change role');
+    }
+  },
+
+  async removeCollaborator(designId, userId) {
+    try {
+      const response = await apiClient.delete(`${DESIGNS_PATH}/${designId}/collaborators/${userId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not remove collaborator');
+    }
+  },
+};
+
+export default collaboratorService;
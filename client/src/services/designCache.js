@@ -0,0 +1,197 @@
+// Local copy of the user's designs plus the queue of changes that
+// still have to reach the server. Everything lives in localStorage so
+// it survives reloads while the tablet is offline.
+
+import { authService } from './authService';
+
+const DESIGNS_KEY = 'furniture_designs';
+const QUEUE_KEY = 'furniture_designs_queue';
+const ID_MAP_KEY = 'furniture_designs_ids';
+
+// Designs kept for offline use besides those with changes still to send;
+// localStorage only holds a few megabytes
+const MAX_CACHED_DESIGNS = 100;
+
+// Keys are scoped per user so a shared tablet never mixes accounts
+const scopedKey = (key) => {
+  const user = authService.getCurrentUser();
+  return user ? `${key}_${user._id}` : key;
+};
+
+const read = (key, fallback) => {
+  const value = localStorage.getItem(scopedKey(key));
+  return value ? JSON.parse(value) : fallback;
+};
+
+const write = (key, value) => {
+  localStorage.setItem(scopedKey(key), JSON.stringify(value));
+};
+
+// The server serves thumbnails on their own, and they are most of a
+// design's size, so cached copies leave them out
+const withoutThumbnail = (design) => {
+  const copy = { ...design };
+  delete copy.thumbnail;
+  return copy;
+};
+
+// Identifies a queued operation wherever it moves in the queue
+const newKey = () => `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith('local-');
+
+export const designCache = {
+  // Forget everything kept for the current user, e.g. once their account is deleted
+  clear() {
+    [DESIGNS_KEY, QUEUE_KEY, ID_MAP_KEY].forEach(key => localStorage.removeItem(scopedKey(key)));
+  },
+
+  getDesigns() {
+    return read(DESIGNS_KEY, []);
+  },
+
+  // Keeps the first MAX_CACHED_DESIGNS of `designs`, plus any the queue
+  // still needs
+  setDesigns(designs) {
+    const pendingIds = new Set(this.getQueue().map(op => op.id));
+    const needed = (design) => isLocalId(design.id) || pendingIds.has(design.id);
+    let others = 0;
+    const kept = designs
+      .filter(design => needed(design) || others++ < MAX_CACHED_DESIGNS)
+      .map(withoutThumbnail);
+
+    try {
+      write(DESIGNS_KEY, kept);
+    } catch (error) {
+      if (error.name !== 'QuotaExceededError') throw error;
+      write(DESIGNS_KEY, kept.filter(needed));
+    }
+  },
+
+  getDesign(id) {
+    return this.getDesigns().find(d => d.id === this.resolveId(id)) || null;
+  },
+
+  upsertDesign(design) {
+    const designs = this.getDesigns();
+    const index = designs.findIndex(d => d.id === design.id);
+
+    if (index === -1) {
+      designs.unshift(design);
+    } else {
+      designs[index] = design;
+    }
+
+    this.setDesigns(designs);
+    return design;
+  },
+
+  removeDesign(id) {
+    this.setDesigns(this.getDesigns().filter(d => d.id !== id));
+  },
+
+  // Offline-created designs get a temporary id until the server assigns one
+  resolveId(id) {
+    return read(ID_MAP_KEY, {})[id] || id;
+  },
+
+  replaceId(localId, serverId) {
+    write(ID_MAP_KEY, { ...read(ID_MAP_KEY, {}), [localId]: serverId });
+
+    this.setDesigns(this.getDesigns().map(d => (
+      d.id === localId ? { ...d, id: serverId } : d
+    )));
+    this.setQueue(this.getQueue().map(op => (
+      op.id === localId ? { ...op, id: serverId } : op
+    )));
+  },
+
+  getQueue() {
+    return read(QUEUE_KEY, []);
+  },
+
+  setQueue(queue) {
+    write(QUEUE_KEY, queue);
+  },
+
+  // Add an operation, folding it into what is already queued for the
+  // same design so a long offline session replays as few requests as
+  // possible. A change already being sent is never folded into or dropped.
+  enqueue(op) {
+    const queue = this.getQueue();
+    const pending = queue.filter(item => item.id === op.id);
+    const last = pending[pending.length - 1];
+
+    if (op.type === 'update' && last && last.type !== 'delete' && !last.inFlight) {
+      last.data = { ...last.data, ...op.data };
+      this.setQueue(queue);
+      return;
+    }
+
+    if (op.type === 'delete') {
+      const remaining = queue.filter(item => item.id !== op.id || item.inFlight);
+
+      if (pending.some(item => item.type === 'create' && !item.inFlight)) {
+        // The server never saw this design, so there is nothing to delete
+        this.setQueue(remaining);
+      } else {
+        this.setQueue([...remaining, { ...op, key: newKey() }]);
+      }
+      return;
+    }
+
+    this.setQueue([...queue, { ...op, key: newKey() }]);
+  },
+
+  // Take back a delete that hasn't been sent yet. Returns whether there was one.
+  dropQueuedDelete(id) {
+    const queue = this.getQueue();
+    const remaining = queue.filter(op => !(op.id === id && op.type === 'delete' && !op.inFlight));
+    this.setQueue(remaining);
+    return remaining.length < queue.length;
+  },
+
+  // Mark the first queued operation as being sent and return it
+  startNext() {
+    const queue = this.getQueue();
+    if (queue.length === 0) return null;
+
+    // Queues saved before operations had keys get one now
+    queue[0] = { ...queue[0], key: queue[0].key || newKey(), inFlight: true };
+    this.setQueue(queue);
+    return queue[0];
+  },
+
+  // Remove an operation once it has been sent or rejected, wherever
+  // later changes have left it in the queue
+  finish(op) {
+    this.setQueue(this.getQueue().filter(item => item.key !== op.key));
+  },
+
+  // Put an operation that could not be sent back to waiting
+  release(op) {
+    this.setQueue(this.getQueue().map(item => (
+      item.key === op.key ? { ...item, inFlight: false } : item
+    )));
+  },
+
+  // Updates queued while an earlier change to the design was being sent
+  // build on the revision that change produced. Their edits are kept in
+  // the cached copy the server response replaced.
+  rebaseQueued(design) {
+    const queue = this.getQueue();
+    const pending = queue.filter(op => op.id === design.id && op.type === 'update' && !op.inFlight);
+    if (pending.length === 0) return;
+
+    this.setQueue(queue.map(op => (
+      pending.includes(op) ? { ...op, baseRevision: design.revision } : op
+    )));
+    this.upsertDesign(Object.assign({ ...design }, ...pending.map(op => op.data)));
+  },
+
+  hasPendingChanges(id) {
+    return this.getQueue().some(op => op.id === id);
+  },
+};
+
+export default designCache;
@@ -1,127 +1,557 @@
-import { authService } from './authService';
-
-const DESIGNS_KEY = 'furniture_designs';
-
-const getDesigns = () => {
-  const designs = localStorage.getItem(DESIGNS_KEY);
-  if (!designs) {
-
-    const initialDesigns = [
-      {
-        id: '1',
-        name: 'Living Room',
-        lastModified: '2023-05-10',
-        thumbnail: '',
-        userId: 'test123',
-        roomConfig: {
-          width: 500,
-          height: 400,
-          color: '#F5F5DC',
-          wallColor: '#F5F5F5'
-        },
-        furniture: [
-          { id: 1, x: 50, y: 50, width: 100, height: 60, fill: '#8B4513', name: 'Sofa' },
-          { id: 2, x: 200, y: 150, width: 80, height: 80, fill: '#A0522D', name: 'Coffee Table' }
-        ]
-      },
-      {
-        id: '2',
-        name: 'Bedroom',
-        lastModified: '2023-05-15',
-        thumbnail: '',
-        userId: 'test123',
-        roomConfig: {
-          width: 450,
-          height: 350,
-          color: '#E6E6FA'
-        },
-        furniture: [
-          { id: 1, x: 150, y: 100, width: 120, height: 200, fill: '#8B4513', name: 'Bed' },
-          { id: 2, x: 300, y: 120, width: 50, height: 50, fill: '#A0522D', name: 'Nightstand' }
-        ]
-      }
-    ];
-    localStorage.setItem(DESIGNS_KEY, JSON.stringify(initialDesigns));
-    return initialDesigns;
+// Service to handle design requests against the /api/designs endpoints.
+// Designs are cached locally and changes made while offline are queued
+// and replayed once the connection comes back.
+
+import apiClient, { handleError } from './apiClient';
+import { designCache, isLocalId } from './designCache';
+import { catalogService } from './catalogService';
+
+const DESIGNS_PATH = '/designs';
+
+// No response at all means we never reached the server
+const isNetworkError = (error) => !error.response;
+
+const isOffline = () => !navigator.onLine;
+
+// Designs created locally have no role until the server has seen them
+const isOwned = (design) => !design.role || design.role === 'owner';
+
+const SHARED_DESIGNS_LIMIT = 50;
+const DEFAULT_PAGE_SIZE = 12;
+
+// Floor area bands for the room size filter, in cm², as on the server
+const ROOM_SIZES = {
+  small: { max: 120000 },
+  medium: { min: 120000, max: 250000 },
+  large: { min: 250000 },
+};
+
+const DESIGN_SORTS = {
+  updated: (a, b) => new Date(a.lastModified) - new Date(b.lastModified),
+  name: (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' }),
+  items: (a, b) => (a.furniture?.length || 0) - (b.furniture?.length || 0),
+};
+
+// The search, filters, sort and paging of GET /api/designs, applied to
+// cached designs for when the server can't be reached
+const queryCachedDesigns = (designs, query = {}) => {
+  const { search = '', size, category, folder, tag, favorite, sort = 'updated', order } = query;
+  const page = Number(query.page) || 1;
+  const limit = Number(query.limit) || DEFAULT_PAGE_SIZE;
+  let results = designs;
+
+  const term = search.trim().toLowerCase();
+  if (term) {
+    results = results.filter(d => (d.name || '').toLowerCase().includes(term));
+  }
+
+  const band = ROOM_SIZES[size];
+  if (band) {
+    results = results.filter(d => {
+      const area = (d.roomConfig?.width || 0) * (d.roomConfig?.height || 0);
+      return (band.min === undefined || area >= band.min) && (band.max === undefined || area < band.max);
+    });
+  }
+
+  if (category) {
+    const productIds = new Set(
+      catalogService.getCachedProducts().filter(p => p.category === category).map(p => p._id)
+    );
+    results = results.filter(d => (d.furniture || []).some(item => productIds.has(item.productId)));
+  }
+
+  if (folder) {
+    results = results.filter(d => (folder === 'none' ? !d.folder : d.folder === folder));
   }
-  return JSON.parse(designs);
+
+  if (tag) {
+    results = results.filter(d => (d.tags || []).includes(tag.trim().toLowerCase()));
+  }
+
+  if (String(favorite) === 'true') {
+    results = results.filter(d => d.favorite);
+  }
+
+  const compare = DESIGN_SORTS[sort] || DESIGN_SORTS.updated;
+  const direction = (order || (sort === 'name' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  results = [...results].sort((a, b) => compare(a, b) * direction);
+
+  return {
+    designs: results.slice((page - 1) * limit, page * limit),
+    page,
+    pages: Math.max(Math.ceil(results.length / limit), 1),
+    total: results.length,
+  };
+};
+
+// Only a page is fetched at a time, so merge it into the cache rather
+// than replacing what is there
+const cacheFetchedDesigns = (designs) => {
+  const fetchedIds = new Set(designs.map(d => d.id));
+  designCache.setDesigns([...designs, ...designCache.getDesigns().filter(d => !fetchedIds.has(d.id))]);
+};
+
+// The server definitely refused the change, so sending it again won't
+// help. Server errors, timeouts, rate limits and an expired session may
+// pass, so those changes stay queued.
+const RETRYABLE_STATUSES = [401, 408, 429];
+const isRejection = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status);
 };
 
-const saveDesigns = (designs) => {
-  localStorage.setItem(DESIGNS_KEY, JSON.stringify(designs));
+// How long to wait before trying queued changes again after a server error
+const SYNC_RETRY_MS = 30 * 1000;
+let retryTimer = null;
+
+const statusListeners = new Set();
+const syncListeners = new Set();
+let conflictResolver = null;
+let activeSync = null;
+
+const notifyStatus = () => {
+  const status = designService.getSyncStatus();
+  statusListeners.forEach(listener => listener(status));
 };
 
-const getAuthHeader = () => {
-  const token = authService.getToken();
-  return token ? { Authorization: `Bearer ${token}` } : {};
+const queueChange = (op) => {
+  designCache.enqueue(op);
+  notifyStatus();
+
+  if (!isOffline()) {
+    designService.syncPendingChanges();
+  }
 };
 
 export const designService = {
 
-  async getDesigns() {
+  // A page of the user's own designs. `query` takes the same options as
+  // GET /api/designs: search, size, category, sort, order, page and limit.
+  // Resolves to `{ designs, page, pages, total }`.
+  async getDesigns(query = {}) {
+    if (isOffline()) {
+      return queryCachedDesigns(designCache.getDesigns().filter(isOwned), query);
+    }
+
+    await this.syncPendingChanges();
+
+    try {
+      const response = await apiClient.get(DESIGNS_PATH, { params: query });
+
+      // Keep local copies of anything the server has not seen yet
+      const queue = designCache.getQueue();
+      const pendingIds = new Set(queue.map(op => op.id));
+      const deletedIds = new Set(queue.filter(op => op.type === 'delete').map(op => op.id));
+      const cached = designCache.getDesigns();
 
-    const designs = localStorage.getItem('furniture_designs');
-    return designs ? JSON.parse(designs) : [];
+      const designs = response.data.designs
+        .filter(d => !deletedIds.has(d.id))
+        .map(d => (pendingIds.has(d.id) && cached.find(c => c.id === d.id)) || d);
+
+      // Designs created offline that failed to sync lead the first page
+      const unsynced = cached.filter(d => isLocalId(d.id) && pendingIds.has(d.id));
+      if (response.data.page === 1 && unsynced.length > 0) {
+        designs.unshift(...queryCachedDesigns(unsynced, { ...query, page: 1, limit: unsynced.length }).designs);
+      }
+
+      cacheFetchedDesigns(designs);
+      return { ...response.data, designs };
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return queryCachedDesigns(designCache.getDesigns().filter(isOwned), query);
+      }
+      handleError(error, 'Could not load designs');
+    }
+  },
+
+  // Designs other users have invited this user to, most recent first
+  async getSharedDesigns() {
+    if (isOffline()) {
+      return designCache.getDesigns().filter(d => !isOwned(d));
+    }
+
+    try {
+      const response = await apiClient.get(DESIGNS_PATH, {
+        params: { scope: 'shared', limit: SHARED_DESIGNS_LIMIT },
+      });
+
+      cacheFetchedDesigns(response.data.designs);
+      return response.data.designs;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return designCache.getDesigns().filter(d => !isOwned(d));
+      }
+      handleError(error, 'Could not load shared designs');
+    }
+  },
+
+  // The image behind a listed design's `thumbnailUrl`, as a Blob
+  async getThumbnail(url) {
+    const response = await apiClient.get(url, { responseType: 'blob' });
+    return response.data;
   },
-  
 
   async getDesign(id) {
-    const designs = await this.getDesigns();
-    const design = designs.find(d => d.id === id);
-    
-    if (!design) {
-      throw new Error('Design not found');
+    const designId = designCache.resolveId(id);
+
+    if (isOffline() || isLocalId(designId) || designCache.hasPendingChanges(designId)) {
+      const design = designCache.getDesign(designId);
+      if (design) {
+        return design;
+      }
+    }
+
+    try {
+      const response = await apiClient.get(`${DESIGNS_PATH}/${designId}`);
+      return designCache.upsertDesign(response.data);
+    } catch (error) {
+      const cachedDesign = isNetworkError(error) && designCache.getDesign(designId);
+      if (cachedDesign) {
+        return cachedDesign;
+      }
+      handleError(error, 'Design not found');
     }
-    
-    return design;
   },
-  
+
 
   async createDesign(designData) {
-    const designs = await this.getDesigns();
-    
-    const newDesign = {
-      id: Date.now().toString(),
+    if (!isOffline()) {
+      try {
+        const response = await apiClient.post(DESIGNS_PATH, designData);
+        return designCache.upsertDesign(response.data);
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          handleError(error, 'Could not create design');
+        }
+      }
+    }
+
+    const localDesign = {
       ...designData,
+      id: `local-${Date.now()}`,
+      revision: 0,
       lastModified: new Date().toISOString(),
-      userId: JSON.parse(localStorage.getItem('user'))._id,
     };
-    
-    const updatedDesigns = [...designs, newDesign];
-    localStorage.setItem('furniture_designs', JSON.stringify(updatedDesigns));
-    
-    return newDesign;
+
+    designCache.upsertDesign(localDesign);
+    queueChange({ type: 'create', id: localDesign.id, data: designData });
+
+    return localDesign;
   },
-  
+
 
   async updateDesign(id, designData) {
-    const designs = await this.getDesigns();
-    const index = designs.findIndex(d => d.id === id);
-    
-    if (index === -1) {
-      throw new Error('Design not found');
-    }
-    
-    const updatedDesign = {
-      ...designs[index],
+    const designId = designCache.resolveId(id);
+    const cachedDesign = designCache.getDesign(designId);
+    const baseRevision = cachedDesign ? cachedDesign.revision : undefined;
+
+    if (!isOffline() && !designCache.hasPendingChanges(designId)) {
+      try {
+        return await this._pushUpdate(designId, designData, baseRevision);
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          handleError(error, 'Could not update design');
+        }
+      }
+    }
+
+    const localDesign = designCache.upsertDesign({
+      ...cachedDesign,
       ...designData,
+      id: designId,
       lastModified: new Date().toISOString(),
-    };
-    
-    designs[index] = updatedDesign;
-    localStorage.setItem('furniture_designs', JSON.stringify(designs));
-    
-    return updatedDesign;
+    });
+
+    queueChange({ type: 'update', id: designId, data: designData, baseRevision });
+
+    return localDesign;
   },
-  
+
+  // File a design in a folder (or `folder: null` for none), set its tags or
+  // star it. Needs the server, and doesn't change the design itself.
+  async organizeDesign(id, changes) {
+    try {
+      const designId = designCache.resolveId(id);
+      const response = await apiClient.put(`${DESIGNS_PATH}/${designId}/organize`, changes);
+
+      // Keep any unsynced edits in the cached copy
+      const cached = designCache.getDesign(designId);
+      return designCache.upsertDesign(cached ? { ...cached, ...changes, tags: response.data.tags } : response.data);
+    } catch (error) {
+      handleError(error, 'Organising designs needs a connection');
+    }
+  },
+
+  // Tags on the user's designs as `{ tag, count }`, alphabetically
+  async getTags() {
+    try {
+      const response = await apiClient.get(`${DESIGNS_PATH}/tags`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Tags are not available offline');
+    }
+  },
+
+  // Moves the design to the trash, where it can be restored until the
+  // server empties it
   async deleteDesign(id) {
-    const designs = await this.getDesigns();
-    const updatedDesigns = designs.filter(d => d.id !== id);
-    
-    localStorage.setItem('furniture_designs', JSON.stringify(updatedDesigns));
-    
+    const designId = designCache.resolveId(id);
+
+    if (!isOffline() && !isLocalId(designId)) {
+      try {
+        await apiClient.delete(`${DESIGNS_PATH}/${designId}`);
+        designCache.removeDesign(designId);
+        return true;
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          handleError(error, 'Could not delete design');
+        }
+      }
+    }
+
+    designCache.removeDesign(designId);
+    queueChange({ type: 'delete', id: designId });
+
     return true;
   },
+
+  // Designs in the trash as `{ designs, retentionDays }`; each design has
+  // the `purgeAt` date it will be removed for good
+  async getTrash() {
+    try {
+      const response = await apiClient.get(`${DESIGNS_PATH}/trash`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'The trash is not available offline');
+    }
+  },
+
+  // Take a design out of the trash. A delete made offline that hasn't
+  // been synced yet is simply dropped from the queue.
+  async restoreDesign(design) {
+    const designId = designCache.resolveId(design.id);
+
+    if (designCache.dropQueuedDelete(designId)) {
+      notifyStatus();
+      return designCache.upsertDesign(design);
+    }
+
+    // The server never saw a design created offline, so it is created again
+    if (isLocalId(designId)) {
+      const { name, roomConfig, furniture } = design;
+      return this.createDesign({ name, roomConfig, furniture });
+    }
+
+    try {
+      const response = await apiClient.post(`${DESIGNS_PATH}/${designId}/restore`, {});
+      return designCache.upsertDesign(response.data);
+    } catch (error) {
+      handleError(error, 'Could not restore design');
+    }
+  },
+
+  async purgeDesign(id) {
+    try {
+      const response = await apiClient.delete(`${DESIGNS_PATH}/${id}/permanent`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not delete design');
+    }
+  },
+
+  async emptyTrash() {
+    try {
+      const response = await apiClient.delete(`${DESIGNS_PATH}/trash`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not empty the trash');
+    }
+  },
+
+  async getRevisions(id) {
+    try {
+      const designId = designCache.resolveId(id);
+      const response = await apiClient.get(`${DESIGNS_PATH}/${designId}/revisions`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Revision history is not available offline');
+    }
+  },
+
+  async getRevision(id, revision) {
+    try {
+      const designId = designCache.resolveId(id);
+      const response = await apiClient.get(`${DESIGNS_PATH}/${designId}/revisions/${revision}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load revision');
+    }
+  },
+
+  async restoreRevision(id, revision) {
+    try {
+      const designId = designCache.resolveId(id);
+      const response = await apiClient.post(
+        `${DESIGNS_PATH}/${designId}/revisions/${revision}/restore`,
+        {}
+      );
+      return designCache.upsertDesign(response.data);
+    } catch (error) {
+      handleError(error, 'Could not restore revision');
+    }
+  },
+
+  // Send an update, asking the conflict resolver what to do when the
+  // server copy has moved on since `baseRevision`
+  async _pushUpdate(id, designData, baseRevision) {
+    try {
+      const response = await apiClient.put(
+        `${DESIGNS_PATH}/${id}`,
+        { ...designData, revision: baseRevision }
+      );
+      return designCache.upsertDesign(response.data);
+    } catch (error) {
+      if (!error.response || error.response.status !== 409) {
+        throw error;
+      }
+
+      const serverDesign = error.response.data.design;
+      const localDesign = { ...designCache.getDesign(id), ...designData };
+      const choice = conflictResolver
+        ? await conflictResolver(localDesign, serverDesign)
+        : 'local';
+
+      if (choice === 'server') {
+        return designCache.upsertDesign(serverDesign);
+      }
+
+      return this._pushUpdate(id, designData, serverDesign.revision);
+    }
+  },
+
+  async _replay(op) {
+    switch (op.type) {
+      case 'create': {
+        const response = await apiClient.post(DESIGNS_PATH, op.data);
+        designCache.replaceId(op.id, response.data.id);
+
+        // Deleted while being created: the queued delete now carries the
+        // server id, and the design stays out of the cache
+        const deleted = designCache.getQueue().some(item => item.id === response.data.id && item.type === 'delete');
+        if (!deleted) {
+          designCache.upsertDesign(response.data);
+          designCache.rebaseQueued(response.data);
+        }
+        break;
+      }
+      case 'update': {
+        const saved = await this._pushUpdate(op.id, op.data, op.baseRevision);
+        designCache.rebaseQueued(saved);
+        break;
+      }
+      case 'delete':
+        try {
+          await apiClient.delete(`${DESIGNS_PATH}/${op.id}`);
+        } catch (error) {
+          // Already gone on the server is as good as deleted
+          if (!error.response || error.response.status !== 404) {
+            throw error;
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  },
+
+  // Replay queued changes in order. Stops at the first change that could
+  // not be sent, or that hit a server error, and leaves the rest of the
+  // queue for the next attempt (after a server error, SYNC_RETRY_MS later).
+  // Changes the server rejects are dropped and reported to the sync
+  // listeners as `failed`, with the name of each design and the server's
+  // message.
+  async syncPendingChanges() {
+    if (activeSync) {
+      return activeSync;
+    }
+
+    activeSync = (async () => {
+      let synced = 0;
+      const failed = [];
+
+      while (!isOffline() && designCache.getQueue().length > 0) {
+        const op = designCache.startNext();
+
+        try {
+          await this._replay(op);
+          synced++;
+        } catch (error) {
+          if (!isRejection(error)) {
+            designCache.release(op);
+            if (!isNetworkError(error) && !retryTimer) {
+              retryTimer = setTimeout(() => {
+                retryTimer = null;
+                this.syncPendingChanges();
+              }, SYNC_RETRY_MS);
+            }
+            break;
+          }
+          failed.push({
+            id: op.id,
+            name: designCache.getDesign(op.id)?.name || op.data?.name || 'A deleted design',
+            message: error.response?.data?.message || error.message,
+          });
+        }
+
+        designCache.finish(op);
+        notifyStatus();
+      }
+
+      const result = { synced, failed };
+      if (synced > 0 || failed.length > 0) {
+        syncListeners.forEach(listener => listener(result));
+      }
+      return result;
+    })();
+
+    try {
+      return await activeSync;
+    } finally {
+      activeSync = null;
+      notifyStatus();
+    }
+  },
+
+  getSyncStatus() {
+    return {
+      online: !isOffline(),
+      pending: designCache.getQueue().length,
+    };
+  },
+
+  // Subscribe to online/pending changes. Returns an unsubscribe function.
+  onSyncStatusChange(listener) {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  },
+
+  // Subscribe to the results of syncing queued changes, as
+  // `{ synced, failed }`. Returns an unsubscribe function.
+  onSyncComplete(listener) {
+    syncListeners.add(listener);
+    return () => syncListeners.delete(listener);
+  },
+
+  // `resolver(localDesign, serverDesign)` resolves to 'local' or 'server'
+  setConflictResolver(resolver) {
+    conflictResolver = resolver;
+  },
 };
 
-export default designService; 
\ No newline at end of file
+window.addEventListener('online', () => {
+  notifyStatus();
+  designService.syncPendingChanges();
+});
+window.addEventListener('offline', notifyStatus);
+
+export default designService;
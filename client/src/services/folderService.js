@@ -0,0 +1,48 @@
+// Service for the folders designers file their designs in. Folders are
+// per user and per store.
+
+import apiClient, { handleError } from './apiClient';
+
+const FOLDERS_PATH = '/folders';
+
+export const folderService = {
+  // Folders sorted by name, each with its `designCount`
+  async getFolders() {
+    try {
+      const response = await apiClient.get(FOLDERS_PATH);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Folders are not available offline');
+    }
+  },
+
+  async createFolder(name) {
+    try {
+      const response = await apiClient.post(FOLDERS_PATH, { name });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not create folder');
+    }
+  },
+
+  async renameFolder(id, name) {
+    try {
+      const response = await apiClient.put(`${FOLDERS_PATH}/${id}`, { name });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not rename folder');
+    }
+  },
+
+  // The folder's designs are kept and become unfiled
+  async deleteFolder(id) {
+    try {
+      const response = await apiClient.delete(`${FOLDERS_PATH}/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not delete folder');
+    }
+  },
+};
+
+export default folderService;
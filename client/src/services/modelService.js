@@ -1,45 +1,18 @@
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 import * as THREE from 'three'
+import { SERVER_URL } from './apiClient'
 
-const MODEL_MAP = {
-  'Sofa': '/models/canba.glb',
-  'Table': '/models/table.glb',
-  'Bed': '/models/bed-2.glb',
-  'Bookshelf': '/models/bookshelf.glb', 
-  'Dresser': '/models/dresser.glb',
-  'Plant': '/models/plant.glb',
-  'default': '/models/cube.glb'
-};
+// Uploaded models are served by the API server; other URLs are used as is
+const ASSET_PATH = '/assets/';
 
-const MODEL_SCALES = {
-  'Sofa': 1,
-  'Table': 0.18,
-  'Bed': 1.9,
-  'Bookshelf': 0.45,
-  'Dresser': 0.4,
-  'Plant': 0.3,
-  'default': 0.5
-};
+const resolveModelUrl = (url) => (url && url.startsWith(ASSET_PATH) ? `${SERVER_URL}${url}` : url);
 
-const MODEL_Y_POSITIONS = {
-  'Sofa': 0,
-  'Table': 0.7,
-  'Bed': 0.5,
-  'Bookshelf': 0.5,
-  'Dresser': 0.3,
-  'Plant': 0.1,
-  'default': 0
-};
+// Furniture whose product has no 3D model is drawn as a plain shape
+const DEFAULT_MODEL = { url: '', scale: 0.5, yOffset: 0 };
 
-const MODEL_ROTATIONS = {
-  'Sofa': 0,
-  'Table': 0,
-  'Bed': 0,
-  'Bookshelf': 0,
-  'Dresser': 0,
-  'Plant': 0,
-  'default': 0
-};
+// Model settings from the catalog, by product id and by name for furniture
+// saved before items recorded their product
+let catalogModels = { byId: {}, byName: {} };
 
 const TOP_DOWN_ADJUSTMENTS = {
   'Sofa': { cameraHeight: 8, rotationOffset: 0, scale: 1.3 },
@@ -55,20 +28,42 @@ const modelCache = {};
 const loader = new GLTFLoader();
 
 export const modelService = {
-  getModelPath(furnitureType) {
-    return MODEL_MAP[furnitureType] || MODEL_MAP.default;
+  // Use the models of these catalog products from now on
+  setCatalog(products) {
+    catalogModels = { byId: {}, byName: {} };
+    products.forEach(product => {
+      if (!product.model?.url) return;
+      catalogModels.byId[product._id] = product.model;
+      catalogModels.byName[product.name] = product.model;
+    });
+  },
+  
+  _getModel(furnitureType, productId) {
+    return catalogModels.byId[productId] || catalogModels.byName[furnitureType] || DEFAULT_MODEL;
+  },
+  
+  getModelPath(furnitureType, productId) {
+    return resolveModelUrl(this._getModel(furnitureType, productId).url);
   },
   
-  getModelConfig(furnitureType) {
+  // Full URL for a model path stored in the catalog
+  resolveModelUrl,
+  
+  getModelConfig(furnitureType, productId) {
+    const model = this._getModel(furnitureType, productId);
     return {
-      scale: MODEL_SCALES[furnitureType] || MODEL_SCALES.default,
-      yPosition: MODEL_Y_POSITIONS[furnitureType] || MODEL_Y_POSITIONS.default,
-      rotation: MODEL_ROTATIONS[furnitureType] || MODEL_ROTATIONS.default
+      scale: model.scale || DEFAULT_MODEL.scale,
+      yPosition: model.yOffset || 0,
+      rotation: 0
     };
   },
   
-  async loadModel(furnitureType) {
-    const modelPath = this.getModelPath(furnitureType);
+  async loadModel(furnitureType, productId) {
+    const modelPath = this.getModelPath(furnitureType, productId);
+    
+    if (!modelPath) {
+      throw new Error(`No 3D model for ${furnitureType}`);
+    }
     
     if (modelCache[modelPath]) {
       return modelCache[modelPath].clone();
@@ -125,7 +120,7 @@ export const modelService = {
   },
   
   async preloadModels(progressCallback) {
-    const modelPaths = Object.values(MODEL_MAP);
+    const modelPaths = [...new Set(Object.values(catalogModels.byId).map(model => resolveModelUrl(model.url)))];
     const total = modelPaths.length;
     let loaded = 0;
     
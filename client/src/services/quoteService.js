@@ -0,0 +1,70 @@
+// Service for the price quotes of a design. Quotes are priced on the
+// server from the store's catalog, so none of this works offline.
+
+import apiClient, { handleError } from './apiClient';
+import { designCache } from './designCache';
+
+const DESIGNS_PATH = '/designs';
+
+// Designs created offline only get a server id once they have synced
+const quotesUrl = (designId) => `${DESIGNS_PATH}/${designCache.resolveId(designId)}/quotes`;
+
+export const quoteService = {
+  async getQuotes(designId) {
+    try {
+      const response = await apiClient.get(quotesUrl(designId));
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Quotes are not available offline');
+    }
+  },
+
+  async getQuote(designId, quoteId) {
+    try {
+      const response = await apiClient.get(`${quotesUrl(designId)}/${quoteId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load quote');
+    }
+  },
+
+  // Prices the last saved version of the design without keeping the result.
+  // `options` are `{ discount: { type: 'percent' | 'amount', value }, notes }`.
+  async previewQuote(designId, options = {}) {
+    try {
+      const response = await apiClient.post(`${quotesUrl(designId)}/preview`, options);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Quotes are not available offline');
+    }
+  },
+
+  // Saves a quote whose prices stay fixed even if the catalog changes
+  async createQuote(designId, options = {}) {
+    try {
+      const response = await apiClient.post(quotesUrl(designId), options);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not save quote');
+    }
+  },
+
+  async downloadCsv(designId, quote) {
+    try {
+      const response = await apiClient.get(`${quotesUrl(designId)}/${quote._id}/csv`, {
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${quote.number}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      handleError(error, 'Could not download quote');
+    }
+  },
+};
+
+export default quoteService;
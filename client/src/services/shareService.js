@@ -0,0 +1,52 @@
+// Service to manage public share links for designs
+
+import apiClient, { handleError } from './apiClient';
+
+export const shareService = {
+  async getShareLinks(designId) {
+    try {
+      const response = await apiClient.get(`/designs/${designId}/shares`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load share links');
+    }
+  },
+
+  // `expiresInDays` is optional; links without it never expire
+  async createShareLink(designId, expiresInDays) {
+    try {
+      const response = await apiClient.post(
+        `/designs/${designId}/shares`,
+        { expiresInDays }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not create share link');
+    }
+  },
+
+  async revokeShareLink(designId, shareId) {
+    try {
+      const response = await apiClient.delete(`/designs/${designId}/shares/${shareId}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not revoke share link');
+    }
+  },
+
+  // Public, no login needed
+  async getSharedDesign(token) {
+    try {
+      const response = await apiClient.get(`/share/${token}`, { skipAuth: true });
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not load shared design');
+    }
+  },
+
+  getShareUrl(token) {
+    return `${window.location.origin}/share/${token}`;
+  },
+};
+
+export default shareService;
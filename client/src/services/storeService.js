@@ -0,0 +1,48 @@
+// Service for the stores (showrooms) the user works in. Designs and the
+// catalog are scoped to the current store.
+
+import apiClient from './apiClient';
+import { authService } from './authService';
+import { designCache } from './designCache';
+
+const STORES_PATH = '/stores';
+
+export const storeService = {
+  // Resolves to `{ stores, currentStore }`
+  async getStores() {
+    try {
+      const response = await apiClient.get(STORES_PATH);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data.message) {
+        throw new Error(error.response.data.message);
+      } else {
+        throw new Error('Could not load stores');
+      }
+    }
+  },
+
+  // Offline changes are replayed into whichever store is current when they
+  // sync, so they have to reach the server before switching
+  async switchStore(storeId) {
+    if (designCache.getQueue().length > 0) {
+      throw new Error('Sync your offline changes before switching stores');
+    }
+
+    try {
+      const response = await apiClient.put(`${STORES_PATH}/current`, { storeId });
+      authService.updateCurrentUser(response.data);
+      // The cached designs belong to the previous store
+      designCache.setDesigns([]);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.data.message) {
+        throw new Error(error.response.data.message);
+      } else {
+        throw new Error('Could not switch stores');
+      }
+    }
+  },
+};
+
+export default storeService;
@@ -0,0 +1,55 @@
+// Service for the current store's room templates. The last list is kept in
+// localStorage so new designs can still start from a template offline.
+
+import apiClient, { handleError } from './apiClient';
+import { authService } from './authService';
+import { designCache } from './designCache';
+
+const TEMPLATES_KEY = 'furniture_templates';
+
+// Each store has its own templates
+const cacheKey = () => {
+  const user = authService.getCurrentUser();
+  return user ? `${TEMPLATES_KEY}_${user._id}_${user.currentStore?._id}` : TEMPLATES_KEY;
+};
+
+export const templateService = {
+  // Built-in templates first, then the ones designers saved, by name
+  async getTemplates() {
+    try {
+      const response = await apiClient.get('/templates');
+      localStorage.setItem(cacheKey(), JSON.stringify(response.data));
+      return response.data;
+    } catch (error) {
+      const cached = !error.response && localStorage.getItem(cacheKey());
+      if (cached) {
+        return JSON.parse(cached);
+      }
+      handleError(error, 'Could not load templates');
+    }
+  },
+
+  // Copies the saved version of the design, so unsaved edits are left out
+  async createFromDesign(designId, { name, description }) {
+    try {
+      const response = await apiClient.post(
+        `/designs/${designCache.resolveId(designId)}/template`,
+        { name, description }
+      );
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not save template');
+    }
+  },
+
+  async deleteTemplate(id) {
+    try {
+      const response = await apiClient.delete(`/templates/${id}`);
+      return response.data;
+    } catch (error) {
+      handleError(error, 'Could not delete template');
+    }
+  },
+};
+
+export default templateService;
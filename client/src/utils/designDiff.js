@@ -0,0 +1,56 @@
+// Compare the furniture of two design revisions, matching items by id.
+// Position, size and rotation changes all count as "moved"; a change of
+// fill colour counts as "recoloured". An item can be both.
+
+export const DIFF_COLORS = {
+  added: '#16A34A',
+  removed: '#DC2626',
+  moved: '#2563EB',
+  recoloured: '#D97706',
+};
+
+const hasMoved = (before, after) => (
+  before.x !== after.x ||
+  before.y !== after.y ||
+  before.width !== after.width ||
+  before.height !== after.height ||
+  (before.rotation || 0) !== (after.rotation || 0)
+);
+
+export const diffFurniture = (fromFurniture = [], toFurniture = []) => {
+  const fromById = new Map(fromFurniture.map(item => [item.id, item]));
+  const toById = new Map(toFurniture.map(item => [item.id, item]));
+
+  const diff = {
+    added: [],
+    removed: [],
+    moved: [],
+    recoloured: [],
+  };
+
+  toFurniture.forEach(item => {
+    const previous = fromById.get(item.id);
+
+    if (!previous) {
+      diff.added.push(item);
+      return;
+    }
+
+    if (hasMoved(previous, item)) {
+      diff.moved.push({ before: previous, after: item });
+    }
+    if (previous.fill !== item.fill) {
+      diff.recoloured.push({ before: previous, after: item });
+    }
+  });
+
+  fromFurniture.forEach(item => {
+    if (!toById.has(item.id)) {
+      diff.removed.push(item);
+    }
+  });
+
+  return diff;
+};
+
+export default diffFurniture;
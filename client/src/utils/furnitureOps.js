@@ -0,0 +1,35 @@
+// Furniture operations shared with the live editing channel. Each operation
+// touches a single item by id, so edits from different users merge instead
+// of one array replacing another. Mirrors server/utils/furnitureMerge.js.
+//
+//   { kind: 'add', item }
+//   { kind: 'update', id, changes }
+//   { kind: 'delete', id }
+
+const FURNITURE_FIELDS = ['name', 'productId', 'x', 'y', 'width', 'height', 'fill', 'rotation'];
+
+const pickFurnitureFields = (source) => {
+  const fields = {};
+  FURNITURE_FIELDS.forEach(key => {
+    if (source[key] !== undefined) {
+      fields[key] = source[key];
+    }
+  });
+  return fields;
+};
+
+// Returns a new furniture array with the operation applied. Updates to an
+// item that has since been deleted are dropped.
+export const applyFurnitureOp = (furniture, op) => {
+  switch (op.kind) {
+    case 'add':
+      if (furniture.some(item => item.id === op.item.id)) return furniture;
+      return [...furniture, { ...pickFurnitureFields(op.item), id: op.item.id }];
+    case 'update':
+      return furniture.map(item => (item.id === op.id ? { ...item, ...pickFurnitureFields(op.changes) } : item));
+    case 'delete':
+      return furniture.filter(item => item.id !== op.id);
+    default:
+      return furniture;
+  }
+};
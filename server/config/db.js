@@ -1,17 +1,90 @@
 const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const Design = require('../models/Design');
+const { seedDefaultCatalog } = require('../utils/defaultCatalog');
+const { seedDefaultTemplates } = require('../utils/defaultTemplates');
+const { scheduleTrashPurge } = require('../services/designTrash');
+const logger = require('../utils/logger');
 
+// Failed connection attempts are retried after 1s, 2s, 4s, ... up to 30s
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+let connected = false;
+let stopping = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Users and designs from before stores existed belong to the default store
+const assignDefaultStore = async () => {
+  const store = await Store.getDefault();
+
+  await Promise.all([
+    User.updateMany(
+      { currentStore: null },
+      { currentStore: store._id, $addToSet: { stores: store._id } }
+    ),
+    Design.updateMany({ store: null }, { store: store._id }),
+    seedDefaultCatalog(store._id).then(() => seedDefaultTemplates(store._id)),
+  ]);
+};
+
+// Accounts from before email verification keep working as they did
+const verifyExistingUsers = () =>
+  User.updateMany({ emailVerified: { $exists: false } }, { emailVerified: true });
+
+// Once connected, the driver reconnects by itself and Mongoose holds
+// queries back until it has, so these are only logged
+mongoose.connection.on('disconnected', () => {
+  if (connected && !stopping) logger.error('MongoDB disconnected');
+});
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+
+// Keep trying until the database is reachable, so the server can start
+// before MongoDB does. Requests fail and /readyz reports 503 meanwhile.
 const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+  for (let attempt = 1; !stopping; attempt += 1) {
+    try {
+      const conn = await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+        serverSelectionTimeoutMS: 5000,
+      });
+
+      logger.info('MongoDB connected', { host: conn.connection.host });
+      connected = true;
+      break;
+    } catch (error) {
+      if (stopping) break;
 
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+      logger.error('MongoDB connection failed', { attempt, retryInMs: delay, error: error.message });
+      await sleep(delay);
+    }
+  }
+
+  if (stopping) return;
+
+  try {
+    await assignDefaultStore();
+  } catch (error) {
+    logger.error('Error preparing the default store', { error });
+  }
+  try {
+    await verifyExistingUsers();
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+    logger.error('Error marking existing users as verified', { error });
   }
+  scheduleTrashPurge();
 };
 
-module.exports = connectDB; 
\ No newline at end of file
+const disconnectDB = async () => {
+  stopping = true;
+  await mongoose.connection.close();
+};
+
+// 'connected', 'connecting', 'disconnected' or 'disconnecting'
+const getDbStatus = () => mongoose.STATES[mongoose.connection.readyState];
+
+module.exports = { connectDB, disconnectDB, getDbStatus };
@@ -0,0 +1,12 @@
+const path = require('path');
+
+// Uploaded files live on local disk, under UPLOAD_DIR if set. Read on use
+// rather than when this module loads, which may be before .env is.
+const uploadDir = () => process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const modelDir = () => path.join(uploadDir(), 'models');
+
+// Where the model directory is served from
+const MODEL_URL_PREFIX = '/assets/models';
+
+module.exports = { modelDir, MODEL_URL_PREFIX };
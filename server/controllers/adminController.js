@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Design = require('../models/Design');
+const Store = require('../models/Store');
+const RefreshToken = require('../models/RefreshToken');
+const { sendAdminPasswordResetEmail } = require('../services/mail/messages');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Links from an admin reset stay valid longer than self-service ones, since
+// the designer may not see the email straight away
+const ADMIN_RESET_MINUTES = 24 * 60;
+
+const USER_FIELDS = 'name email role active stores lockUntil createdAt';
+
+// Store managers look after designers; only admins can manage other
+// managers and admins
+const canManage = (actor, user) => actor.role === 'admin' || user.role === 'designer';
+
+// Load the user in req.params.id for an admin action. Only users of the
+// caller's current store can be managed.
+const findManagedUser = async (req) => {
+  const user = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await User.findOne({ _id: req.params.id, stores: req.storeId })
+    : null;
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (!canManage(req.user, user)) {
+    throw new ForbiddenError('Only admins can manage store managers and admins');
+  }
+
+  return user;
+};
+
+const signOutEverywhere = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+const findUserForResponse = (userId) =>
+  User.findById(userId).select(USER_FIELDS).populate('stores', 'name');
+
+// @desc    List the users of the current store with how many of its designs each owns
+// @route   GET /api/admin/users
+// @access  Private (store manager, admin)
+const getUsers = asyncHandler(async (req, res) => {
+  const filter = { stores: req.storeId };
+  const search = (req.query.search || '').trim();
+
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ email: pattern }, { name: pattern }];
+  }
+
+  const [users, counts] = await Promise.all([
+    User.find(filter).select(USER_FIELDS).populate('stores', 'name').sort({ email: 1 }).lean(),
+    Design.aggregate([
+      { $match: { store: req.storeId, deletedAt: null } },
+      { $group: { _id: '$owner', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const designCounts = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  res.json(
+    users.map((user) => ({
+      ...user,
+      designCount: designCounts.get(user._id.toString()) || 0,
+    }))
+  );
+});
+
+// @desc    Change a user's role or stores, or deactivate/reactivate their account
+// @route   PUT /api/admin/users/:id
+// @access  Private (store manager, admin; role and store changes admin only)
+const updateUser = asyncHandler(async (req, res) => {
+  const { role, active, stores } = req.body;
+  const user = await findManagedUser(req);
+
+  if (user._id.equals(req.user._id)) {
+    throw new BadRequestError('You cannot change your own account here');
+  }
+
+  if (role !== undefined && role !== user.role) {
+    if (req.user.role !== 'admin') {
+      throw new ForbiddenError('Only admins can change roles');
+    }
+    user.role = role;
+  }
+
+  if (stores !== undefined) {
+    if (req.user.role !== 'admin') {
+      throw new ForbiddenError('Only admins can change which stores a user works in');
+    }
+
+    const validIds = stores.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const found = await Store.find({ _id: { $in: validIds } }).select('_id');
+
+    if (found.length === 0 || found.length !== new Set(stores).size) {
+      throw new ValidationError({ stores: 'Choose at least one existing store' });
+    }
+
+    user.stores = found.map((store) => store._id);
+    if (!user.belongsToStore(user.currentStore)) {
+      user.currentStore = user.stores[0];
+    }
+  }
+
+  if (active !== undefined) {
+    user.active = active;
+  }
+
+  await user.save();
+
+  // Deactivated users lose their sessions straight away
+  if (active === false) {
+    await signOutEverywhere(user._id);
+  }
+
+  res.json(await findUserForResponse(user._id));
+});
+
+// @desc    Reset a user's password and email them a link to choose a new one
+// @route   POST /api/admin/users/:id/reset-password
+// @access  Private (store manager, admin)
+const resetUserPassword = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+
+  // The old password stops working now, not when the link is used
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.resetFailedLogins();
+  const token = user.createPasswordResetToken(ADMIN_RESET_MINUTES);
+  await user.save();
+  await signOutEverywhere(user._id);
+
+  await sendAdminPasswordResetEmail(user, token, ADMIN_RESET_MINUTES, req.user);
+
+  res.json({ message: `A reset link has been emailed to ${user.email}` });
+});
+
+// @desc    Move every design a user owns in the current store to another user
+// @route   POST /api/admin/users/:id/reassign-designs
+// @access  Private (store manager, admin)
+const reassignDesigns = asyncHandler(async (req, res) => {
+  const { toUserId } = req.body;
+  const user = await findManagedUser(req);
+
+  const target = mongoose.Types.ObjectId.isValid(toUserId) && (await User.findById(toUserId));
+
+  if (!target || !target.active || !target.belongsToStore(req.storeId)) {
+    throw new BadRequestError('Choose an active user of this store to receive the designs');
+  }
+
+  if (target._id.equals(user._id)) {
+    throw new BadRequestError('Choose a different user to receive the designs');
+  }
+
+  // The new owner no longer needs to be listed as a collaborator, and
+  // the previous owner's folders don't carry over
+  const result = await Design.updateMany(
+    { owner: user._id, store: req.storeId },
+    { $set: { owner: target._id, folder: null }, $pull: { collaborators: { user: target._id } } }
+  );
+
+  res.json({
+    message: `Moved ${result.modifiedCount} design${result.modifiedCount === 1 ? '' : 's'} to ${target.email}`,
+    reassigned: result.modifiedCount,
+  });
+});
+
+module.exports = {
+  getUsers,
+  updateUser,
+  resetUserPassword,
+  reassignDesigns,
+};
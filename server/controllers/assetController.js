@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const ModelAsset = require('../models/ModelAsset');
+const Product = require('../models/Product');
+const { modelDir } = require('../config/uploads');
+const { inspectModel, InvalidModelError } = require('../utils/gltfInspector');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const canManageCatalog = (user) => ['store_manager', 'admin'].includes(user.role);
+
+const invalidModel = (message) => new ValidationError({ model: message }, message);
+
+// @desc    List the current store's uploaded models
+// @route   GET /api/assets
+// @access  Private
+const getAssets = asyncHandler(async (req, res) => {
+  const assets = await ModelAsset.find({ store: req.storeId })
+    .populate('uploadedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json(assets);
+});
+
+// @desc    Upload a .glb or .gltf model
+// @route   POST /api/assets (multipart, file in `model`, optional `name`)
+// @access  Private
+const createAsset = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw invalidModel('Choose a .glb or .gltf file to upload');
+  }
+
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  const format = extension === '.glb' ? 'glb' : 'gltf';
+
+  let details;
+  try {
+    details = inspectModel(req.file.buffer, format);
+  } catch (error) {
+    if (error instanceof InvalidModelError) {
+      throw invalidModel(error.message);
+    }
+    throw error;
+  }
+
+  const hash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+
+  const existing = await ModelAsset.findOne({ store: req.storeId, hash });
+  if (existing) {
+    throw invalidModel(`This model has already been uploaded as "${existing.name}"`);
+  }
+
+  // Content-addressed, so an existing file with this name is identical
+  const filename = `${hash}.${format}`;
+  await fs.mkdir(modelDir(), { recursive: true });
+  try {
+    await fs.writeFile(path.join(modelDir(), filename), req.file.buffer, { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const name = (req.body.name || '').trim() || path.basename(req.file.originalname, extension);
+
+  const asset = await ModelAsset.create({
+    store: req.storeId,
+    uploadedBy: req.user._id,
+    name: name.slice(0, 80),
+    filename,
+    format,
+    size: req.file.size,
+    hash,
+    ...details,
+  });
+  await asset.populate('uploadedBy', 'name email');
+
+  res.status(201).json(asset);
+});
+
+// @desc    Delete an uploaded model that no product uses
+// @route   DELETE /api/assets/:id
+// @access  Private (uploader, store manager, admin)
+const deleteAsset = asyncHandler(async (req, res) => {
+  const asset = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ModelAsset.findOne({ _id: req.params.id, store: req.storeId })
+    : null;
+
+  if (!asset) {
+    throw new NotFoundError('Model not found');
+  }
+
+  if (!asset.uploadedBy.equals(req.user._id) && !canManageCatalog(req.user)) {
+    throw new ForbiddenError('Only the uploader or a store manager can delete this model');
+  }
+
+  // Discontinued products still appear in saved designs, so check them too
+  const product = await Product.findOne({ store: req.storeId, 'model.url': asset.url }).select('name sku');
+  if (product) {
+    throw new ConflictError(`This model is used by ${product.name} (${product.sku}). Choose another model for it first.`);
+  }
+
+  await asset.deleteOne();
+
+  // Other stores may have uploaded the same file
+  if (!(await ModelAsset.exists({ filename: asset.filename }))) {
+    await fs.unlink(path.join(modelDir(), asset.filename)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  res.json({ message: 'Model deleted' });
+});
+
+module.exports = {
+  getAssets,
+  createAsset,
+  deleteAsset,
+};
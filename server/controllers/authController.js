@@ -1,92 +1,498 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Store = require('../models/Store');
+const Design = require('../models/Design');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+} = require('../services/mail/messages');
+const { deleteAccount } = require('../services/accountDeletion');
+const asyncHandler = require('../utils/asyncHandler');
+const { unknownEmailLockRemaining, registerUnknownEmailFailure } = require('../utils/loginLockout');
+const {
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require('../utils/errors');
 
-// Generate JWT token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const PASSWORD_RESET_MINUTES = 60;
+const EMAIL_VERIFICATION_MINUTES = 24 * 60;
+
+// Generate a short-lived JWT access token
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+// Store a new refresh token and return it. Without a family this starts a
+// new session; refreshing passes the family along so the session can be
+// revoked as a whole.
+const issueRefreshToken = async (userId, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: RefreshToken.hash(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent') || '',
   });
+
+  return token;
+};
+
+// Tokens returned by register, login and refresh
+const issueTokens = async (userId, req, family) => {
+  const token = generateToken(userId);
+
+  return {
+    token,
+    tokenExpiresAt: jwt.decode(token).exp * 1000,
+    refreshToken: await issueRefreshToken(userId, req, family),
+  };
+};
+
+// Stores returned with the user, so the client can show and switch them
+const storeInfo = async (user) => {
+  await user.populate('stores', 'name');
+
+  return {
+    stores: user.stores,
+    currentStore: user.stores.find((store) => store._id.equals(user.currentStore)) || null,
+  };
 };
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
-const registerUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
+const registerUser = asyncHandler(async (req, res) => {
+  const { password, name } = req.body;
+  const email = req.body.email.trim().toLowerCase();
 
-    // Check if user already exists
-    const userExists = await User.findOne({ email });
+  // Check if user already exists
+  const userExists = await User.findOne({ email });
 
-    if (userExists) {
-      return res.status(400).json({ message: 'User already exists' });
-    }
+  if (userExists) {
+    throw new ValidationError({ email: 'An account with this email already exists' }, 'User already exists');
+  }
 
-    // Create new user
-    const user = await User.create({
-      email,
-      password,
-    });
+  // New accounts join the default store; admins can add them to others
+  const store = await Store.getDefault();
 
-    if (user) {
-      res.status(201).json({
-        _id: user._id,
-        email: user.email,
-        name: user.name,
-        token: generateToken(user._id),
-      });
-    } else {
-      res.status(400).json({ message: 'Invalid user data' });
-    }
+  // Create new user, unverified until they open the emailed link
+  const user = new User({
+    email,
+    password,
+    ...(name && { name: name.trim() }),
+    stores: [store._id],
+    currentStore: store._id,
+  });
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_MINUTES);
+  await user.save();
+
+  // The account exists either way, and they can ask for the link again
+  let emailSent = true;
+  try {
+    await sendVerificationEmail(user, verificationToken, EMAIL_VERIFICATION_MINUTES);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    emailSent = false;
+    req.log.error('Error sending the confirmation email for a new account', { userId: user._id, error });
   }
+
+  // Not signed in: the client asks them to check their inbox first
+  res.status(201).json({
+    message: emailSent
+      ? `Account created. We sent a confirmation link to ${user.email}.`
+      : `Account created, but we could not send the confirmation link to ${user.email}. Try resending it.`,
+    email: user.email,
+    emailSent,
+  });
+});
+
+// Error for a locked email, with the wait in seconds for the client's countdown
+const lockedError = (retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  return new TooManyRequestsError(
+    `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    { retryAfter }
+  );
 };
 
 // @desc    Login user & get token
 // @route   POST /api/auth/login
 // @access  Public
-const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-
-    // Check if user exists and password matches
-    if (user && (await user.matchPassword(password))) {
-      res.json({
-        _id: user._id,
-        email: user.email,
-        name: user.name,
-        token: generateToken(user._id),
-      });
+const loginUser = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const email = req.body.email.trim().toLowerCase();
+
+  // Find user by email
+  const user = await User.findOne({ email });
+
+  // Don't even check the password while the email is locked
+  const lockRemaining = user ? user.lockRemaining() : unknownEmailLockRemaining(email);
+  if (lockRemaining > 0) {
+    throw lockedError(lockRemaining);
+  }
+
+  // Check if user exists and password matches
+  if (user && (await user.matchPassword(password))) {
+    if (!user.active) {
+      throw new ForbiddenError('This account has been deactivated');
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      user.resetFailedLogins();
+      await user.save();
+    }
+
+    res.json({
+      _id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      ...(await storeInfo(user)),
+      ...(await issueTokens(user._id, req)),
+    });
+  } else {
+    // Emails without an account are locked out the same way
+    let lockedFor;
+    if (user) {
+      user.registerFailedLogin();
+      await user.save();
+      lockedFor = user.lockRemaining();
     } else {
-      res.status(401).json({ message: 'Invalid email or password' });
+      lockedFor = registerUnknownEmailFailure(email);
     }
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+
+    if (lockedFor > 0) {
+      throw lockedError(lockedFor);
+    }
+    throw new UnauthorizedError('Invalid email or password');
+  }
+});
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (identified by the refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new UnauthorizedError('No refresh token');
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hash(refreshToken) });
+
+  if (!stored) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  if (stored.revokedAt) {
+    // A rotated token was used again, so it has leaked: end the session
+    await RefreshToken.updateMany(
+      { family: stored.family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
+
+  if (!stored.isActive()) {
+    throw new UnauthorizedError('Refresh token has expired');
+  }
+
+  // Revoke conditionally so two concurrent refreshes cannot both succeed
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!rotated) {
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
+
+  const user = await User.findById(stored.user).select('_id active');
+
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+
+  if (!user.active) {
+    throw new UnauthorizedError('This account has been deactivated');
+  }
+
+  res.json(await issueTokens(user._id, req, stored.family));
+});
+
+// @desc    Log out by revoking the session's refresh tokens
+// @route   POST /api/auth/logout
+// @access  Public (identified by the refresh token)
+const logoutUser = asyncHandler(async (req, res) => {
+  const { refreshToken, allDevices } = req.body;
+
+  if (refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hash(refreshToken) });
+
+    if (stored) {
+      const filter = allDevices ? { user: stored.user } : { family: stored.family };
+      await RefreshToken.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+    }
+  }
+
+  res.json({ message: 'Logged out' });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email.trim().toLowerCase() });
+
+  if (user) {
+    const token = user.createPasswordResetToken(PASSWORD_RESET_MINUTES);
+    await user.save();
+    await sendPasswordResetEmail(user, token, PASSWORD_RESET_MINUTES);
   }
-};
+
+  // Same answer either way, so this cannot be used to find accounts
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+});
+
+// @desc    Set a new password using an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user) {
+    throw new BadRequestError('This reset link is invalid or has expired');
+  }
+
+  // Tokens are single use
+  user.password = password;
+  user.passwordResetTokenHash = null;
+  user.passwordResetExpiresAt = null;
+  user.resetFailedLogins();
+  // The link reached them, so the address is theirs
+  user.emailVerified = true;
+  await user.save();
+
+  // Sign out every existing session with the old password
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  res.json({ message: 'Your password has been reset. You can now log in.' });
+});
 
 // @desc    Get user profile
 // @route   GET /api/auth/profile
 // @access  Private
-const getUserProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id).select('-password');
+const getUserProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('-password')
+    .populate('stores', 'name')
+    .populate('currentStore', 'name');
 
-    if (user) {
-      res.json(user);
-    } else {
-      res.status(404).json({ message: 'User not found' });
-    }
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+  if (user) {
+    res.json(user);
+  } else {
+    throw new NotFoundError('User not found');
+  }
+});
+
+// Account changes that need the user's password ask for it again
+const checkPassword = async (user, password, field) => {
+  if (!password) {
+    throw new ValidationError({ [field]: 'Enter your current password to make this change' });
+  }
+  if (!(await user.matchPassword(password))) {
+    throw new ValidationError({ [field]: 'Current password is incorrect' }, 'Current password is incorrect');
   }
 };
 
-module.exports = { registerUser, loginUser, getUserProfile }; 
\ No newline at end of file
+// @desc    Update the user's name, or start changing their email. A new
+//          email only takes effect once confirmed from that address; sending
+//          the current email again cancels a pending change.
+// @route   PUT /api/auth/profile
+// @access  Private
+const updateUserProfile = asyncHandler(async (req, res) => {
+  const { name, currentPassword } = req.body;
+  const email = req.body.email?.trim().toLowerCase();
+  const user = await User.findById(req.user._id);
+  let verificationToken = null;
+
+  // The schema lets null through as "not given", but here it would clear the name
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError({ name: 'Name is required' });
+    }
+    user.name = name.trim();
+  }
+
+  if (email && email !== user.email && email !== user.pendingEmail) {
+    await checkPassword(user, currentPassword, 'currentPassword');
+
+    if (await User.exists({ email })) {
+      throw new ValidationError({ email: 'An account with this email already exists' }, 'Email already in use');
+    }
+
+    user.pendingEmail = email;
+    verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_MINUTES);
+  } else if (email === user.email && user.pendingEmail) {
+    user.pendingEmail = null;
+    user.emailVerificationTokenHash = null;
+    user.emailVerificationExpiresAt = null;
+  }
+
+  await user.save();
+
+  if (verificationToken) {
+    await sendEmailChangeEmail(user, verificationToken, EMAIL_VERIFICATION_MINUTES);
+  }
+
+  res.json({
+    _id: user._id,
+    email: user.email,
+    pendingEmail: user.pendingEmail,
+    name: user.name,
+    role: user.role,
+    message: verificationToken
+      ? `We sent a link to ${user.pendingEmail}. Your email changes once you open it.`
+      : 'Profile updated',
+  });
+});
+
+// @desc    Confirm an email address with the token sent to it: a new
+//          account's address, or the new address of an email change
+// @route   POST /api/auth/verify-email
+// @access  Public (identified by the token)
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findByEmailVerificationToken(req.body.token);
+
+  if (!user || (user.emailVerified && !user.pendingEmail)) {
+    throw new BadRequestError('This confirmation link is invalid or has expired');
+  }
+
+  if (user.pendingEmail) {
+    if (await User.exists({ email: user.pendingEmail })) {
+      throw new ConflictError('Another account now uses this email address');
+    }
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+  }
+
+  // Tokens are single use
+  user.emailVerified = true;
+  user.emailVerificationTokenHash = null;
+  user.emailVerificationExpiresAt = null;
+  await user.save();
+
+  res.json({ message: 'Your email address is confirmed', email: user.email, emailVerified: true });
+});
+
+// @desc    Send a new confirmation link to an account that hasn't been verified
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email.trim().toLowerCase() });
+
+  if (user && !user.emailVerified) {
+    // The new token replaces that of any pending email change, whose link
+    // would otherwise confirm the wrong address
+    user.pendingEmail = null;
+    const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_MINUTES);
+    await user.save();
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_MINUTES);
+  }
+
+  // Same answer either way, so this cannot be used to find accounts
+  res.json({ message: 'If that account still needs confirming, a new link has been sent' });
+});
+
+// @desc    Change the password, given the current one
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user._id);
+
+  await checkPassword(user, currentPassword, 'currentPassword');
+
+  user.password = newPassword;
+  // An earlier reset link could otherwise still override it
+  user.passwordResetTokenHash = null;
+  user.passwordResetExpiresAt = null;
+  await user.save();
+
+  // Sign out every session; this one carries on with the new tokens
+  await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  res.json({
+    message: 'Your password has been changed',
+    ...(await issueTokens(user._id, req)),
+  });
+});
+
+// @desc    Delete the user's account, deleting their designs or handing
+//          them to another user of the same stores
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteUserAccount = asyncHandler(async (req, res) => {
+  const { password, designs, transferTo } = req.body;
+  const user = await User.findById(req.user._id);
+
+  await checkPassword(user, password, 'password');
+
+  let target = null;
+  if (designs === 'transfer') {
+    if (!transferTo) {
+      throw new ValidationError({ transferTo: 'Enter the email of the person who should get your designs' });
+    }
+
+    target = await User.findOne({ email: transferTo.trim().toLowerCase() });
+
+    if (!target || !target.active || target._id.equals(user._id)) {
+      throw new ValidationError({ transferTo: 'Choose another active user to receive your designs' });
+    }
+
+    const storeIds = await Design.distinct('store', { owner: user._id, deletedAt: null });
+    if (!storeIds.every((storeId) => target.belongsToStore(storeId))) {
+      throw new ValidationError({ transferTo: `${target.email} does not work in every store you have designs in` });
+    }
+  }
+
+  if (user.role === 'admin' && !(await User.exists({ _id: { $ne: user._id }, role: 'admin', active: true }))) {
+    throw new BadRequestError('You are the only admin. Make someone else an admin before deleting your account.');
+  }
+
+  const result = await deleteAccount(user, { transferTo: target });
+
+  res.json({ message: 'Your account has been deleted', ...result });
+});
+
+module.exports = {
+  registerUser,
+  loginUser,
+  refreshAccessToken,
+  logoutUser,
+  forgotPassword,
+  resetPassword,
+  getUserProfile,
+  updateUserProfile,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  deleteUserAccount,
+};
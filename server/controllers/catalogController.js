@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const PRODUCT_FIELDS = ['sku', 'name', 'category', 'dimensions', 'defaultFinish', 'price', 'model', 'icon', 'active'];
+
+const pickProductFields = (body) => {
+  const fields = {};
+  PRODUCT_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  return fields;
+};
+
+const canManageCatalog = (user) => ['store_manager', 'admin'].includes(user.role);
+
+const duplicateSku = () =>
+  new ValidationError({ sku: 'Another product in this store already uses this SKU' }, 'Product already exists');
+
+// Load a product of the caller's store
+const findStoreProduct = async (req) => {
+  const product = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Product.findOne({ _id: req.params.id, store: req.storeId })
+    : null;
+
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+  return product;
+};
+
+// @desc    List the current store's catalog
+// @route   GET /api/catalog?category=&search=&includeInactive=true
+// @access  Private (discontinued products for store managers and admins only)
+const getProducts = asyncHandler(async (req, res) => {
+  const filter = { store: req.storeId };
+
+  if (!(req.query.includeInactive === 'true' && canManageCatalog(req.user))) {
+    filter.active = true;
+  }
+
+  if (req.query.category) {
+    filter.category = req.query.category;
+  }
+
+  const search = (req.query.search || '').trim();
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { sku: pattern }];
+  }
+
+  const products = await Product.find(filter).sort({ category: 1, name: 1 });
+  res.json(products);
+});
+
+// @desc    Get a single product
+// @route   GET /api/catalog/:id
+// @access  Private
+const getProductById = asyncHandler(async (req, res) => {
+  const product = await findStoreProduct(req);
+  res.json(product);
+});
+
+// @desc    Add a product to the current store's catalog
+// @route   POST /api/catalog
+// @access  Private (store manager, admin)
+const createProduct = asyncHandler(async (req, res) => {
+  const fields = pickProductFields(req.body);
+
+  if (await Product.exists({ store: req.storeId, sku: fields.sku.trim().toUpperCase() })) {
+    throw duplicateSku();
+  }
+
+  const product = await Product.create({ ...fields, store: req.storeId });
+  res.status(201).json(product);
+});
+
+// @desc    Update a product
+// @route   PUT /api/catalog/:id
+// @access  Private (store manager, admin)
+const updateProduct = asyncHandler(async (req, res) => {
+  const product = await findStoreProduct(req);
+
+  const fields = pickProductFields(req.body);
+
+  if (
+    fields.sku &&
+    (await Product.exists({
+      store: req.storeId,
+      sku: fields.sku.trim().toUpperCase(),
+      _id: { $ne: product._id },
+    }))
+  ) {
+    throw duplicateSku();
+  }
+
+  product.set(fields);
+  await product.save();
+  res.json(product);
+});
+
+// @desc    Discontinue a product. Designs that use it keep it.
+// @route   DELETE /api/catalog/:id
+// @access  Private (store manager, admin)
+const deleteProduct = asyncHandler(async (req, res) => {
+  const product = await findStoreProduct(req);
+
+  product.active = false;
+  await product.save();
+  res.json({ message: 'Product discontinued' });
+});
+
+module.exports = {
+  getProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+};
@@ -0,0 +1,127 @@
+const User = require('../models/User');
+const designChannel = require('../realtime/designChannel');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+const populateCollaborators = (design) =>
+  design.populate([
+    { path: 'owner', select: 'name email' },
+    { path: 'collaborators.user', select: 'name email' },
+  ]);
+
+const collaboratorList = (design) => ({
+  owner: design.owner,
+  collaborators: design.collaborators,
+});
+
+// @desc    List the owner and collaborators of a design
+// @route   GET /api/designs/:id/collaborators
+// @access  Private (viewer)
+const getCollaborators = asyncHandler(async (req, res) => {
+  await populateCollaborators(req.design);
+
+  res.json(collaboratorList(req.design));
+});
+
+// @desc    Invite a registered user to a design by email
+// @route   POST /api/designs/:id/collaborators
+// @access  Private (owner)
+const addCollaborator = asyncHandler(async (req, res) => {
+  const { email, role = 'viewer' } = req.body;
+  const { design } = req;
+
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new BadRequestError('Role must be viewer or editor');
+  }
+
+  // Designs can only be shared within their store
+  const user = await User.findOne({
+    email: (email || '').trim().toLowerCase(),
+    stores: design.store,
+  });
+
+  if (!user) {
+    throw new NotFoundError('No designer in this store is registered with that email');
+  }
+
+  if (design.owner.equals(user._id)) {
+    throw new BadRequestError('The owner already has full access');
+  }
+
+  const existing = design.collaborators.find((c) => c.user.equals(user._id));
+  if (existing) {
+    existing.role = role;
+  } else {
+    design.collaborators.push({ user: user._id, role });
+  }
+
+  await design.save();
+  if (existing) {
+    designChannel.setPeerRole(design._id, user._id, role);
+  }
+  await populateCollaborators(design);
+
+  res.status(existing ? 200 : 201).json(collaboratorList(design));
+});
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/designs/:id/collaborators/:userId
+// @access  Private (owner)
+const updateCollaborator = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const { design } = req;
+
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw new BadRequestError('Role must be viewer or editor');
+  }
+
+  const collaborator = design.collaborators.find((c) => c.user.equals(req.params.userId));
+
+  if (!collaborator) {
+    throw new NotFoundError('Collaborator not found');
+  }
+
+  collaborator.role = role;
+  await design.save();
+  designChannel.setPeerRole(design._id, req.params.userId, role);
+  await populateCollaborators(design);
+
+  res.json(collaboratorList(design));
+});
+
+// @desc    Remove a collaborator, or leave a design shared with you
+// @route   DELETE /api/designs/:id/collaborators/:userId
+// @access  Private (owner, or the collaborator themselves)
+const removeCollaborator = asyncHandler(async (req, res) => {
+  const { design } = req;
+  const isSelf = req.user._id.equals(req.params.userId);
+
+  if (req.designRole !== 'owner' && !isSelf) {
+    throw new ForbiddenError('You need owner access to do this');
+  }
+
+  const remaining = design.collaborators.filter((c) => !c.user.equals(req.params.userId));
+
+  if (remaining.length === design.collaborators.length) {
+    throw new NotFoundError('Collaborator not found');
+  }
+
+  design.collaborators = remaining;
+  await design.save();
+  designChannel.disconnect(design._id, {
+    userId: req.params.userId,
+    message: 'You no longer have access to this design',
+  });
+  await populateCollaborators(design);
+
+  res.json(collaboratorList(design));
+});
+
+module.exports = {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+};
@@ -0,0 +1,491 @@
+const mongoose = require('mongoose');
+const Design = require('../models/Design');
+const DesignRevision = require('../models/DesignRevision');
+const Product = require('../models/Product');
+const Folder = require('../models/Folder');
+const { mergeFields, mergeFurniture } = require('../utils/furnitureMerge');
+const designChannel = require('../realtime/designChannel');
+const { trashRetentionDays, purgeDate, purgeDesigns } = require('../services/designTrash');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Fields a client is allowed to set on a design
+const pickDesignFields = (body) => {
+  const fields = {};
+  ['name', 'roomConfig', 'furniture', 'thumbnail'].forEach((key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  return fields;
+};
+
+// Design JSON plus the caller's role on it, so the client knows what it may do
+const withRole = (design, role) => ({ ...design.toJSON(), role });
+
+// Lists link to a design's snapshot instead of carrying the image. Every
+// save changes the version in the link, so clients can cache what it returns.
+const thumbnailUrl = (design) =>
+  `/designs/${design.deletedAt ? 'trash/' : ''}${design.id}/thumbnail?v=${design.updatedAt.getTime()}`;
+
+const THUMBNAIL_DATA_URL = /^data:(image\/[a-z]+);base64,(.*)$/;
+
+const ROOM_CONFIG_FIELDS = ['width', 'height', 'color', 'wallColor'];
+
+// Rebase a save made against an older revision onto the current design,
+// using that older revision as the common ancestor. Returns the merged
+// fields, or null when both sides changed the same thing.
+const mergeStaleUpdate = async (design, fields, baseRevision) => {
+  const base = await DesignRevision.findOne({ design: design._id, revision: baseRevision });
+  if (!base) return null;
+
+  const baseDesign = base.toObject();
+  const latest = design.toObject();
+
+  const name = mergeFields(baseDesign, { name: fields.name ?? baseDesign.name }, latest, ['name']);
+  const roomConfig = mergeFields(
+    baseDesign.roomConfig,
+    { ...baseDesign.roomConfig, ...fields.roomConfig },
+    latest.roomConfig,
+    ROOM_CONFIG_FIELDS
+  );
+  const furniture = mergeFurniture(
+    baseDesign.furniture,
+    fields.furniture || baseDesign.furniture,
+    latest.furniture
+  );
+
+  if (name.conflicts.length || roomConfig.conflicts.length || furniture.conflicts.length) {
+    return null;
+  }
+
+  return {
+    ...fields,
+    name: name.merged.name,
+    roomConfig: roomConfig.merged,
+    furniture: furniture.furniture,
+  };
+};
+
+// Floor area bands for the room size filter, in cm² (12 m² and 25 m²)
+const ROOM_SIZES = {
+  small: { max: 120000 },
+  medium: { min: 120000, max: 250000 },
+  large: { min: 250000 },
+};
+
+const DESIGN_SORTS = {
+  updated: 'updatedAt',
+  name: 'name',
+  items: 'itemCount',
+};
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Tags are compared case-insensitively, so they are kept in lower case
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+// Turn the list query (search, size, category, folder, tag, favorite)
+// into a Mongo filter
+const designListFilter = async (req, baseFilter) => {
+  const filter = { ...baseFilter, store: req.storeId, deletedAt: null };
+  const { search = '', size, category, folder, tag, favorite } = req.query;
+
+  if (search.trim()) {
+    filter.name = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  const band = ROOM_SIZES[size];
+  if (band) {
+    const area = { $multiply: ['$roomConfig.width', '$roomConfig.height'] };
+    const bounds = [];
+    if (band.min !== undefined) bounds.push({ $gte: [area, band.min] });
+    if (band.max !== undefined) bounds.push({ $lt: [area, band.max] });
+    filter.$expr = { $and: bounds };
+  }
+
+  // 'none' lists the designs that are not in any folder
+  if (folder === 'none') {
+    filter.folder = null;
+  } else if (folder) {
+    // An id that can't be a folder matches nothing
+    filter.folder = mongoose.Types.ObjectId.isValid(folder) ? new mongoose.Types.ObjectId(folder) : { $in: [] };
+  }
+
+  if (tag) {
+    filter.tags = normalizeTag(tag);
+  }
+
+  if (favorite === 'true') {
+    filter.favorite = true;
+  }
+
+  // Furniture type is the category of the catalog product an item came from
+  if (category) {
+    const productIds = await Product.find({ store: req.storeId, category }).distinct('_id');
+    filter['furniture.productId'] = { $in: productIds.map((id) => id.toString()) };
+  }
+
+  return filter;
+};
+
+// @desc    Get the designs of the logged in user, or those shared with them,
+//          a page at a time
+// @route   GET /api/designs?scope=owned|shared&search=&size=small|medium|large
+//          &category=&folder=<id>|none&tag=&favorite=true
+//          &sort=updated|name|items&order=asc|desc&page=1&limit=12
+// @access  Private
+const getDesigns = asyncHandler(async (req, res) => {
+  const shared = req.query.scope === 'shared';
+  const filter = await designListFilter(
+    req,
+    shared ? { 'collaborators.user': req.user._id } : { owner: req.user._id }
+  );
+
+  const sortField = DESIGN_SORTS[req.query.sort] || DESIGN_SORTS.updated;
+  const defaultOrder = sortField === 'name' ? 'asc' : 'desc';
+  const direction = (req.query.order || defaultOrder) === 'asc' ? 1 : -1;
+  const limit = Math.min(toPositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const page = toPositiveInt(req.query.page, 1);
+
+  const [result] = await Design.aggregate([
+    { $match: filter },
+    { $addFields: { itemCount: { $size: '$furniture' } } },
+    { $sort: { [sortField]: direction, _id: direction } },
+    {
+      $facet: {
+        designs: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $addFields: { hasThumbnail: { $gt: [{ $strLenCP: { $ifNull: ['$thumbnail', ''] } }, 0] } } },
+          { $unset: ['itemCount', 'thumbnail'] },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]).collation({ locale: 'en', strength: 2 });
+
+  const designs = result.designs.map((doc) => Design.hydrate(doc));
+  const withThumbnail = new Set(result.designs.filter((doc) => doc.hasThumbnail).map((doc) => String(doc._id)));
+  if (shared) {
+    await Design.populate(designs, { path: 'owner', select: 'name email' });
+  }
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  res.json({
+    designs: designs.map((design) => ({
+      ...withRole(design, shared ? design.getRoleFor(req.user._id) : 'owner'),
+      thumbnailUrl: withThumbnail.has(design.id) ? thumbnailUrl(design) : null,
+    })),
+    page,
+    pages: Math.max(Math.ceil(total / limit), 1),
+    total,
+  });
+});
+
+// @desc    Get the snapshot image saved with a design
+// @route   GET /api/designs/:id/thumbnail and GET /api/designs/trash/:id/thumbnail
+// @access  Private (viewer, or owner for designs in the trash)
+const getDesignThumbnail = asyncHandler(async (req, res) => {
+  const match = THUMBNAIL_DATA_URL.exec(req.design.thumbnail);
+  if (!match) {
+    throw new NotFoundError('This design has no thumbnail');
+  }
+
+  res.set('Cache-Control', 'private, max-age=31536000, immutable');
+  res.type(match[1]);
+  res.send(Buffer.from(match[2], 'base64'));
+});
+
+// @desc    List the tags on the user's designs, with how often each is used
+// @route   GET /api/designs/tags
+// @access  Private
+const getDesignTags = asyncHandler(async (req, res) => {
+  const tags = await Design.aggregate([
+    { $match: { owner: req.user._id, store: req.storeId, deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  res.json(tags.map((entry) => ({ tag: entry._id, count: entry.count })));
+});
+
+// @desc    File a design in a folder, tag it or star it
+// @route   PUT /api/designs/:id/organize
+// @access  Private (owner)
+const organizeDesign = asyncHandler(async (req, res) => {
+  const { design } = req;
+  const { folder, tags, favorite } = req.body;
+
+  if (folder !== undefined) {
+    if (folder !== null) {
+      const exists = mongoose.Types.ObjectId.isValid(folder) &&
+        (await Folder.exists({ _id: folder, owner: req.user._id, store: req.storeId }));
+      if (!exists) {
+        throw new ValidationError({ folder: 'Folder not found' });
+      }
+    }
+    design.folder = folder;
+  }
+
+  if (tags !== undefined) {
+    design.tags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  }
+
+  if (favorite !== undefined) {
+    design.favorite = favorite;
+  }
+
+  // Filing a design doesn't count as modifying it
+  const updatedDesign = await design.save({ timestamps: false });
+  res.json(withRole(updatedDesign, req.designRole));
+});
+
+// @desc    Get a single design
+// @route   GET /api/designs/:id
+// @access  Private
+const getDesignById = (req, res) => {
+  res.json(withRole(req.design, req.designRole));
+};
+
+// Mongoose can still reject a design the validators let through
+const designSaveError = (error) =>
+  error.name === 'ValidationError' ? new BadRequestError('Invalid design data') : error;
+
+// Sent back with the latest design so the client can resolve the conflict
+const staleDesignError = (design, role) =>
+  new ConflictError('Design has been changed since you last loaded it', {
+    design: withRole(design, role),
+  });
+
+// @desc    Create a design
+// @route   POST /api/designs
+// @access  Private
+const createDesign = asyncHandler(async (req, res) => {
+  let design;
+  try {
+    design = await Design.create({
+      ...pickDesignFields(req.body),
+      owner: req.user._id,
+      store: req.storeId,
+    });
+  } catch (error) {
+    throw designSaveError(error);
+  }
+  await DesignRevision.record(design, req.user._id, req.body.message);
+
+  res.status(201).json(withRole(design, 'owner'));
+});
+
+// @desc    Update a design
+// @route   PUT /api/designs/:id
+// @access  Private (editor)
+const updateDesign = asyncHandler(async (req, res) => {
+  const { design } = req;
+  let fields = pickDesignFields(req.body);
+
+  // Stale writes are merged item by item; only overlapping edits are
+  // sent back for the client to resolve
+  const { revision } = req.body;
+  const stale = revision !== undefined && Number(revision) !== design.revision;
+  if (stale) {
+    fields = await mergeStaleUpdate(design, fields, Number(revision));
+
+    if (!fields) {
+      throw staleDesignError(design, req.designRole);
+    }
+  }
+
+  design.set(fields);
+  design.revision += 1;
+
+  let updatedDesign;
+  try {
+    updatedDesign = await design.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw staleDesignError(await Design.findById(req.params.id), req.designRole);
+    }
+    throw designSaveError(error);
+  }
+  await DesignRevision.record(updatedDesign, req.user._id, req.body.message);
+  // A merged save holds edits the live room may not have, so everyone
+  // else starts again from what was saved
+  designChannel.publishSaved(updatedDesign, req.user, { reset: stale });
+
+  res.json(withRole(updatedDesign, req.designRole));
+});
+
+// Trashed design JSON plus the date it will be removed for good
+const withPurgeDate = (design) => ({ ...design.toJSON(), purgeAt: purgeDate(design.deletedAt) });
+
+// @desc    Move a design to the trash
+// @route   DELETE /api/designs/:id
+// @access  Private (owner)
+const deleteDesign = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  // Trashing isn't an edit, so the design keeps its last modified date
+  design.deletedAt = new Date();
+  const trashedDesign = await design.save({ timestamps: false });
+  designChannel.disconnect(design._id);
+
+  res.json({ message: 'Design moved to trash', design: withPurgeDate(trashedDesign) });
+});
+
+// @desc    List the user's designs in the trash, most recently deleted first
+// @route   GET /api/designs/trash
+// @access  Private
+const getTrash = asyncHandler(async (req, res) => {
+  const filter = { owner: req.user._id, store: req.storeId, deletedAt: { $ne: null } };
+  const [designs, withThumbnail] = await Promise.all([
+    Design.find(filter).select('-thumbnail').sort({ deletedAt: -1 }),
+    Design.find({ ...filter, thumbnail: { $nin: ['', null] } }).distinct('_id'),
+  ]);
+  const thumbnailIds = new Set(withThumbnail.map(String));
+
+  res.json({
+    designs: designs.map((design) => ({
+      ...withPurgeDate(design),
+      thumbnailUrl: thumbnailIds.has(design.id) ? thumbnailUrl(design) : null,
+    })),
+    retentionDays: trashRetentionDays(),
+  });
+});
+
+// @desc    Take a design back out of the trash
+// @route   POST /api/designs/:id/restore
+// @access  Private (owner)
+const restoreDesign = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  design.deletedAt = null;
+  const restoredDesign = await design.save({ timestamps: false });
+
+  res.json(withRole(restoredDesign, req.designRole));
+});
+
+// @desc    Delete a design in the trash for good
+// @route   DELETE /api/designs/:id/permanent
+// @access  Private (owner)
+const purgeDesign = asyncHandler(async (req, res) => {
+  await purgeDesigns([req.design._id]);
+
+  res.json({ message: 'Design removed' });
+});
+
+// @desc    Delete every design in the user's trash for good
+// @route   DELETE /api/designs/trash
+// @access  Private
+const emptyTrash = asyncHandler(async (req, res) => {
+  const designIds = await Design.find({
+    owner: req.user._id,
+    store: req.storeId,
+    deletedAt: { $ne: null },
+  }).distinct('_id');
+  const removed = await purgeDesigns(designIds);
+
+  res.json({ message: `Removed ${removed} design${removed === 1 ? '' : 's'}`, removed });
+});
+
+// @desc    List the saved revisions of a design
+// @route   GET /api/designs/:id/revisions
+// @access  Private
+const getDesignRevisions = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  const revisions = await DesignRevision.find({ design: design._id })
+    .select('revision author message name createdAt')
+    .populate('author', 'name email')
+    .sort({ revision: -1 });
+
+  res.json(revisions);
+});
+
+// @desc    Get a single revision of a design
+// @route   GET /api/designs/:id/revisions/:revision
+// @access  Private
+const getDesignRevision = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  const revision = await DesignRevision.findOne({
+    design: design._id,
+    revision: Number(req.params.revision),
+  }).populate('author', 'name email');
+
+  if (revision) {
+    res.json(revision);
+  } else {
+    throw new NotFoundError('Revision not found');
+  }
+});
+
+// @desc    Restore a design to an earlier revision
+// @route   POST /api/designs/:id/revisions/:revision/restore
+// @access  Private (editor)
+const restoreDesignRevision = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  const revision = await DesignRevision.findOne({
+    design: design._id,
+    revision: Number(req.params.revision),
+  });
+
+  if (!revision) {
+    throw new NotFoundError('Revision not found');
+  }
+
+  // Restoring is itself a save, so history only ever grows
+  design.set({
+    name: revision.name,
+    roomConfig: revision.roomConfig,
+    furniture: revision.furniture,
+    // Revisions don't keep a snapshot; the next save from the editor takes one
+    thumbnail: '',
+  });
+  design.revision += 1;
+
+  let restoredDesign;
+  try {
+    restoredDesign = await design.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw new ConflictError('Design has been changed since you last loaded it');
+    }
+    throw error;
+  }
+  await DesignRevision.record(
+    restoredDesign,
+    req.user._id,
+    `Restored revision ${revision.revision}`
+  );
+  designChannel.publishSaved(restoredDesign, req.user, { reset: true });
+
+  res.json(withRole(restoredDesign, req.designRole));
+});
+
+module.exports = {
+  getDesigns,
+  getDesignTags,
+  getDesignThumbnail,
+  organizeDesign,
+  getDesignById,
+  createDesign,
+  updateDesign,
+  deleteDesign,
+  getTrash,
+  restoreDesign,
+  purgeDesign,
+  emptyTrash,
+  getDesignRevisions,
+  getDesignRevision,
+  restoreDesignRevision,
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const Design = require('../models/Design');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const duplicateName = () =>
+  new ValidationError({ name: 'You already have a folder with this name' }, 'Folder already exists');
+
+// Load one of the caller's folders in the current store
+const findOwnFolder = async (req) => {
+  const folder = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Folder.findOne({ _id: req.params.id, owner: req.user._id, store: req.storeId })
+    : null;
+
+  if (!folder) {
+    throw new NotFoundError('Folder not found');
+  }
+  return folder;
+};
+
+// @desc    List the user's folders in the current store with how many designs each holds
+// @route   GET /api/folders
+// @access  Private
+const getFolders = asyncHandler(async (req, res) => {
+  const [folders, counts] = await Promise.all([
+    Folder.find({ owner: req.user._id, store: req.storeId }).collation({ locale: 'en', strength: 2 }).sort({ name: 1 }),
+    Design.aggregate([
+      { $match: { owner: req.user._id, store: req.storeId, folder: { $ne: null }, deletedAt: null } },
+      { $group: { _id: '$folder', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countByFolder = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+  res.json(
+    folders.map((folder) => ({
+      ...folder.toObject(),
+      designCount: countByFolder.get(folder._id.toString()) || 0,
+    }))
+  );
+});
+
+// @desc    Create a folder
+// @route   POST /api/folders
+// @access  Private
+const createFolder = asyncHandler(async (req, res) => {
+  const name = req.body.name.trim();
+
+  if (await Folder.exists({ owner: req.user._id, store: req.storeId, name })) {
+    throw duplicateName();
+  }
+
+  const folder = await Folder.create({ name, owner: req.user._id, store: req.storeId });
+  res.status(201).json({ ...folder.toObject(), designCount: 0 });
+});
+
+// @desc    Rename a folder
+// @route   PUT /api/folders/:id
+// @access  Private
+const updateFolder = asyncHandler(async (req, res) => {
+  const folder = await findOwnFolder(req);
+
+  const name = req.body.name.trim();
+  if (name !== folder.name && (await Folder.exists({ owner: req.user._id, store: req.storeId, name }))) {
+    throw duplicateName();
+  }
+
+  folder.name = name;
+  await folder.save();
+
+  res.json(folder);
+});
+
+// @desc    Delete a folder. Its designs are kept and become unfiled.
+// @route   DELETE /api/folders/:id
+// @access  Private
+const deleteFolder = asyncHandler(async (req, res) => {
+  const folder = await findOwnFolder(req);
+
+  await Design.updateMany({ folder: folder._id }, { $set: { folder: null } }, { timestamps: false });
+  await folder.deleteOne();
+
+  res.json({ message: 'Folder removed' });
+});
+
+module.exports = {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+};
@@ -0,0 +1,32 @@
+const { getDbStatus } = require('../config/db');
+const { isShuttingDown } = require('../services/shutdown');
+
+// @desc    Liveness: the process is up and answering. Doesn't depend on
+//          the database, so an outage doesn't get the server restarted.
+// @route   GET /healthz
+// @access  Public
+const getHealth = (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    database: getDbStatus(),
+  });
+};
+
+// @desc    Readiness: the server can handle requests, i.e. the database is
+//          connected and it isn't shutting down
+// @route   GET /readyz
+// @access  Public
+const getReadiness = (req, res) => {
+  const database = getDbStatus();
+  const shuttingDown = isShuttingDown();
+  const ready = database === 'connected' && !shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    database,
+    shuttingDown,
+  });
+};
+
+module.exports = { getHealth, getReadiness };
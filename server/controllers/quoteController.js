@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const { buildLineItems, priceQuote } = require('../utils/quotePricing');
+const { toCsv } = require('../utils/csv');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Price the design as it is now with the store's current catalog and tax
+const draftQuote = async (req) => {
+  const { design } = req;
+  const productIds = [
+    ...new Set(design.furniture.map((item) => item.productId).filter((id) => mongoose.Types.ObjectId.isValid(id))),
+  ];
+
+  const [products, store] = await Promise.all([
+    Product.find({ _id: { $in: productIds }, store: req.storeId }),
+    Store.findById(req.storeId),
+  ]);
+
+  const { lineItems, unpricedItems } = buildLineItems(design.furniture, products);
+
+  return {
+    design: design._id,
+    designName: design.name,
+    designRevision: design.revision,
+    currency: store.currency,
+    lineItems,
+    unpricedItems,
+    ...priceQuote(lineItems, { discount: req.body.discount, taxRate: store.taxRate }),
+    notes: (req.body.notes || '').trim(),
+  };
+};
+
+// Load a quote of the design in req.design
+const findDesignQuote = async (req) => {
+  const quote = mongoose.Types.ObjectId.isValid(req.params.quoteId)
+    ? await Quote.findOne({ _id: req.params.quoteId, design: req.design._id }).populate('createdBy', 'name email')
+    : null;
+
+  if (!quote) {
+    throw new NotFoundError('Quote not found');
+  }
+  return quote;
+};
+
+// @desc    Price a design without saving a quote
+// @route   POST /api/designs/:id/quotes/preview
+// @access  Private (viewer)
+const previewQuote = asyncHandler(async (req, res) => {
+  res.json(await draftQuote(req));
+});
+
+// @desc    Save a quote for a design
+// @route   POST /api/designs/:id/quotes
+// @access  Private (editor)
+const createQuote = asyncHandler(async (req, res) => {
+  const draft = await draftQuote(req);
+
+  if (draft.lineItems.length === 0) {
+    throw new BadRequestError('None of the furniture in this design has a catalog price');
+  }
+
+  const quote = await Quote.create({
+    ...draft,
+    store: req.storeId,
+    createdBy: req.user._id,
+    number: await Quote.nextNumber(req.storeId),
+  });
+  await quote.populate('createdBy', 'name email');
+
+  res.status(201).json(quote);
+});
+
+// @desc    List the saved quotes of a design, newest first
+// @route   GET /api/designs/:id/quotes
+// @access  Private (viewer)
+const getQuotes = asyncHandler(async (req, res) => {
+  const quotes = await Quote.find({ design: req.design._id })
+    .select('number designRevision currency total createdBy createdAt')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.json(quotes);
+});
+
+// @desc    Get a saved quote
+// @route   GET /api/designs/:id/quotes/:quoteId
+// @access  Private (viewer)
+const getQuote = asyncHandler(async (req, res) => {
+  const quote = await findDesignQuote(req);
+  res.json(quote);
+});
+
+// @desc    Download a saved quote as CSV
+// @route   GET /api/designs/:id/quotes/:quoteId/csv
+// @access  Private (viewer)
+const exportQuoteCsv = asyncHandler(async (req, res) => {
+  const quote = await findDesignQuote(req);
+
+  const { discount } = quote;
+  const rows = [
+    ['SKU', 'Product', 'Category', 'Finish', 'Quantity', `Unit price (${quote.currency})`, `Subtotal (${quote.currency})`],
+    ...quote.lineItems.map((line) => [
+      line.sku, line.name, line.category, line.finish, line.quantity, line.unitPrice, line.subtotal,
+    ]),
+    ...quote.unpricedItems.map((item) => ['', item.name, '', 'Not in catalog', item.quantity, '', '']),
+    [],
+    ['', 'Subtotal', '', '', '', '', quote.subtotal],
+    ['', discount.type === 'percent' ? `Discount (${discount.value}%)` : 'Discount', '', '', '', '', -discount.amount],
+    ['', `Tax (${quote.taxRate}%)`, '', '', '', '', quote.taxAmount],
+    ['', 'Total', '', '', '', '', quote.total],
+  ];
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(`${quote.number}.csv`);
+  res.send(toCsv(rows));
+});
+
+module.exports = {
+  previewQuote,
+  createQuote,
+  getQuotes,
+  getQuote,
+  exportQuoteCsv,
+};
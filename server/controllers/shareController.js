@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Design = require('../models/Design');
+const ShareLink = require('../models/ShareLink');
+const Product = require('../models/Product');
+const asyncHandler = require('../utils/asyncHandler');
+const { BadRequestError, NotFoundError, GoneError } = require('../utils/errors');
+
+const MAX_EXPIRY_DAYS = 365;
+
+// @desc    Create a share link for a design
+// @route   POST /api/designs/:id/shares
+// @access  Private (owner)
+const createShareLink = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  let expiresAt = null;
+  if (req.body.expiresInDays) {
+    const days = Number(req.body.expiresInDays);
+
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      throw new BadRequestError(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const shareLink = await ShareLink.create({
+    design: design._id,
+    createdBy: req.user._id,
+    expiresAt,
+  });
+
+  res.status(201).json(shareLink);
+});
+
+// @desc    List the share links of a design
+// @route   GET /api/designs/:id/shares
+// @access  Private (owner)
+const getShareLinks = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  const shareLinks = await ShareLink.find({ design: design._id }).sort({ createdAt: -1 });
+
+  res.json(shareLinks);
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/designs/:id/shares/:shareId
+// @access  Private (owner)
+const revokeShareLink = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) {
+    throw new NotFoundError('Share link not found');
+  }
+
+  const shareLink = await ShareLink.findOne({ _id: req.params.shareId, design: req.design._id });
+
+  if (!shareLink) {
+    throw new NotFoundError('Share link not found');
+  }
+
+  if (!shareLink.revokedAt) {
+    shareLink.revokedAt = new Date();
+    await shareLink.save();
+  }
+
+  res.json(shareLink);
+});
+
+// @desc    Get a shared design by its public token
+// @route   GET /api/share/:token
+// @access  Public
+const getSharedDesign = asyncHandler(async (req, res) => {
+  const shareLink = await ShareLink.findOne({ token: req.params.token });
+
+  if (!shareLink) {
+    throw new NotFoundError('Share link not found');
+  }
+
+  if (!shareLink.isActive()) {
+    throw new GoneError('This share link has expired or been revoked');
+  }
+
+  const design = await Design.findById(shareLink.design);
+
+  if (!design || design.deletedAt) {
+    throw new NotFoundError('Design not found');
+  }
+
+  // Anonymous viewers cannot load the catalog, so send the 3D models of
+  // the products the design uses (by name for items added before the catalog)
+  const products = await Product.find({
+    store: design.store,
+    $or: [
+      { _id: { $in: design.furniture.map((item) => item.productId).filter((id) => mongoose.Types.ObjectId.isValid(id)) } },
+      { name: { $in: design.furniture.map((item) => item.name) } },
+    ],
+  }).select('name model');
+
+  shareLink.lastAccessedAt = new Date();
+  shareLink.accessCount += 1;
+  await shareLink.save();
+
+  // Only expose what the read-only viewers need
+  res.json({
+    id: design._id,
+    name: design.name,
+    roomConfig: design.roomConfig,
+    furniture: design.furniture,
+    catalog: products,
+    lastModified: design.lastModified,
+    expiresAt: shareLink.expiresAt,
+  });
+});
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedDesign,
+};
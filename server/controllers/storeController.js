@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const { seedDefaultCatalog } = require('../utils/defaultCatalog');
+const { seedDefaultTemplates } = require('../utils/defaultTemplates');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// @desc    List the stores the logged in user works in
+// @route   GET /api/stores
+// @access  Private
+const getMyStores = asyncHandler(async (req, res) => {
+  const stores = await Store.find({ _id: { $in: req.user.stores } }).sort({ name: 1 });
+
+  res.json({ stores, currentStore: req.user.currentStore });
+});
+
+// @desc    Switch the store the user's requests are scoped to
+// @route   PUT /api/stores/current
+// @access  Private
+const switchStore = asyncHandler(async (req, res) => {
+  const { storeId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(storeId) || !req.user.belongsToStore(storeId)) {
+    throw new ForbiddenError('You do not work in that store');
+  }
+
+  req.user.currentStore = storeId;
+  await req.user.save();
+  await req.user.populate('stores', 'name');
+
+  res.json({
+    stores: req.user.stores,
+    currentStore: req.user.stores.find((store) => store._id.equals(storeId)),
+  });
+});
+
+// @desc    List every store
+// @route   GET /api/admin/stores
+// @access  Private (admin)
+const getAllStores = asyncHandler(async (req, res) => {
+  res.json(await Store.find().sort({ name: 1 }));
+});
+
+// @desc    Open a new store. The admin who creates it joins it.
+// @route   POST /api/admin/stores
+// @access  Private (admin)
+const createStore = asyncHandler(async (req, res) => {
+  const name = req.body.name.trim();
+
+  if (await Store.exists({ name })) {
+    throw new ValidationError({ name: 'A store with this name already exists' }, 'Store already exists');
+  }
+
+  const { taxRate, currency } = req.body;
+  const store = await Store.create({ name, taxRate, currency });
+  await seedDefaultCatalog(store._id);
+  await seedDefaultTemplates(store._id);
+
+  req.user.stores.push(store._id);
+  await req.user.save();
+
+  res.status(201).json(store);
+});
+
+// @desc    Rename a store or change its quote settings
+// @route   PUT /api/admin/stores/:id
+// @access  Private (admin)
+const updateStore = asyncHandler(async (req, res) => {
+  const store = mongoose.Types.ObjectId.isValid(req.params.id) ? await Store.findById(req.params.id) : null;
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  const name = req.body.name !== undefined ? req.body.name.trim() : store.name;
+  if (name !== store.name && (await Store.exists({ name }))) {
+    throw new ValidationError({ name: 'A store with this name already exists' }, 'Store already exists');
+  }
+
+  store.name = name;
+  ['taxRate', 'currency'].forEach((key) => {
+    if (req.body[key] !== undefined) {
+      store[key] = req.body[key];
+    }
+  });
+  await store.save();
+
+  res.json(store);
+});
+
+module.exports = {
+  getMyStores,
+  switchStore,
+  getAllStores,
+  createStore,
+  updateStore,
+};
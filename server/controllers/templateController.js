@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const asyncHandler = require('../utils/asyncHandler');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const canManageTemplates = (user) => ['store_manager', 'admin'].includes(user.role);
+
+// Designers may delete the templates they saved; managers any in their store
+const canDelete = (user, template) => {
+  if (canManageTemplates(user)) return true;
+  if (!template.createdBy) return false;
+
+  const creatorId = template.createdBy._id || template.createdBy;
+  return creatorId.equals(user._id);
+};
+
+// @desc    List the current store's templates, built-in ones first
+// @route   GET /api/templates
+// @access  Private
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await Template.find({ store: req.storeId })
+    .populate('createdBy', 'name')
+    .sort({ builtIn: -1, name: 1 });
+
+  res.json(
+    templates.map((template) => ({
+      ...template.toObject(),
+      canDelete: canDelete(req.user, template),
+    }))
+  );
+});
+
+// @desc    Save a design as a template for the store
+// @route   POST /api/designs/:id/template
+// @access  Private (viewer)
+const createTemplateFromDesign = asyncHandler(async (req, res) => {
+  const { design } = req;
+
+  const template = await Template.create({
+    name: req.body.name.trim(),
+    description: (req.body.description || '').trim(),
+    store: req.storeId,
+    createdBy: req.user._id,
+    roomConfig: design.roomConfig,
+    furniture: design.furniture,
+    thumbnail: design.thumbnail,
+  });
+  await template.populate('createdBy', 'name');
+
+  res.status(201).json({ ...template.toObject(), canDelete: true });
+});
+
+// @desc    Delete a template
+// @route   DELETE /api/templates/:id
+// @access  Private (its creator, store managers and admins)
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Template.findOne({ _id: req.params.id, store: req.storeId })
+    : null;
+
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  if (!canDelete(req.user, template)) {
+    throw new ForbiddenError();
+  }
+
+  await template.deleteOne();
+  res.json({ message: 'Template removed' });
+});
+
+module.exports = {
+  getTemplates,
+  createTemplateFromDesign,
+  deleteTemplate,
+};
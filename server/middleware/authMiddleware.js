@@ -1,34 +1,61 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-const protect = async (req, res, next) => {
-  let token;
+// Read the Bearer token, or null when there isn't one
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
 
-  // Check if token exists in headers
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+const protect = asyncHandler(async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new UnauthorizedError('Not authorized, no token');
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // The client refreshes its access token when it sees this message
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Not authorized, token expired');
+    }
+    throw new UnauthorizedError('Not authorized, token failed');
+  }
 
-      // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
+  // Get user from the token
+  req.user = await User.findById(decoded.id).select('-password');
 
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
-    }
+  if (!req.user || !req.user.active) {
+    throw new UnauthorizedError('Not authorized, account deactivated');
   }
 
-  if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
+  // Everything the user reads or creates is scoped to this store
+  req.storeId = req.user.currentStore;
+
+  // Outside any try, so errors further down the chain aren't taken for a bad token
+  next();
+});
+
+// Only let users with one of the given account roles through. Must run after `protect`.
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    throw new ForbiddenError();
+  }
+  next();
+};
+
+// Keep accounts that haven't confirmed their email from reaching other
+// people, e.g. by sharing designs. Must run after `protect`.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    throw new ForbiddenError('Confirm your email address to do this. Check your inbox for the link we sent.');
   }
+  next();
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+module.exports = { protect, authorize, requireVerifiedEmail };
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Design = require('../models/Design');
+const asyncHandler = require('../utils/asyncHandler');
+const { NotFoundError, ForbiddenError } = require('../utils/errors');
+
+// Load the design in req.params.id and check the caller has at least
+// `requiredRole` on it ('viewer', 'editor' or 'owner'). Must run after `protect`.
+// Sets req.design and req.designRole. Designs in the trash are only found
+// with `{ inTrash: true }`, and then only those.
+const loadDesign = (requiredRole, { inTrash = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw new NotFoundError('Design not found');
+    }
+
+    const design = await Design.findOne({
+      _id: req.params.id,
+      store: req.storeId,
+      deletedAt: inTrash ? { $ne: null } : null,
+    });
+    const role = design && design.getRoleFor(req.user._id);
+
+    // Designs the user has no access to at all, or that belong to another
+    // store, look the same as missing ones
+    if (!role) {
+      throw new NotFoundError('Design not found');
+    }
+
+    if (!design.hasRole(req.user._id, requiredRole)) {
+      throw new ForbiddenError(`You need ${requiredRole} access to do this`);
+    }
+
+    req.design = design;
+    req.designRole = role;
+    next();
+  });
+
+module.exports = { loadDesign };
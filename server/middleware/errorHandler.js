@@ -0,0 +1,63 @@
+const logger = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { routePath } = require('./requestLogger');
+
+// Requests that matched no route
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Not found: ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+// Status and body for errors that don't come from our own code
+const describeError = (error) => {
+  if (error instanceof AppError) {
+    return { status: error.statusCode, message: error.message, details: error.details };
+  }
+
+  // Mongoose rejected a document or an id
+  if (error.name === 'ValidationError') {
+    return { status: 400, message: 'Invalid data' };
+  }
+  if (error.name === 'CastError') {
+    return { status: 400, message: `Invalid ${error.path}` };
+  }
+
+  // body-parser errors, e.g. malformed JSON or a body over the size limit
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, message: 'The request body is not valid JSON' };
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, message: error.message };
+  }
+
+  return { status: 500, message: 'Server error' };
+};
+
+// Turn any error passed to next() into a JSON response:
+//   { message, ...details, requestId }
+// Server errors are logged with the request id; client errors only show up
+// in the request log. Express spots error middleware by its four arguments.
+const errorHandler = (error, req, res, next) => {
+  const { status, message, details = {} } = describeError(error);
+
+  if (status >= 500) {
+    (req.log || logger).error('Unhandled error', {
+      method: req.method,
+      path: routePath(req),
+      error,
+    });
+  }
+
+  // A handler that already started responding can only be cut off
+  if (res.headersSent) {
+    return req.socket.destroy();
+  }
+
+  // Rate limits and locked accounts say how long to wait, in seconds
+  if (details.retryAfter) {
+    res.set('Retry-After', String(details.retryAfter));
+  }
+
+  res.status(status).json({ message, ...details, requestId: req.id });
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,44 @@
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Fixed-window rate limiter kept in memory. Good enough for a single server
+// process; counters reset when the server restarts.
+const rateLimit = ({
+  windowMs,
+  max,
+  message = 'Too many requests, please try again later',
+  keyGenerator = (req) => req.ip,
+}) => {
+  // key -> { count, resetAt }
+  const hits = new Map();
+
+  // Forget finished windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      throw new TooManyRequestsError(message, { retryAfter });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Ids passed in by a proxy are kept if they look harmless
+const VALID_REQUEST_ID = /^[\w.-]{1,64}$/;
+
+// The route that handled the request, e.g. /api/share/:token, so tokens
+// and ids in the path stay out of the log. By the time the response is
+// sent the router may have reset req.baseUrl, so the mount path is taken
+// from the URL: everything before the route's own segments.
+const routePath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  if (!req.route || typeof req.route.path !== 'string') return path;
+
+  const segments = path.replace(/\/+$/, '').split('/');
+  const routeSegments = req.route.path.split('/').filter(Boolean);
+  const mountPath = segments.slice(0, segments.length - routeSegments.length).join('/');
+  return routeSegments.length > 0 ? `${mountPath}${req.route.path}` : mountPath || '/';
+};
+
+// Give every request a correlation id, sent back in X-Request-Id, and a
+// logger that tags its entries with it (req.log). One entry is written per
+// request once the response is sent.
+const requestLogger = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    req.log.info('Request completed', {
+      method: req.method,
+      // Without the query string, which can carry tokens
+      path: routePath(req),
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      ...(req.user && { userId: req.user._id.toString() }),
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestLogger, routePath, REQUEST_ID_HEADER };
@@ -0,0 +1,47 @@
+const path = require('path');
+const multer = require('multer');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_MODEL_BYTES = 20 * 1024 * 1024;
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+
+// Models are inspected before anything is written, so keep them in memory
+const modelUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MODEL_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (MODEL_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    const error = new Error('Only .glb and .gltf files can be uploaded');
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(error);
+  },
+}).single('model');
+
+const uploadErrorMessage = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return `Models can be at most ${MAX_MODEL_BYTES / (1024 * 1024)} MB`;
+  }
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return error.message;
+  }
+  return 'Upload a single model file in the "model" field';
+};
+
+// Accept one .glb/.gltf file in the `model` field as req.file. Rejected
+// uploads get a 400 shaped like a validation error.
+const uploadModel = (req, res, next) => {
+  modelUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (!(error instanceof multer.MulterError) && error.code !== 'UNSUPPORTED_FILE_TYPE') {
+      return next(error);
+    }
+
+    const message = uploadErrorMessage(error);
+    next(new ValidationError({ model: message }, message));
+  });
+};
+
+module.exports = { uploadModel };
@@ -0,0 +1,22 @@
+const { object, toFieldErrors } = require('../validation/validators');
+const { ValidationError } = require('../utils/errors');
+
+// Check req.body (or with `{ from: 'query' }`, the query string) against a
+// schema from server/validation. Invalid requests get a 400 with one
+// message per field, e.g.
+//   { message: 'Validation failed', errors: { 'roomConfig.width': 'Width must be at least 100' } }
+const validate = (schema, { from = 'body' } = {}) => {
+  const validator = object(schema, { required: true });
+
+  return (req, res, next) => {
+    const problems = validator(req[from]);
+
+    if (problems.length > 0) {
+      throw new ValidationError(toFieldErrors(problems));
+    }
+
+    next();
+  };
+};
+
+module.exports = { validate };
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { furnitureItemSchema, roomConfigSchema } = require('./designContentSchema');
+
+// Access levels on a design, lowest first
+const DESIGN_ROLES = ['viewer', 'editor', 'owner'];
+
+const collaboratorSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const designSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      default: 'New Design',
+    },
+    roomConfig: {
+      type: roomConfigSchema,
+      default: () => ({}),
+    },
+    furniture: {
+      type: [furnitureItemSchema],
+      default: [],
+    },
+    thumbnail: {
+      type: String,
+      default: '',
+    },
+    // How the owner has organised the design. Changing these is not a
+    // design edit, so it makes no revision.
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    favorite: {
+      type: Boolean,
+      default: false,
+    },
+    // Set while the design is in the owner's trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+      index: true,
+    },
+    collaborators: {
+      type: [collaboratorSchema],
+      default: [],
+    },
+    // Bumped on every update so offline clients can detect conflicting edits
+    revision: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+// The client reads `lastModified` rather than `updatedAt`
+designSchema.virtual('lastModified').get(function () {
+  return this.updatedAt;
+});
+
+designSchema.index({ 'collaborators.user': 1 });
+// The Dashboard lists a user's designs in a store, most recent first
+designSchema.index({ owner: 1, store: 1, updatedAt: -1 });
+designSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Method to get the role a user has on this design, or null for no access
+designSchema.methods.getRoleFor = function (userId) {
+  const ownerId = this.owner._id || this.owner;
+  if (ownerId.equals(userId)) {
+    return 'owner';
+  }
+
+  const collaborator = this.collaborators.find((c) => {
+    const collaboratorId = c.user._id || c.user;
+    return collaboratorId.equals(userId);
+  });
+  return collaborator ? collaborator.role : null;
+};
+
+// Method to check if a user has at least the given role
+designSchema.methods.hasRole = function (userId, requiredRole) {
+  const role = this.getRoleFor(userId);
+  return !!role && DESIGN_ROLES.indexOf(role) >= DESIGN_ROLES.indexOf(requiredRole);
+};
+
+const Design = mongoose.model('Design', designSchema);
+
+module.exports = Design;
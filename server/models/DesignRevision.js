@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { furnitureItemSchema, roomConfigSchema } = require('./designContentSchema');
+
+// A snapshot of a design taken on every save. Revisions are never
+// changed after they are written; restoring one creates a new revision.
+const designRevisionSchema = mongoose.Schema(
+  {
+    design: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Design',
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    roomConfig: {
+      type: roomConfigSchema,
+      default: () => ({}),
+    },
+    furniture: {
+      type: [furnitureItemSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+designRevisionSchema.index({ design: 1, revision: -1 }, { unique: true });
+
+designRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Design revisions are immutable'));
+  }
+  next();
+});
+
+// Snapshot the current state of a design
+designRevisionSchema.statics.record = function (design, authorId, message = '') {
+  return this.create({
+    design: design._id,
+    revision: design.revision,
+    author: authorId,
+    message,
+    name: design.name,
+    roomConfig: design.roomConfig,
+    furniture: design.furniture,
+  });
+};
+
+const DesignRevision = mongoose.model('DesignRevision', designRevisionSchema);
+
+module.exports = DesignRevision;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A folder a designer files their own designs in, e.g. per customer or
+// per showroom area. Folders belong to one user in one store.
+const folderSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+folderSchema.index({ owner: 1, store: 1, name: 1 }, { unique: true });
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+module.exports = Folder;
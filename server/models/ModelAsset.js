@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { MODEL_URL_PREFIX } = require('../config/uploads');
+
+// An uploaded 3D model. The file is stored under its content hash, so the
+// same file uploaded twice (even by different stores) is stored once.
+const modelAssetSchema = mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+      index: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['glb', 'gltf'],
+      required: true,
+    },
+    // Bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+    meshCount: {
+      type: Number,
+      default: 0,
+    },
+    triangleCount: {
+      type: Number,
+      default: 0,
+    },
+    // In model units, with the model's own node transforms applied
+    boundingBox: {
+      min: [Number],
+      max: [Number],
+      size: [Number],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+modelAssetSchema.index({ store: 1, hash: 1 }, { unique: true });
+
+// Path the file is served from; also what products store as their model URL
+modelAssetSchema.virtual('url').get(function () {
+  return `${MODEL_URL_PREFIX}/${this.filename}`;
+});
+
+const ModelAsset = mongoose.model('ModelAsset', modelAssetSchema);
+
+module.exports = ModelAsset;
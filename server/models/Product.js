@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A piece of furniture a store sells. Dimensions are in centimetres, the
+// same unit Editor2D uses for rooms, so a product's width and depth are its
+// size on the floor plan.
+const productSchema = mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    dimensions: {
+      width: { type: Number, required: true },
+      depth: { type: Number, required: true },
+      height: { type: Number, required: true },
+    },
+    defaultFinish: {
+      name: { type: String, trim: true, default: '' },
+      color: { type: String, default: '#8B4513' },
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // The 3D model shown in Viewer3D, and how to fit it to the room
+    model: {
+      url: { type: String, default: '' },
+      scale: { type: Number, default: 1 },
+      yOffset: { type: Number, default: 0 },
+    },
+    // Shown on the Editor2D palette
+    icon: {
+      type: String,
+      default: '📦',
+    },
+    // Discontinued products stay in existing designs but leave the palette
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productSchema.index({ store: 1, sku: 1 }, { unique: true });
+productSchema.index({ store: 1, category: 1, name: 1 });
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
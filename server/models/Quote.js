@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Store = require('./Store');
+
+const lineItemSchema = mongoose.Schema(
+  {
+    productId: String,
+    sku: String,
+    name: { type: String, required: true },
+    category: String,
+    finish: String,
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    subtotal: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// A priced bill of materials for a design. Prices, tax and discount are
+// copied in when the quote is made, so later catalog or design changes
+// never alter it; like revisions, quotes are never edited once written.
+const quoteSchema = mongoose.Schema(
+  {
+    design: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Design',
+      required: true,
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Shown to customers, e.g. Q-000042; counts up per store
+    number: {
+      type: String,
+      required: true,
+    },
+    designName: {
+      type: String,
+      required: true,
+    },
+    designRevision: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    lineItems: {
+      type: [lineItemSchema],
+      default: [],
+    },
+    // Furniture with no catalog product behind it, so it has no price
+    unpricedItems: {
+      type: [{ name: String, quantity: Number, _id: false }],
+      default: [],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      type: { type: String, enum: ['percent', 'amount'], default: 'percent' },
+      value: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    taxRate: {
+      type: Number,
+      required: true,
+    },
+    taxAmount: {
+      type: Number,
+      required: true,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+quoteSchema.index({ design: 1, createdAt: -1 });
+quoteSchema.index({ store: 1, number: 1 }, { unique: true });
+
+quoteSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Quotes are immutable'));
+  }
+  next();
+});
+
+// Reserve the next quote number for a store
+quoteSchema.statics.nextNumber = async function (storeId) {
+  const store = await Store.findByIdAndUpdate(storeId, { $inc: { quoteCounter: 1 } }, { new: true });
+  return `Q-${String(store.quoteCounter).padStart(6, '0')}`;
+};
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = Quote;
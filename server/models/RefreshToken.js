@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A long-lived token used to get new access tokens. Only a hash is stored.
+// Every refresh revokes the token it was given and issues a new one in the
+// same family; presenting an already revoked token means it was stolen, so
+// the whole family is revoked.
+const refreshTokenSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.statics.hash = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
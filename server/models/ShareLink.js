@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A revocable, optionally expiring public link to a read-only design
+const shareLinkSchema = mongoose.Schema(
+  {
+    design: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Design',
+      required: true,
+      index: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString('hex'),
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null,
+    },
+    accessCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to check whether the link can still be used
+shareLinkSchema.methods.isActive = function () {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A showroom. Users belong to one or more stores and work in one at a
+// time; designs and catalog items belong to exactly one.
+const storeSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Sales tax added to quotes, as a percentage
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    // ISO 4217 code that catalog prices are in
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD',
+    },
+    // Last quote number handed out, see Quote.nextNumber
+    quoteCounter: {
+      type: Number,
+      default: 0,
+    },
+    // New accounts, and data from before stores existed, go here
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The default store, created on first use
+storeSchema.statics.getDefault = function () {
+  return this.findOneAndUpdate(
+    { isDefault: true },
+    { $setOnInsert: { name: 'Main Showroom', isDefault: true } },
+    { upsert: true, new: true }
+  );
+};
+
+const Store = mongoose.model('Store', storeSchema);
+
+module.exports = Store;
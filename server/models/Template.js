@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { furnitureItemSchema, roomConfigSchema } = require('./designContentSchema');
+
+// A starter layout new designs can be created from: a room with furniture
+// already placed. Every store gets a few built-in templates, and designers
+// can save any design they can see as a new one.
+const templateSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+      index: true,
+    },
+    // Empty for the built-in templates
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+    roomConfig: {
+      type: roomConfigSchema,
+      default: () => ({}),
+    },
+    furniture: {
+      type: [furnitureItemSchema],
+      default: [],
+    },
+    thumbnail: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Template = mongoose.model('Template', templateSchema);
+
+module.exports = Template;
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { lockDelay } = require('../utils/loginLockout');
 
 const userSchema = mongoose.Schema(
   {
@@ -18,6 +20,74 @@ const userSchema = mongoose.Schema(
       type: String,
       default: 'Designer',
     },
+    // What the account may do: designers work on their own designs, store
+    // managers and admins can also manage accounts
+    role: {
+      type: String,
+      enum: ['designer', 'store_manager', 'admin'],
+      default: 'designer',
+    },
+    // Stores the user works in, and the one their requests are scoped to
+    stores: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Store' }],
+      default: [],
+    },
+    currentStore: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null,
+    },
+    // Deactivated accounts cannot log in; their designs stay in place
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Only a hash of the emailed reset token is stored
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Registering doesn't sign the user in. New accounts can log in, but
+    // can't share designs until they open the link emailed to them.
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // A new address the user asked to switch to. It replaces `email` once
+    // they open the link sent to it. The same token fields confirm the
+    // address of a new account; only a hash of the token is stored.
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Brute-force protection: consecutive failed logins and, once there
+    // are too many, when the account can be tried again
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -33,11 +103,73 @@ userSchema.pre('save', async function (next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Method to check if the user works in a store
+userSchema.methods.belongsToStore = function (storeId) {
+  return this.stores.some((store) => (store._id || store).equals(storeId));
+};
+
 // Method to check password validity
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Seconds until a locked account can be tried again, or 0
+userSchema.methods.lockRemaining = function () {
+  if (!this.lockUntil) return 0;
+  return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+// Count a failed login, locking the account as set out in utils/loginLockout
+userSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts += 1;
+
+  const delay = lockDelay(this.failedLoginAttempts);
+  if (delay > 0) {
+    this.lockUntil = new Date(Date.now() + delay);
+  }
+};
+
+userSchema.methods.resetFailedLogins = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Start a password reset, returning the token to email to the user.
+// A new request replaces any earlier token.
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Find the user a reset token was issued to, if it has not expired
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: { $gt: new Date() },
+  });
+};
+
+// Start confirming an email address, returning the token to send to it.
+// A new request replaces any earlier token.
+userSchema.methods.createEmailVerificationToken = function (expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Find the user a verification token was issued to, if it has not expired
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: { $gt: new Date() },
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
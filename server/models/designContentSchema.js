@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Schemas shared by designs and their saved revisions
+
+const furnitureItemSchema = mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Catalog product the item was added from; empty for items from
+    // before the catalog existed
+    productId: {
+      type: String,
+      default: '',
+    },
+    x: {
+      type: Number,
+      default: 0,
+    },
+    y: {
+      type: Number,
+      default: 0,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    fill: {
+      type: String,
+      default: '#8B4513',
+    },
+    rotation: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const roomConfigSchema = mongoose.Schema(
+  {
+    width: {
+      type: Number,
+      default: 500,
+    },
+    height: {
+      type: Number,
+      default: 400,
+    },
+    color: {
+      type: String,
+      default: '#F5F5DC',
+    },
+    wallColor: {
+      type: String,
+      default: '#F5F5F5',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+module.exports = { furnitureItemSchema, roomConfigSchema };
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const User = require('../models/User');
+const Design = require('../models/Design');
+const { sanitizeFurnitureOp, applyFurnitureOp } = require('../utils/furnitureMerge');
+const logger = require('../utils/logger');
+
+// Live editing channel for Editor2D. Everyone with the same design open
+// joins a room; furniture operations, cursors and selections are relayed to
+// the rest of the room. The room keeps the merged furniture so late joiners
+// start from the live state rather than the last save.
+//
+// Connect to /ws/designs/:id?token=<jwt>
+
+const PATH_PATTERN = /^\/ws\/designs\/([^/]+)$/;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const PEER_COLORS = ['#E11D48', '#2563EB', '#16A34A', '#D97706', '#7C3AED', '#0891B2', '#DB2777', '#65A30D'];
+
+// designId -> { furniture, clients: Map<socket, peer> }
+const rooms = new Map();
+
+let activeServer = null;
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const broadcast = (room, message, except) => {
+  room.clients.forEach((peer, socket) => {
+    if (socket !== except) {
+      send(socket, message);
+    }
+  });
+};
+
+// What other clients get to see about a peer
+const describePeer = (peer) => ({
+  id: peer.id,
+  name: peer.name,
+  email: peer.email,
+  role: peer.role,
+  color: peer.color,
+  cursor: peer.cursor,
+  selectedId: peer.selectedId,
+});
+
+// Resolve the design and user for an upgrade request, or null if the
+// caller may not join
+const authenticate = async (request) => {
+  const url = new URL(request.url, 'http://localhost');
+  const match = url.pathname.match(PATH_PATTERN);
+  const token = url.searchParams.get('token');
+
+  if (!match || !token || !mongoose.Types.ObjectId.isValid(match[1])) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const [user, design] = await Promise.all([
+    User.findById(decoded.id).select('name email active currentStore'),
+    Design.findById(match[1]),
+  ]);
+  if (!user || !user.active || !design || design.deletedAt || !design.store.equals(user.currentStore)) return null;
+
+  const role = design.getRoleFor(user._id);
+  return role ? { user, design, role } : null;
+};
+
+const joinRoom = (socket, { user, design, role }) => {
+  const designId = design._id.toString();
+
+  let room = rooms.get(designId);
+  if (!room) {
+    room = { furniture: design.toObject().furniture, clients: new Map() };
+    rooms.set(designId, room);
+  }
+
+  const usedColors = new Set([...room.clients.values()].map((peer) => peer.color));
+  const peer = {
+    id: crypto.randomUUID(),
+    userId: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    role,
+    color: PEER_COLORS.find((color) => !usedColors.has(color)) || PEER_COLORS[room.clients.size % PEER_COLORS.length],
+    cursor: null,
+    selectedId: null,
+  };
+
+  room.clients.set(socket, peer);
+  socket.isAlive = true;
+
+  send(socket, {
+    type: 'welcome',
+    peerId: peer.id,
+    furniture: room.furniture,
+    peers: [...room.clients.values()].filter((other) => other !== peer).map(describePeer),
+  });
+  broadcast(room, { type: 'peer-joined', peer: describePeer(peer) }, socket);
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  // E.g. a frame over maxPayload. Without a listener ws would throw and
+  // take the whole server down; only this connection is dropped.
+  socket.on('error', (error) => {
+    logger.warn('Live editing connection error', { designId, userId: peer.userId, error: error.message });
+    socket.terminate();
+  });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    handleMessage(room, socket, peer, message);
+  });
+
+  socket.on('close', () => {
+    room.clients.delete(socket);
+    broadcast(room, { type: 'peer-left', peerId: peer.id });
+
+    if (room.clients.size === 0) {
+      rooms.delete(designId);
+    }
+  });
+};
+
+const handleMessage = (room, socket, peer, message) => {
+  switch (message.type) {
+    case 'op': {
+      const op = peer.role === 'viewer' ? null : sanitizeFurnitureOp(message.op);
+      if (!op) {
+        return send(socket, { type: 'error', message: 'Operation rejected' });
+      }
+      room.furniture = applyFurnitureOp(room.furniture, op);
+      broadcast(room, { type: 'op', peerId: peer.id, op }, socket);
+      break;
+    }
+
+    case 'cursor': {
+      const { cursor } = message;
+      peer.cursor = cursor && Number.isFinite(cursor.x) && Number.isFinite(cursor.y)
+        ? { x: cursor.x, y: cursor.y }
+        : null;
+      broadcast(room, { type: 'cursor', peerId: peer.id, cursor: peer.cursor }, socket);
+      break;
+    }
+
+    case 'select':
+      peer.selectedId = Number.isFinite(message.itemId) ? message.itemId : null;
+      broadcast(room, { type: 'select', peerId: peer.id, itemId: peer.selectedId }, socket);
+      break;
+
+    default:
+      break;
+  }
+};
+
+// Start accepting live editing connections on an HTTP server
+const attach = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+  server.on('upgrade', async (request, socket, head) => {
+    let session = null;
+    try {
+      session = await authenticate(request);
+    } catch (error) {
+      logger.error('Error authenticating live editing connection', { error });
+    }
+
+    if (!session) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => joinRoom(ws, session));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  activeServer = wss;
+  return wss;
+};
+
+// Close every connection when the server shuts down. Unlike disconnect,
+// clients aren't told the session is over, so they reconnect once it's back.
+const close = () => {
+  if (!activeServer) return;
+
+  activeServer.clients.forEach((socket) => socket.close(1001, 'Server shutting down'));
+  activeServer.close();
+  activeServer = null;
+};
+
+// Tell everyone in a design's room that it was saved. A reset (e.g. a
+// restored revision) replaces the room's live furniture with the saved one.
+const publishSaved = (design, user, { reset = false } = {}) => {
+  const room = rooms.get(design._id.toString());
+  if (!room) return;
+
+  const message = {
+    type: 'saved',
+    revision: design.revision,
+    savedBy: { name: user.name, email: user.email },
+  };
+
+  if (reset) {
+    room.furniture = design.toObject().furniture;
+    message.furniture = room.furniture;
+  }
+
+  // The saver already has the result from the HTTP response
+  room.clients.forEach((peer, socket) => {
+    if (peer.userId !== user._id.toString()) {
+      send(socket, message);
+    }
+  });
+};
+
+// Disconnect everyone from a design's room (e.g. once it has been deleted),
+// or only the connections of one user who lost access
+const disconnect = (designId, { userId, message = 'Design removed' } = {}) => {
+  const room = rooms.get(designId.toString());
+  if (!room) return;
+
+  room.clients.forEach((peer, socket) => {
+    if (!userId || peer.userId === userId.toString()) {
+      send(socket, { type: 'closed', message });
+      socket.close();
+    }
+  });
+};
+
+// Apply a collaborator's new role to their open connections
+const setPeerRole = (designId, userId, role) => {
+  const room = rooms.get(designId.toString());
+  if (!room) return;
+
+  room.clients.forEach((peer, socket) => {
+    if (peer.userId === userId.toString()) {
+      peer.role = role;
+      send(socket, { type: 'role', role });
+    }
+  });
+};
+
+module.exports = { attach, close, publishSaved, disconnect, setPeerRole };
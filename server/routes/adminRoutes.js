@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  updateUser,
+  resetUserPassword,
+  reassignDesigns,
+} = require('../controllers/adminController');
+const { getAllStores, createStore, updateStore } = require('../controllers/storeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { userListQuerySchema, updateUserSchema, reassignDesignsSchema } = require('../validation/adminSchemas');
+const { createStoreSchema, updateStoreSchema } = require('../validation/storeSchemas');
+
+router.use(protect, authorize('store_manager', 'admin'));
+
+router.get('/users', validate(userListQuerySchema, { from: 'query' }), getUsers);
+router.put('/users/:id', validate(updateUserSchema), updateUser);
+router.post('/users/:id/reset-password', resetUserPassword);
+router.post('/users/:id/reassign-designs', validate(reassignDesignsSchema), reassignDesigns);
+
+router.get('/stores', authorize('admin'), getAllStores);
+router.post('/stores', authorize('admin'), validate(createStoreSchema), createStore);
+router.put('/stores/:id', authorize('admin'), validate(updateStoreSchema), updateStore);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getAssets, createAsset, deleteAsset } = require('../controllers/assetController');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadModel } = require('../middleware/upload');
+
+router.get('/', protect, getAssets);
+router.post('/', protect, uploadModel, createAsset);
+router.delete('/:id', protect, deleteAsset);
+
+module.exports = router;
@@ -1,10 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getUserProfile } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  refreshAccessToken,
+  logoutUser,
+  forgotPassword,
+  resetPassword,
+  getUserProfile,
+  updateUserProfile,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  deleteUserAccount,
+} = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+} = require('../validation/authSchemas');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+// Per-IP limits on the endpoints that can be used to guess passwords or
+// flood inboxes; per-account lockout is handled in loginUser
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts from this network. Please try again later.',
+});
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many email requests. Please try again later.',
+});
+
+router.post('/register', validate(registerSchema), registerUser);
+router.post('/login', loginLimiter, validate(loginSchema), loginUser);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logoutUser);
+router.post('/forgot-password', emailLimiter, validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', emailLimiter, validate(resendVerificationSchema), resendVerification);
 router.get('/profile', protect, getUserProfile);
+router.put('/profile', protect, validate(updateProfileSchema), updateUserProfile);
+router.put('/password', protect, validate(changePasswordSchema), changePassword);
+router.delete('/account', protect, validate(deleteAccountSchema), deleteUserAccount);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProducts,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+} = require('../controllers/catalogController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { createProductSchema, updateProductSchema, productListQuerySchema } = require('../validation/catalogSchemas');
+
+const manageCatalog = authorize('store_manager', 'admin');
+
+router.get('/', protect, validate(productListQuerySchema, { from: 'query' }), getProducts);
+router.post('/', protect, manageCatalog, validate(createProductSchema), createProduct);
+router.get('/:id', protect, getProductById);
+router.put('/:id', protect, manageCatalog, validate(updateProductSchema), updateProduct);
+router.delete('/:id', protect, manageCatalog, deleteProduct);
+
+module.exports = router;
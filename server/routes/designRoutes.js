@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDesigns,
+  getDesignTags,
+  getDesignThumbnail,
+  organizeDesign,
+  getDesignById,
+  createDesign,
+  updateDesign,
+  deleteDesign,
+  getTrash,
+  restoreDesign,
+  purgeDesign,
+  emptyTrash,
+  getDesignRevisions,
+  getDesignRevision,
+  restoreDesignRevision,
+} = require('../controllers/designController');
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+} = require('../controllers/shareController');
+const {
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+} = require('../controllers/collaboratorController');
+const {
+  previewQuote,
+  createQuote,
+  getQuotes,
+  getQuote,
+  exportQuoteCsv,
+} = require('../controllers/quoteController');
+const { createTemplateFromDesign } = require('../controllers/templateController');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { loadDesign } = require('../middleware/designAccess');
+const { validate } = require('../middleware/validate');
+const {
+  createDesignSchema,
+  updateDesignSchema,
+  organizeDesignSchema,
+  designListQuerySchema,
+} = require('../validation/designSchemas');
+const { quoteSchema } = require('../validation/quoteSchemas');
+const { templateSchema } = require('../validation/templateSchemas');
+
+router.get('/', protect, validate(designListQuerySchema, { from: 'query' }), getDesigns);
+router.post('/', protect, validate(createDesignSchema), createDesign);
+router.get('/tags', protect, getDesignTags);
+router.get('/trash', protect, getTrash);
+router.delete('/trash', protect, emptyTrash);
+router.get('/trash/:id/thumbnail', protect, loadDesign('owner', { inTrash: true }), getDesignThumbnail);
+router.get('/:id', protect, loadDesign('viewer'), getDesignById);
+router.put('/:id', protect, loadDesign('editor'), validate(updateDesignSchema), updateDesign);
+router.delete('/:id', protect, loadDesign('owner'), deleteDesign);
+router.post('/:id/restore', protect, loadDesign('owner', { inTrash: true }), restoreDesign);
+router.delete('/:id/permanent', protect, loadDesign('owner', { inTrash: true }), purgeDesign);
+router.get('/:id/thumbnail', protect, loadDesign('viewer'), getDesignThumbnail);
+router.put('/:id/organize', protect, loadDesign('owner'), validate(organizeDesignSchema), organizeDesign);
+
+router.get('/:id/revisions', protect, loadDesign('viewer'), getDesignRevisions);
+router.get('/:id/revisions/:revision', protect, loadDesign('viewer'), getDesignRevision);
+router.post('/:id/revisions/:revision/restore', protect, loadDesign('editor'), restoreDesignRevision);
+
+router.get('/:id/shares', protect, loadDesign('owner'), getShareLinks);
+router.post('/:id/shares', protect, requireVerifiedEmail, loadDesign('owner'), createShareLink);
+router.delete('/:id/shares/:shareId', protect, loadDesign('owner'), revokeShareLink);
+
+router.get('/:id/collaborators', protect, loadDesign('viewer'), getCollaborators);
+router.post('/:id/collaborators', protect, requireVerifiedEmail, loadDesign('owner'), addCollaborator);
+router.put('/:id/collaborators/:userId', protect, loadDesign('owner'), updateCollaborator);
+router.delete('/:id/collaborators/:userId', protect, loadDesign('viewer'), removeCollaborator);
+
+router.get('/:id/quotes', protect, loadDesign('viewer'), getQuotes);
+router.post('/:id/quotes', protect, loadDesign('editor'), validate(quoteSchema), createQuote);
+router.post('/:id/quotes/preview', protect, loadDesign('viewer'), validate(quoteSchema), previewQuote);
+router.get('/:id/quotes/:quoteId', protect, loadDesign('viewer'), getQuote);
+router.get('/:id/quotes/:quoteId/csv', protect, loadDesign('viewer'), exportQuoteCsv);
+
+router.post('/:id/template', protect, loadDesign('viewer'), validate(templateSchema), createTemplateFromDesign);
+
+module.exports = router;
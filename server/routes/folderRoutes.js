@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+} = require('../controllers/folderController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { folderSchema } = require('../validation/folderSchemas');
+
+router.get('/', protect, getFolders);
+router.post('/', protect, validate(folderSchema), createFolder);
+router.put('/:id', protect, validate(folderSchema), updateFolder);
+router.delete('/:id', protect, deleteFolder);
+
+module.exports = router;
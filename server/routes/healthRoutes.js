@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getHealth, getReadiness } = require('../controllers/healthController');
+
+router.get('/healthz', getHealth);
+router.get('/readyz', getReadiness);
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const { getSharedDesign } = require('../controllers/shareController');
+
+router.get('/:token', getSharedDesign);
+
+module.exports = router;
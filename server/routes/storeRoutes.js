@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getMyStores, switchStore } = require('../controllers/storeController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { switchStoreSchema } = require('../validation/storeSchemas');
+
+router.get('/', protect, getMyStores);
+router.put('/current', protect, validate(switchStoreSchema), switchStore);
+
+module.exports = router;
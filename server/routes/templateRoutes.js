@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getTemplates, deleteTemplate } = require('../controllers/templateController');
+const { protect } = require('../middleware/authMiddleware');
+
+router.get('/', protect, getTemplates);
+router.delete('/:id', protect, deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// Give an existing account the admin role, e.g. for the first admin:
+//   npm run make-admin -- someone@example.com
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  const email = (process.argv[2] || '').trim().toLowerCase();
+
+  if (!email) {
+    console.error('Usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate({ email }, { role: 'admin', active: true }, { new: true });
+
+  if (!user) {
+    console.error(`No account is registered with ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,27 +1,66 @@
+// Before anything else, so modules that read settings as they load see .env
+require('dotenv').config();
+
 const express = require('express');
-const dotenv = require('dotenv');
 const cors = require('cors');
-const connectDB = require('./config/db');
+const { connectDB } = require('./config/db');
 const authRoutes = require('./routes/authRoutes');
-
-dotenv.config();
+const designRoutes = require('./routes/designRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const storeRoutes = require('./routes/storeRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const assetRoutes = require('./routes/assetRoutes');
+const folderRoutes = require('./routes/folderRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const { modelDir, MODEL_URL_PREFIX } = require('./config/uploads');
+const designChannel = require('./realtime/designChannel');
+const { requestLogger, REQUEST_ID_HEADER } = require('./middleware/requestLogger');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const logger = require('./utils/logger');
+const { handleShutdownSignals } = require('./services/shutdown');
 
 // Connect to MongoDB
 connectDB();
 
 const app = express();
 
+// Health checks for the load balancer or orchestrator, kept out of the request log
+app.use(healthRoutes);
+
 // Middleware
-app.use(express.json());
-app.use(cors());
+// First, so even requests with a malformed body get a request id
+app.use(requestLogger);
+// Designs carry their thumbnail image, so allow more than the 100kb default
+app.use(express.json({ limit: '1mb' }));
+// Let the client read the request id, so users can quote it to support
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/designs', designRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/stores', storeRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/templates', templateRoutes);
 
-// Design routes will go here later
+// Uploaded 3D models. File names are content hashes, so a URL's file never changes.
+app.use(MODEL_URL_PREFIX, express.static(modelDir(), { immutable: true, maxAge: '1y' }));
+
+app.use(notFound);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  logger.info('Server running', { port: Number(PORT) });
+});
+
+// Live editing for Editor2D shares the HTTP server
+designChannel.attach(server);
+
+handleShutdownSignals(server); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const Design = require('../models/Design');
+const Folder = require('../models/Folder');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const designChannel = require('../realtime/designChannel');
+const { purgeDesigns } = require('./designTrash');
+
+// Remove a user's account. Their designs are deleted for good, or with
+// `transferTo` handed to that user; designs in the trash are always
+// deleted. Quotes, templates and models they created stay with the store.
+const deleteAccount = async (user, { transferTo = null } = {}) => {
+  const owned = await Design.find({ owner: user._id }).select('_id deletedAt');
+  const purgeIds = owned.filter((design) => !transferTo || design.deletedAt).map((design) => design._id);
+  const transferIds = transferTo ? owned.filter((design) => !design.deletedAt).map((design) => design._id) : [];
+
+  // As in the admin reassignment, the new owner no longer needs to be a
+  // collaborator and the old owner's folders don't carry over
+  if (transferIds.length > 0) {
+    await Design.updateMany(
+      { _id: { $in: transferIds } },
+      { $set: { owner: transferTo._id, folder: null }, $pull: { collaborators: { user: transferTo._id } } }
+    );
+  }
+  await purgeDesigns(purgeIds);
+
+  const shared = await Design.find({ 'collaborators.user': user._id }).distinct('_id');
+  await Design.updateMany({ _id: { $in: shared } }, { $pull: { collaborators: { user: user._id } } });
+
+  await Promise.all([
+    Folder.deleteMany({ owner: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+  ]);
+  await User.deleteOne({ _id: user._id });
+
+  purgeIds.forEach((designId) => designChannel.disconnect(designId));
+  [...transferIds, ...shared].forEach((designId) =>
+    designChannel.disconnect(designId, { userId: user._id, message: 'Your account has been deleted' })
+  );
+
+  return { deleted: purgeIds.length, transferred: transferIds.length };
+};
+
+module.exports = { deleteAccount };
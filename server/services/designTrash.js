@@ -0,0 +1,56 @@
+const Design = require('../models/Design');
+const DesignRevision = require('../models/DesignRevision');
+const ShareLink = require('../models/ShareLink');
+const Quote = require('../models/Quote');
+const logger = require('../utils/logger');
+
+// Days deleted designs stay in the owner's trash before they are removed
+// for good, along with their history, share links and quotes. Read on use
+// rather than when this module loads, which may be before .env is.
+const trashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a design deleted at `deletedAt` will be emptied from the trash
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + trashRetentionDays() * DAY_MS);
+
+const purgeDesigns = async (designIds) => {
+  if (designIds.length === 0) return 0;
+
+  await Promise.all([
+    DesignRevision.deleteMany({ design: { $in: designIds } }),
+    ShareLink.deleteMany({ design: { $in: designIds } }),
+    Quote.deleteMany({ design: { $in: designIds } }),
+  ]);
+  const result = await Design.deleteMany({ _id: { $in: designIds } });
+  return result.deletedCount;
+};
+
+const emptyExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - trashRetentionDays() * DAY_MS);
+  const expiredIds = await Design.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct('_id');
+  return purgeDesigns(expiredIds);
+};
+
+// Check for expired designs now and then every hour. The timer doesn't
+// keep the process alive on its own.
+const scheduleTrashPurge = () => {
+  const run = () =>
+    emptyExpiredTrash()
+      .then((count) => {
+        if (count > 0) logger.info('Emptied expired designs from the trash', { count });
+      })
+      .catch((error) => logger.error('Error emptying trash', { error }));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  trashRetentionDays,
+  purgeDate,
+  purgeDesigns,
+  emptyExpiredTrash,
+  scheduleTrashPurge,
+};
@@ -0,0 +1,10 @@
+const logger = require('../../utils/logger');
+
+// Development transport: writes every message to the server log
+const createConsoleTransport = () => ({
+  async send(message) {
+    logger.info('Outgoing mail', { to: message.to, subject: message.subject, text: message.text });
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,34 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Development transport: writes every message to its own .eml file so the
+// links in it can be opened without a mail server. Set MAIL_DIR to choose
+// where; by default the files go to the system temp directory.
+const createFileTransport = ({ dir = process.env.MAIL_DIR } = {}) => {
+  const mailDir = dir || path.join(os.tmpdir(), 'furniture-visualizer-mail');
+
+  return {
+    async send(message) {
+      await fs.mkdir(mailDir, { recursive: true });
+
+      const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(mailDir, `${Date.now()}-${safeRecipient}.eml`);
+      const contents = [
+        `To: ${message.to}`,
+        `From: ${message.from}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+      ].join('\r\n');
+
+      await fs.writeFile(file, contents);
+      logger.info('Mail written to file', { to: message.to, file });
+    },
+  };
+};
+
+module.exports = createFileTransport;
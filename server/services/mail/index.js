@@ -0,0 +1,46 @@
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+
+// Outgoing mail goes through a transport: any object with an async
+// `send({ from, to, subject, text })`. The transport is picked by name
+// from MAIL_TRANSPORT (default 'console'); real providers are added with
+// registerTransport without touching the code that sends mail.
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Use a specific transport instance, e.g. a fake one in tests
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const sendMail = ({ to, subject, text }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || 'Furniture Visualizer <no-reply@furniture-visualizer.local>',
+    to,
+    subject,
+    text,
+  });
+
+module.exports = { sendMail, registerTransport, setTransport };
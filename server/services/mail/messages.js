@@ -0,0 +1,77 @@
+const { sendMail } = require('./index');
+
+// Links in emails point at the client app
+const clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+
+const sendPasswordResetEmail = (user, token, expiresInMinutes) =>
+  sendMail({
+    to: user.email,
+    subject: 'Reset your Furniture Visualizer password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password for your Furniture Visualizer account.',
+      `Choose a new password here within ${expiresInMinutes} minutes:`,
+      '',
+      clientUrl(`/reset-password/${token}`),
+      '',
+      'If this was not you, you can ignore this email; your password will not change.',
+    ].join('\n'),
+  });
+
+// Sent when a store manager or admin resets someone's password for them
+const sendAdminPasswordResetEmail = (user, token, expiresInMinutes, admin) =>
+  sendMail({
+    to: user.email,
+    subject: 'Your Furniture Visualizer password was reset',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `${admin.name} (${admin.email}) has reset the password for your Furniture Visualizer account,`,
+      'so your old password no longer works.',
+      `Choose a new password here within ${Math.round(expiresInMinutes / 60)} hours:`,
+      '',
+      clientUrl(`/reset-password/${token}`),
+    ].join('\n'),
+  });
+
+// Sent when an account is created, and again on request
+const sendVerificationEmail = (user, token, expiresInMinutes) =>
+  sendMail({
+    to: user.email,
+    subject: 'Confirm your Furniture Visualizer email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Welcome to Furniture Visualizer! Confirm your email address to start sharing your designs.',
+      `Open this link within ${Math.round(expiresInMinutes / 60)} hours:`,
+      '',
+      clientUrl(`/verify-email/${token}`),
+      '',
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  });
+
+// Sent to the new address when a user changes their email
+const sendEmailChangeEmail = (user, token, expiresInMinutes) =>
+  sendMail({
+    to: user.pendingEmail,
+    subject: 'Confirm your new Furniture Visualizer email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `You asked to change the email address of your Furniture Visualizer account from ${user.email} to this one.`,
+      `Confirm the change here within ${Math.round(expiresInMinutes / 60)} hours:`,
+      '',
+      clientUrl(`/verify-email/${token}`),
+      '',
+      'Until then you keep logging in with your old address. If this was not you, ignore this email.',
+    ].join('\n'),
+  });
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendAdminPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+};
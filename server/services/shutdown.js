@@ -0,0 +1,51 @@
+const { disconnectDB } = require('../config/db');
+const designChannel = require('../realtime/designChannel');
+const logger = require('../utils/logger');
+
+// Requests still running after this long are cut off. Read on use rather
+// than when this module loads, which may be before .env is.
+const shutdownTimeoutMs = () => Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+let shuttingDown = false;
+
+const isShuttingDown = () => shuttingDown;
+
+const closeServer = (server) =>
+  new Promise((resolve, reject) => {
+    server.close((error) => (error ? reject(error) : resolve()));
+    // Keep-alive connections with no request in flight would hold it open
+    server.closeIdleConnections();
+  });
+
+// Stop taking new requests, let the running ones finish, then close the
+// database connection and exit. /readyz answers 503 while this happens.
+const shutdown = async (server, signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  const timeoutMs = shutdownTimeoutMs();
+  const forceExit = setTimeout(() => {
+    logger.error('Requests did not finish in time, exiting', { timeoutMs });
+    process.exit(1);
+  }, timeoutMs);
+  forceExit.unref();
+
+  try {
+    designChannel.close();
+    await closeServer(server);
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error shutting down', { error });
+    process.exit(1);
+  }
+};
+
+const handleShutdownSignals = (server) => {
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => shutdown(server, signal));
+  });
+};
+
+module.exports = { isShuttingDown, handleShutdownSignals };
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { priceQuote } = require('../utils/quotePricing');
+
+const lines = [{ subtotal: 100 }, { subtotal: 50.5 }];
+
+test('prices a quote with a percentage discount before tax', () => {
+  const quote = priceQuote(lines, { discount: { type: 'percent', value: 10 }, taxRate: 20 });
+
+  assert.equal(quote.subtotal, 150.5);
+  assert.deepEqual(quote.discount, { type: 'percent', value: 10, amount: 15.05 });
+  assert.equal(quote.taxAmount, 27.09);
+  assert.equal(quote.total, 162.54);
+});
+
+test('treats a null discount as no discount', () => {
+  const quote = priceQuote(lines, { discount: null, taxRate: 0 });
+
+  assert.deepEqual(quote.discount, { type: 'percent', value: 0, amount: 0 });
+  assert.equal(quote.total, 150.5);
+});
+
+test('never discounts below zero', () => {
+  const quote = priceQuote(lines, { discount: { type: 'amount', value: 500 } });
+
+  assert.equal(quote.discount.amount, 150.5);
+  assert.equal(quote.total, 0);
+});
@@ -0,0 +1,6 @@
+// Wrap an async route handler or middleware so a thrown error or rejected
+// promise reaches the error middleware instead of being left unhandled
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
@@ -0,0 +1,20 @@
+// Minimal CSV writer for exports opened in spreadsheet apps
+
+// Text starting with these could be run as a formula by the spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows is an array of arrays of cells; the first row is usually the header
+const toCsv = (rows) => rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+
+module.exports = { toCsv };
@@ -0,0 +1,71 @@
+const Product = require('../models/Product');
+
+// The furniture Editor2D used to hard-code, given to every new store so
+// its palette is never empty. Only the bed ships with a 3D model; the rest
+// show as plain shapes until a model is uploaded for them.
+const DEFAULT_PRODUCTS = [
+  {
+    sku: 'SOF-001',
+    name: 'Sofa',
+    category: 'Living room',
+    dimensions: { width: 120, depth: 70, height: 85 },
+    defaultFinish: { name: 'Walnut', color: '#8B4513' },
+    price: 899,
+    icon: '🛋️',
+  },
+  {
+    sku: 'TAB-001',
+    name: 'Table',
+    category: 'Dining room',
+    dimensions: { width: 80, depth: 80, height: 75 },
+    defaultFinish: { name: 'Sienna', color: '#A0522D' },
+    price: 349,
+    icon: '🪑',
+  },
+  {
+    sku: 'BED-001',
+    name: 'Bed',
+    category: 'Bedroom',
+    dimensions: { width: 160, depth: 200, height: 100 },
+    defaultFinish: { name: 'Oak', color: '#CD853F' },
+    price: 749,
+    model: { url: '/models/bed-1.glb', scale: 1.9, yOffset: 0.5 },
+    icon: '🛏️',
+  },
+  {
+    sku: 'SHE-001',
+    name: 'Bookshelf',
+    category: 'Storage',
+    dimensions: { width: 60, depth: 120, height: 180 },
+    defaultFinish: { name: 'Beech', color: '#D2B48C' },
+    price: 199,
+    icon: '📚',
+  },
+  {
+    sku: 'DRE-001',
+    name: 'Dresser',
+    category: 'Bedroom',
+    dimensions: { width: 100, depth: 50, height: 90 },
+    defaultFinish: { name: 'Walnut', color: '#8B4513' },
+    price: 429,
+    icon: '🗄️',
+  },
+  {
+    sku: 'PLA-001',
+    name: 'Plant',
+    category: 'Decor',
+    dimensions: { width: 40, depth: 40, height: 120 },
+    defaultFinish: { name: 'Green', color: '#228B22' },
+    price: 39,
+    icon: '🪴',
+  },
+];
+
+// Give a store the default products unless it already has a catalog
+const seedDefaultCatalog = async (storeId) => {
+  if (await Product.exists({ store: storeId })) return;
+
+  await Product.insertMany(DEFAULT_PRODUCTS.map((product) => ({ ...product, store: storeId })));
+};
+
+module.exports = { seedDefaultCatalog };
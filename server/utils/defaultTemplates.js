@@ -0,0 +1,79 @@
+const Product = require('../models/Product');
+const Template = require('../models/Template');
+
+// Starter layouts every store gets. Furniture is placed by catalog SKU at
+// (x, y) in cm from the room's top left corner, and takes its size and
+// finish from the store's product.
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Small studio',
+    description: 'A compact room with a bed, a small dining table and storage',
+    roomConfig: { width: 400, height: 350, color: '#F5F5DC', wallColor: '#F5F5F5' },
+    items: [
+      { sku: 'BED-001', x: 20, y: 20 },
+      { sku: 'SHE-001', x: 320, y: 20 },
+      { sku: 'TAB-001', x: 260, y: 240 },
+      { sku: 'PLA-001', x: 20, y: 290 },
+    ],
+  },
+  {
+    name: 'Master bedroom',
+    description: 'A double bed centred on the wall with a dresser and plants',
+    roomConfig: { width: 500, height: 450, color: '#EDE0D4', wallColor: '#F8F4F0' },
+    items: [
+      { sku: 'BED-001', x: 170, y: 20 },
+      { sku: 'PLA-001', x: 110, y: 20 },
+      { sku: 'PLA-001', x: 350, y: 20 },
+      { sku: 'DRE-001', x: 200, y: 380 },
+    ],
+  },
+  {
+    name: 'Open-plan living',
+    description: 'Living and dining in one large space',
+    roomConfig: { width: 800, height: 600, color: '#F5F5DC', wallColor: '#FFFFFF' },
+    items: [
+      { sku: 'SOF-001', x: 80, y: 420 },
+      { sku: 'SHE-001', x: 90, y: 20 },
+      { sku: 'SHE-001', x: 20, y: 20 },
+      { sku: 'TAB-001', x: 560, y: 120 },
+      { sku: 'TAB-001', x: 560, y: 320 },
+      { sku: 'PLA-001', x: 740, y: 540 },
+    ],
+  },
+];
+
+// Give a store the default templates unless it already has some. Runs
+// after seedDefaultCatalog; items whose product the store lacks are left out.
+const seedDefaultTemplates = async (storeId) => {
+  if (await Template.exists({ store: storeId })) return;
+
+  const skus = [...new Set(DEFAULT_TEMPLATES.flatMap((template) => template.items.map((item) => item.sku)))];
+  const products = await Product.find({ store: storeId, sku: { $in: skus } });
+  const productsBySku = new Map(products.map((product) => [product.sku, product]));
+
+  const templates = DEFAULT_TEMPLATES.map(({ items, ...template }) => ({
+    ...template,
+    store: storeId,
+    builtIn: true,
+    furniture: items
+      .filter((item) => productsBySku.has(item.sku))
+      .map((item, index) => {
+        const product = productsBySku.get(item.sku);
+        return {
+          id: index + 1,
+          name: product.name,
+          productId: product._id.toString(),
+          x: item.x,
+          y: item.y,
+          width: product.dimensions.width,
+          height: product.dimensions.depth,
+          fill: product.defaultFinish.color,
+          rotation: item.rotation || 0,
+        };
+      }),
+  }));
+
+  await Template.insertMany(templates);
+};
+
+module.exports = { seedDefaultTemplates };
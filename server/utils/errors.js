@@ -0,0 +1,75 @@
+// Errors with an HTTP status. Throw them from a route handler (wrapped in
+// asyncHandler) or middleware and the error middleware sends
+//   { message, ...details, requestId }
+// with the status. Anything else thrown becomes a logged 500.
+
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    // Extra fields for the response body, e.g. `errors` or a `design`
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details) {
+    super(message, 400, details);
+  }
+}
+
+// Per-field messages, e.g. { 'roomConfig.width': 'Width must be at least 100' }
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 400, { errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized', details) {
+    super(message, 401, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do this', details) {
+    super(message, 403, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', details) {
+    super(message, 404, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, 409, details);
+  }
+}
+
+class GoneError extends AppError {
+  constructor(message, details) {
+    super(message, 410, details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', details) {
+    super(message, 429, details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,137 @@
+// Helpers for combining concurrent furniture edits by item id rather than
+// replacing the whole array. Used by the live editing channel and by saves
+// that were made against an older revision.
+
+const { furnitureItemSchema, furnitureChangesSchema } = require('../validation/designSchemas');
+
+const FURNITURE_FIELDS = ['name', 'productId', 'x', 'y', 'width', 'height', 'fill', 'rotation'];
+
+const pickFurnitureFields = (source) => {
+  const fields = {};
+  FURNITURE_FIELDS.forEach((key) => {
+    if (source[key] !== undefined) {
+      fields[key] = source[key];
+    }
+  });
+  return fields;
+};
+
+// Live operations are { kind: 'add', item }, { kind: 'update', id, changes }
+// or { kind: 'delete', id }. Items and changes are checked like those in a
+// saved design. Returns the operation with only the fields it needs, or
+// null if it isn't valid.
+const sanitizeFurnitureOp = (op) => {
+  if (!op || typeof op !== 'object') return null;
+
+  switch (op.kind) {
+    case 'add':
+      if (!op.item || typeof op.item !== 'object' || furnitureItemSchema(op.item).length > 0) return null;
+      return { kind: 'add', item: { ...pickFurnitureFields(op.item), id: op.item.id } };
+    case 'update':
+      if (!Number.isFinite(op.id) || furnitureChangesSchema(op.changes).length > 0) return null;
+      return { kind: 'update', id: op.id, changes: pickFurnitureFields(op.changes) };
+    case 'delete':
+      return Number.isFinite(op.id) ? { kind: 'delete', id: op.id } : null;
+    default:
+      return null;
+  }
+};
+
+// Returns a new furniture array with the operation applied. Updates to an
+// item someone else has deleted are dropped.
+const applyFurnitureOp = (furniture, op) => {
+  switch (op.kind) {
+    case 'add':
+      if (furniture.some((item) => item.id === op.item.id)) return furniture;
+      return [...furniture, { ...pickFurnitureFields(op.item), id: op.item.id }];
+    case 'update':
+      return furniture.map((item) =>
+        item.id === op.id ? { ...item, ...pickFurnitureFields(op.changes) } : item
+      );
+    case 'delete':
+      return furniture.filter((item) => item.id !== op.id);
+    default:
+      return furniture;
+  }
+};
+
+// Three-way merge of plain objects. A key changed on only one side takes
+// that side's value; a key changed differently on both sides is a conflict.
+const mergeFields = (base, ours, theirs, keys) => {
+  const merged = {};
+  const conflicts = [];
+
+  keys.forEach((key) => {
+    const baseValue = base[key];
+    const ourValue = ours[key];
+    const theirValue = theirs[key];
+
+    if (ourValue === theirValue || ourValue === baseValue) {
+      merged[key] = theirValue;
+    } else if (theirValue === baseValue) {
+      merged[key] = ourValue;
+    } else {
+      merged[key] = ourValue;
+      conflicts.push(key);
+    }
+  });
+
+  return { merged, conflicts };
+};
+
+const isUnchanged = (before, after) =>
+  FURNITURE_FIELDS.every((key) => before[key] === after[key]);
+
+// Merge our furniture and theirs, both edited from `base`, item by item.
+// Returns the merged array and the ids of items both sides changed.
+const mergeFurniture = (base, ours, theirs) => {
+  const byId = (items) => new Map(items.map((item) => [item.id, item]));
+  const baseItems = byId(base);
+  const ourItems = byId(ours);
+  const theirItems = byId(theirs);
+
+  // Keep their ordering, with our new items at the end
+  const ids = [...theirItems.keys(), ...[...ourItems.keys()].filter((id) => !theirItems.has(id))];
+
+  const furniture = [];
+  const conflicts = [];
+
+  ids.forEach((id) => {
+    const baseItem = baseItems.get(id);
+    const ourItem = ourItems.get(id);
+    const theirItem = theirItems.get(id);
+
+    if (!baseItem) {
+      // Added on one side (ids are creation timestamps, so both adding the
+      // same id only happens when both sides already share the item)
+      furniture.push(ourItem || theirItem);
+      return;
+    }
+
+    if (!ourItem || !theirItem) {
+      // Deleted on one side: only honour it if the other side left it alone
+      const remaining = ourItem || theirItem;
+      if (remaining && !isUnchanged(baseItem, remaining)) {
+        furniture.push(remaining);
+        conflicts.push(id);
+      }
+      return;
+    }
+
+    const { merged, conflicts: fieldConflicts } = mergeFields(baseItem, ourItem, theirItem, FURNITURE_FIELDS);
+    furniture.push({ ...merged, id });
+    if (fieldConflicts.length > 0) {
+      conflicts.push(id);
+    }
+  });
+
+  return { furniture, conflicts };
+};
+
+module.exports = {
+  FURNITURE_FIELDS,
+  sanitizeFurnitureOp,
+  applyFurnitureOp,
+  mergeFields,
+  mergeFurniture,
+};
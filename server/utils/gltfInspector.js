@@ -0,0 +1,263 @@
+// Reads an uploaded .glb or .gltf file well enough to reject broken or
+// oversized models and to describe the good ones: bounding box (in model
+// units, with node transforms applied), triangle count and mesh count.
+// Files are served on their own, so every buffer and image must be
+// embedded rather than referenced by a relative path.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const MAX_TRIANGLES = 500000;
+const MAX_NODES = 10000;
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+class InvalidModelError extends Error {}
+
+const fail = (message) => {
+  throw new InvalidModelError(message);
+};
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fail('The model JSON could not be read');
+  }
+};
+
+const readGlb = (buffer) => {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    fail('Not a binary glTF (.glb) file');
+  }
+  if (buffer.readUInt32LE(4) !== 2) {
+    fail('Only glTF 2.0 models are supported');
+  }
+  if (buffer.readUInt32LE(8) !== buffer.length) {
+    fail('The file is truncated or has trailing data');
+  }
+
+  const jsonLength = buffer.readUInt32LE(12);
+  if (buffer.readUInt32LE(16) !== CHUNK_JSON || 20 + jsonLength > buffer.length) {
+    fail('The model has no JSON chunk');
+  }
+
+  const json = parseJson(buffer.toString('utf8', 20, 20 + jsonLength));
+
+  let hasBinChunk = false;
+  const binOffset = 20 + jsonLength;
+  if (binOffset + 8 <= buffer.length) {
+    const binLength = buffer.readUInt32LE(binOffset);
+    hasBinChunk = buffer.readUInt32LE(binOffset + 4) === CHUNK_BIN;
+    if (hasBinChunk && binOffset + 8 + binLength > buffer.length) {
+      fail('The binary chunk is truncated');
+    }
+  }
+
+  return { json, hasBinChunk };
+};
+
+// The JSON is whatever the uploader wrote, so check its shape before using it
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isIndex = (value, items) => Number.isInteger(value) && value >= 0 && value < items.length;
+
+// An optional list of objects: missing means empty
+const objects = (value, what) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every(isObject)) fail(`The model's ${what} are not a list of objects`);
+  return value;
+};
+
+// An optional list of node indexes: missing means empty
+const nodeIndexes = (value, nodes, what) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every((index) => isIndex(index, nodes))) {
+    fail(`The model's ${what} refer to missing nodes`);
+  }
+  return value;
+};
+
+// A fixed-length list of numbers, like a node's translation
+const vector = (value, length, fallback, what) => {
+  if (value === undefined) return fallback;
+  if (!Array.isArray(value) || value.length !== length || !value.every(Number.isFinite)) {
+    fail(`A node has an invalid ${what}`);
+  }
+  return value;
+};
+
+// An accessor's min or max, whose first three numbers are x, y and z
+const isBound = (value) => Array.isArray(value) && value.length >= 3 && value.slice(0, 3).every(Number.isFinite);
+
+const isEmbedded = (uri) => typeof uri === 'string' && uri.startsWith('data:');
+
+const checkResources = (json, hasBinChunk) => {
+  objects(json.buffers, 'buffers').forEach((buffer, index) => {
+    if (buffer.uri === undefined) {
+      if (!(index === 0 && hasBinChunk)) fail(`Buffer ${index} has no data`);
+    } else if (!isEmbedded(buffer.uri)) {
+      fail(`Buffer ${index} points to an external file (${buffer.uri}); export with embedded data or as .glb`);
+    }
+  });
+
+  objects(json.images, 'images').forEach((image, index) => {
+    if (image.uri !== undefined && !isEmbedded(image.uri)) {
+      fail(`Image ${index} points to an external file (${image.uri}); export with embedded textures or as .glb`);
+    }
+  });
+};
+
+// Column-major 4x4 matrices, as used by glTF
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const multiply = (a, b) => {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col += 1) {
+    for (let row = 0; row < 4; row += 1) {
+      let sum = 0;
+      for (let k = 0; k < 4; k += 1) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+};
+
+const nodeMatrix = (node) => {
+  if (node.matrix !== undefined) return vector(node.matrix, 16, IDENTITY, 'matrix');
+
+  const [tx, ty, tz] = vector(node.translation, 3, [0, 0, 0], 'translation');
+  const [x, y, z, w] = vector(node.rotation, 4, [0, 0, 0, 1], 'rotation');
+  const [sx, sy, sz] = vector(node.scale, 3, [1, 1, 1], 'scale');
+
+  // Translation * rotation * scale
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+};
+
+const transformPoint = (m, [x, y, z]) => [
+  m[0] * x + m[4] * y + m[8] * z + m[12],
+  m[1] * x + m[5] * y + m[9] * z + m[13],
+  m[2] * x + m[6] * y + m[10] * z + m[14],
+];
+
+const primitiveTriangles = (accessors, primitive) => {
+  const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+  const accessorIndex = primitive.indices !== undefined ? primitive.indices : primitive.attributes.POSITION;
+  if (!isIndex(accessorIndex, accessors)) fail('A mesh refers to a missing accessor');
+  const accessor = accessors[accessorIndex];
+  if (!Number.isInteger(accessor.count) || accessor.count < 0) fail('A mesh accessor has no valid count');
+
+  if (mode === MODE_TRIANGLES) return Math.floor(accessor.count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(accessor.count - 2, 0);
+  return 0; // points and lines
+};
+
+// Walk the default scene, adding up triangles and growing the bounding box
+// by the transformed corners of each primitive's position bounds
+const measure = (json) => {
+  const nodes = objects(json.nodes, 'nodes');
+  const meshes = objects(json.meshes, 'meshes');
+  const accessors = objects(json.accessors, 'accessors');
+
+  if (meshes.length === 0) fail('The model has no meshes');
+  if (nodes.length > MAX_NODES) fail(`The model has more than ${MAX_NODES} nodes`);
+
+  let roots;
+  const scenes = objects(json.scenes, 'scenes');
+  if (scenes.length > 0) {
+    const sceneIndex = json.scene === undefined ? 0 : json.scene;
+    if (!isIndex(sceneIndex, scenes)) fail('The default scene does not exist');
+    roots = nodeIndexes(scenes[sceneIndex].nodes, nodes, 'scene nodes');
+  } else {
+    const children = new Set(nodes.flatMap((node) => nodeIndexes(node.children, nodes, 'node children')));
+    roots = nodes.map((node, index) => index).filter((index) => !children.has(index));
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  let triangleCount = 0;
+  let visited = 0;
+
+  const visit = (index, parentMatrix, depth) => {
+    const node = nodes[index];
+    if (depth > 64 || (visited += 1) > MAX_NODES) fail('The node hierarchy is too deep or cyclic');
+
+    const matrix = multiply(parentMatrix, nodeMatrix(node));
+
+    if (node.mesh !== undefined) {
+      if (!isIndex(node.mesh, meshes)) fail('A node refers to a missing mesh');
+      const mesh = meshes[node.mesh];
+
+      objects(mesh.primitives, 'mesh primitives').forEach((primitive) => {
+        if (!isObject(primitive.attributes) || !isIndex(primitive.attributes.POSITION, accessors)) {
+          fail('A mesh has no vertex positions');
+        }
+        const position = accessors[primitive.attributes.POSITION];
+        if (!isBound(position.min) || !isBound(position.max)) {
+          fail('A mesh is missing its position bounds');
+        }
+
+        triangleCount += primitiveTriangles(accessors, primitive);
+
+        for (let corner = 0; corner < 8; corner += 1) {
+          const point = transformPoint(matrix, [
+            corner & 1 ? position.max[0] : position.min[0],
+            corner & 2 ? position.max[1] : position.min[1],
+            corner & 4 ? position.max[2] : position.min[2],
+          ]);
+          for (let axis = 0; axis < 3; axis += 1) {
+            min[axis] = Math.min(min[axis], point[axis]);
+            max[axis] = Math.max(max[axis], point[axis]);
+          }
+        }
+      });
+    }
+
+    nodeIndexes(node.children, nodes, 'node children').forEach((child) => visit(child, matrix, depth + 1));
+  };
+
+  roots.forEach((index) => visit(index, IDENTITY, 0));
+
+  if (triangleCount === 0) fail('The model has no triangles');
+  if (triangleCount > MAX_TRIANGLES) {
+    fail(`The model has ${triangleCount.toLocaleString('en-GB')} triangles; the limit is ${MAX_TRIANGLES.toLocaleString('en-GB')}`);
+  }
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    meshCount: meshes.length,
+    triangleCount,
+    boundingBox: {
+      min: min.map(round),
+      max: max.map(round),
+      size: max.map((value, axis) => round(value - min[axis])),
+    },
+  };
+};
+
+// Inspect a model file. `format` is 'glb' or 'gltf'. Throws an
+// InvalidModelError describing the first problem found.
+const inspectModel = (buffer, format) => {
+  const { json, hasBinChunk } =
+    format === 'glb' ? readGlb(buffer) : { json: parseJson(buffer.toString('utf8')), hasBinChunk: false };
+
+  if (!json || typeof json !== 'object' || !json.asset) fail('The file is not a glTF model');
+  if (!String(json.asset.version || '').startsWith('2')) fail('Only glTF 2.0 models are supported');
+
+  checkResources(json, hasBinChunk);
+
+  return measure(json);
+};
+
+module.exports = { inspectModel, InvalidModelError };
@@ -0,0 +1,34 @@
+// Structured logging: one JSON object per line, so log tooling can filter
+// on any field. Child loggers add fields to every entry, e.g. the request
+// id, which is how a support ticket's X-Request-Id is traced:
+//   {"time":"...","level":"info","message":"Request completed","requestId":"...","status":200}
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+});
+
+const createLogger = (baseFields = {}) => {
+  const write = (level, message, fields = {}) => {
+    const entry = { time: new Date().toISOString(), level, message, ...baseFields, ...fields };
+    if (entry.error instanceof Error) {
+      entry.error = serializeError(entry.error);
+    }
+
+    const stream = level === 'info' ? process.stdout : process.stderr;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (fields) => createLogger({ ...baseFields, ...fields }),
+  };
+};
+
+const logger = createLogger();
+
+module.exports = logger;
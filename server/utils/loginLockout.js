@@ -0,0 +1,55 @@
+// How failed logins lock an email address out. Accounts keep their count
+// on the user (see User.registerFailedLogin); emails with no account are
+// counted here, the same way, so the answers to a login don't reveal which
+// emails are registered.
+
+const MAX_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+// Unknown emails are forgotten after a day without failures. Kept in
+// memory, so counts reset when the server restarts.
+const UNKNOWN_EMAIL_TTL_MS = 24 * 60 * 60 * 1000;
+
+// From the fifth failure on, every further failure locks the email,
+// doubling the delay each time up to an hour. Returns the lock in ms, or 0.
+const lockDelay = (failedAttempts) => {
+  if (failedAttempts < MAX_LOGIN_ATTEMPTS) return 0;
+  return Math.min(BASE_LOCK_MS * 2 ** (failedAttempts - MAX_LOGIN_ATTEMPTS), MAX_LOCK_MS);
+};
+
+const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+
+// email -> { failedAttempts, lockUntil, lastFailedAt }
+const unknownEmails = new Map();
+
+const cleanup = setInterval(() => {
+  const now = Date.now();
+  unknownEmails.forEach((entry, email) => {
+    if (entry.lastFailedAt + UNKNOWN_EMAIL_TTL_MS <= now) unknownEmails.delete(email);
+  });
+}, 60 * 60 * 1000);
+cleanup.unref();
+
+// Seconds until an email with no account can be tried again, or 0
+const unknownEmailLockRemaining = (email) => {
+  const entry = unknownEmails.get(email);
+  return entry ? secondsUntil(entry.lockUntil) : 0;
+};
+
+// Count a failed login for an email with no account. Returns the seconds
+// it is now locked for, or 0.
+const registerUnknownEmailFailure = (email) => {
+  const now = Date.now();
+  const entry = unknownEmails.get(email) || { failedAttempts: 0, lockUntil: 0 };
+
+  entry.failedAttempts += 1;
+  entry.lastFailedAt = now;
+  const delay = lockDelay(entry.failedAttempts);
+  if (delay > 0) entry.lockUntil = now + delay;
+  unknownEmails.set(email, entry);
+
+  return secondsUntil(entry.lockUntil);
+};
+
+module.exports = { lockDelay, unknownEmailLockRemaining, registerUnknownEmailFailure };
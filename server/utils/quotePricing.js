@@ -0,0 +1,83 @@
+// Turns a design's furniture into priced quote lines. Amounts are added up
+// in cents so totals come out exact, and returned in currency units.
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const sameColor = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+// The product's default finish, or the custom colour the designer picked
+const finishFor = (item, product) => {
+  if (!item.fill || sameColor(item.fill, product.defaultFinish.color)) {
+    return product.defaultFinish.name || 'Standard';
+  }
+  return `Custom (${item.fill.toUpperCase()})`;
+};
+
+// One line per product and finish. `products` are the catalog entries the
+// furniture refers to; items without one are listed as unpriced.
+const buildLineItems = (furniture, products) => {
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+  const lines = new Map();
+  const unpriced = new Map();
+
+  furniture.forEach((item) => {
+    const product = item.productId && productsById.get(item.productId);
+    if (!product) {
+      unpriced.set(item.name, (unpriced.get(item.name) || 0) + 1);
+      return;
+    }
+
+    const finish = finishFor(item, product);
+    const key = `${item.productId}|${finish}`;
+    if (lines.has(key)) {
+      lines.get(key).quantity += 1;
+    } else {
+      lines.set(key, {
+        productId: item.productId,
+        sku: product.sku,
+        name: product.name,
+        category: product.category,
+        finish,
+        quantity: 1,
+        unitPrice: product.price,
+      });
+    }
+  });
+
+  const lineItems = [...lines.values()]
+    .map((line) => ({ ...line, subtotal: fromCents(toCents(line.unitPrice) * line.quantity) }))
+    .sort((a, b) =>
+      a.category.localeCompare(b.category) || a.name.localeCompare(b.name) || a.finish.localeCompare(b.finish)
+    );
+
+  return {
+    lineItems,
+    unpricedItems: [...unpriced].map(([name, quantity]) => ({ name, quantity })),
+  };
+};
+
+// Totals for a set of lines. The discount is taken off before tax and
+// never brings the total below zero.
+const priceQuote = (lineItems, { discount, taxRate = 0 } = {}) => {
+  // Requests may send `discount: null` for no discount
+  const type = (discount && discount.type) || 'percent';
+  const value = (discount && discount.value) || 0;
+
+  const subtotal = lineItems.reduce((sum, line) => sum + toCents(line.subtotal), 0);
+  const discountAmount = Math.min(
+    subtotal,
+    type === 'percent' ? Math.round((subtotal * value) / 100) : toCents(value)
+  );
+  const taxAmount = Math.round(((subtotal - discountAmount) * taxRate) / 100);
+
+  return {
+    subtotal: fromCents(subtotal),
+    discount: { type, value, amount: fromCents(discountAmount) },
+    taxRate,
+    taxAmount: fromCents(taxAmount),
+    total: fromCents(subtotal - discountAmount + taxAmount),
+  };
+};
+
+module.exports = { buildLineItems, priceQuote };
@@ -0,0 +1,24 @@
+const { string, boolean, array } = require('./validators');
+const User = require('../models/User');
+
+const updateUserSchema = {
+  role: string({ oneOf: User.schema.path('role').enumValues }),
+  active: boolean(),
+  stores: array(string({ required: true }), { max: 50 }),
+};
+
+const reassignDesignsSchema = {
+  toUserId: string({ required: true }),
+};
+
+// GET /api/admin/users. A repeated search arrives as a list, so it has to be
+// checked to be text.
+const userListQuerySchema = {
+  search: string({ max: 100 }),
+};
+
+module.exports = {
+  userListQuerySchema,
+  updateUserSchema,
+  reassignDesignsSchema,
+};
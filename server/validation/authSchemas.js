@@ -0,0 +1,58 @@
+const { string, email, password } = require('./validators');
+
+const registerSchema = {
+  email: email({ required: true }),
+  password: password(),
+  name: string({ max: 60 }),
+};
+
+const loginSchema = {
+  email: email({ required: true }),
+  password: string({ required: true }),
+};
+
+const forgotPasswordSchema = {
+  email: email({ required: true }),
+};
+
+const resetPasswordSchema = {
+  token: string({ required: true }),
+  password: password(),
+};
+
+const verifyEmailSchema = {
+  token: string({ required: true }),
+};
+
+const resendVerificationSchema = {
+  email: email({ required: true }),
+};
+
+const updateProfileSchema = {
+  name: string({ max: 60 }),
+  email: email(),
+  currentPassword: string(),
+};
+
+const changePasswordSchema = {
+  currentPassword: string({ required: true }),
+  newPassword: password(),
+};
+
+const deleteAccountSchema = {
+  password: string({ required: true }),
+  designs: string({ required: true, oneOf: ['delete', 'transfer'] }),
+  transferTo: email(),
+};
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+};
@@ -0,0 +1,49 @@
+const { string, color, number, boolean, object } = require('./validators');
+
+const MAX_DIMENSION = 2000;
+
+// Creating needs every required field; updates may send only what changed
+const productFields = (required) => ({
+  sku: string({
+    required,
+    max: 40,
+    pattern: /^[A-Z0-9-]+$/i,
+    patternMessage: 'may only contain letters, numbers and dashes',
+  }),
+  name: string({ required, max: 60 }),
+  category: string({ required, max: 40 }),
+  dimensions: object(
+    {
+      width: number({ required: true, min: 1, max: MAX_DIMENSION }),
+      depth: number({ required: true, min: 1, max: MAX_DIMENSION }),
+      height: number({ required: true, min: 1, max: MAX_DIMENSION }),
+    },
+    { required }
+  ),
+  defaultFinish: object({
+    name: string({ max: 40 }),
+    color: color(),
+  }),
+  price: number({ required, min: 0 }),
+  model: object({
+    url: string({ max: 500 }),
+    scale: number({ min: 0.001, max: 100 }),
+    yOffset: number({ min: -100, max: 100 }),
+  }),
+  icon: string({ max: 8 }),
+  active: boolean(),
+});
+
+const createProductSchema = productFields(true);
+
+const updateProductSchema = productFields(false);
+
+// GET /api/catalog. Query values repeated in the URL arrive as lists, so
+// each has to be checked to be text.
+const productListQuerySchema = {
+  search: string({ max: 100 }),
+  category: string({ max: 40 }),
+  includeInactive: string({ max: 5 }),
+};
+
+module.exports = { createProductSchema, updateProductSchema, productListQuerySchema };
@@ -0,0 +1,90 @@
+const { string, color, number, boolean, object, array } = require('./validators');
+
+// Limits match what Editor2D lets a designer set, with some headroom
+const MAX_ROOM_SIZE = 2000;
+const MAX_FURNITURE_ITEMS = 500;
+
+// Thumbnails are small image data URLs captured by Editor2D on save
+const MAX_THUMBNAIL_LENGTH = 200000;
+const THUMBNAIL_PATTERN = /^data:image\/(?:png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+const roomConfigSchema = object({
+  width: number({ required: true, min: 100, max: MAX_ROOM_SIZE }),
+  height: number({ required: true, min: 100, max: MAX_ROOM_SIZE }),
+  color: color(),
+  wallColor: color(),
+});
+
+const furnitureItemFields = {
+  id: number({ required: true }),
+  name: string({ required: true, max: 60 }),
+  productId: string({ max: 24 }),
+  x: number({ required: true }),
+  y: number({ required: true }),
+  width: number({ required: true, min: 1, max: MAX_ROOM_SIZE }),
+  height: number({ required: true, min: 1, max: MAX_ROOM_SIZE }),
+  fill: color(),
+  rotation: number({ min: -360, max: 360 }),
+};
+
+const furnitureItemSchema = object(furnitureItemFields);
+
+// A live edit's changes to one item: any of its fields but the id, each
+// checked as it would be on the whole item
+const furnitureChangesSchema = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return [['', 'must be an object']];
+
+  const changed = Object.keys(furnitureItemFields).filter((key) => key !== 'id' && value[key] !== undefined);
+  return object(Object.fromEntries(changed.map((key) => [key, furnitureItemFields[key]])))(value);
+};
+
+const designFields = (nameRequired) => ({
+  name: string({ required: nameRequired, max: 100 }),
+  roomConfig: roomConfigSchema,
+  furniture: array(furnitureItemSchema, { max: MAX_FURNITURE_ITEMS }),
+  thumbnail: string({
+    max: MAX_THUMBNAIL_LENGTH,
+    pattern: THUMBNAIL_PATTERN,
+    patternMessage: 'must be a PNG, JPEG or WebP image',
+  }),
+  message: string({ max: 200 }),
+});
+
+const createDesignSchema = designFields(true);
+
+const updateDesignSchema = {
+  ...designFields(false),
+  revision: number({ min: 0, integer: true }),
+};
+
+// Folder, tags and favourite; `folder: null` takes a design out of its folder
+const organizeDesignSchema = {
+  folder: (value) => (value === null ? [] : string({ max: 24 })(value)),
+  tags: array(string({ required: true, max: 30 }), { max: 20 }),
+  favorite: boolean(),
+};
+
+// GET /api/designs. Query values repeated in the URL arrive as lists, so
+// each has to be checked to be text.
+const designListQuerySchema = {
+  scope: string({ max: 10 }),
+  search: string({ max: 100 }),
+  size: string({ max: 10 }),
+  category: string({ max: 40 }),
+  folder: string({ max: 24 }),
+  tag: string({ max: 30 }),
+  favorite: string({ max: 5 }),
+  sort: string({ max: 10 }),
+  order: string({ max: 4 }),
+  page: string({ max: 6 }),
+  limit: string({ max: 6 }),
+};
+
+module.exports = {
+  createDesignSchema,
+  updateDesignSchema,
+  organizeDesignSchema,
+  designListQuerySchema,
+  furnitureItemSchema,
+  furnitureChangesSchema,
+};
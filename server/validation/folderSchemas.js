@@ -0,0 +1,7 @@
+const { string } = require('./validators');
+
+const folderSchema = {
+  name: string({ required: true, max: 60 }),
+};
+
+module.exports = { folderSchema };
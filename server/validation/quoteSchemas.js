@@ -0,0 +1,22 @@
+const { string, number, object } = require('./validators');
+
+const discountFields = object({
+  type: string({ oneOf: ['percent', 'amount'] }),
+  value: number({ required: true, min: 0, max: 10000000 }),
+});
+
+// A percentage over 100 would take more off than the furniture costs
+const discount = (value) => {
+  const problems = discountFields(value);
+  if (problems.length === 0 && value && value.type !== 'amount' && value.value > 100) {
+    return [['value', 'must be at most 100 for a percentage']];
+  }
+  return problems;
+};
+
+const quoteSchema = {
+  discount,
+  notes: string({ max: 500 }),
+};
+
+module.exports = { quoteSchema };
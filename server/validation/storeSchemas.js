@@ -0,0 +1,25 @@
+const { string, number } = require('./validators');
+
+const switchStoreSchema = {
+  storeId: string({ required: true }),
+};
+
+// Settings used when pricing quotes
+const storeFields = (required) => ({
+  name: string({ required, max: 80 }),
+  taxRate: number({ min: 0, max: 100 }),
+  currency: string({
+    pattern: /^[A-Z]{3}$/i,
+    patternMessage: 'must be a three letter currency code like USD',
+  }),
+});
+
+const createStoreSchema = storeFields(true);
+
+const updateStoreSchema = storeFields(false);
+
+module.exports = {
+  switchStoreSchema,
+  createStoreSchema,
+  updateStoreSchema,
+};
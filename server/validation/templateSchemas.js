@@ -0,0 +1,8 @@
+const { string } = require('./validators');
+
+const templateSchema = {
+  name: string({ required: true, max: 60 }),
+  description: string({ max: 200 }),
+};
+
+module.exports = { templateSchema };
@@ -0,0 +1,105 @@
+// Small declarative validators for request bodies. A validator takes a
+// value and returns a list of [path, message] problems, where path is
+// relative to the value ('' for the value itself). Schemas are plain
+// objects of validators, checked with `object(schema)`.
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const joinPath = (parent, child) => {
+  if (parent === '') return child;
+  if (child === '') return parent;
+  return `${parent}.${child}`;
+};
+
+const string = ({ required = false, min, max, pattern, patternMessage, oneOf } = {}) => (value) => {
+  if (isMissing(value)) return required ? [['', 'is required']] : [];
+  if (typeof value !== 'string') return [['', 'must be text']];
+
+  const length = value.trim().length;
+  if (required && length === 0) return [['', 'is required']];
+  if (min !== undefined && length < min) return [['', `must be at least ${min} characters`]];
+  if (max !== undefined && length > max) return [['', `must be at most ${max} characters`]];
+  if (pattern && !pattern.test(value)) return [['', patternMessage || 'is not valid']];
+  if (oneOf && !oneOf.includes(value)) return [['', `must be one of ${oneOf.join(', ')}`]];
+  return [];
+};
+
+const email = ({ required = false } = {}) =>
+  string({ required, max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' });
+
+// At least 8 characters with both letters and numbers
+const password = ({ required = true } = {}) => (value) => {
+  const problems = string({ required, min: 8, max: 128 })(value);
+  if (problems.length || isMissing(value)) return problems;
+
+  if (!/[a-z]/i.test(value) || !/[0-9]/.test(value)) {
+    return [['', 'must contain both letters and numbers']];
+  }
+  return [];
+};
+
+const color = ({ required = false } = {}) =>
+  string({ required, pattern: HEX_COLOR_PATTERN, patternMessage: 'must be a hex colour like #A0522D' });
+
+const number = ({ required = false, min, max, integer = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? [['', 'is required']] : [];
+  if (typeof value !== 'number' || !Number.isFinite(value)) return [['', 'must be a number']];
+  if (integer && !Number.isInteger(value)) return [['', 'must be a whole number']];
+  if (min !== undefined && value < min) return [['', `must be at least ${min}`]];
+  if (max !== undefined && value > max) return [['', `must be at most ${max}`]];
+  return [];
+};
+
+const boolean = ({ required = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? [['', 'is required']] : [];
+  return typeof value === 'boolean' ? [] : [['', 'must be true or false']];
+};
+
+const object = (schema, { required = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? [['', 'is required']] : [];
+  if (typeof value !== 'object' || Array.isArray(value)) return [['', 'must be an object']];
+
+  return Object.entries(schema).flatMap(([key, validator]) =>
+    validator(value[key]).map(([path, message]) => [joinPath(key, path), message])
+  );
+};
+
+const array = (itemValidator, { required = false, max } = {}) => (value) => {
+  if (isMissing(value)) return required ? [['', 'is required']] : [];
+  if (!Array.isArray(value)) return [['', 'must be a list']];
+  if (max !== undefined && value.length > max) return [['', `must have at most ${max} items`]];
+
+  return value.flatMap((item, index) =>
+    itemValidator(item).map(([path, message]) => [joinPath(String(index), path), message])
+  );
+};
+
+// Turn problems into { field: 'Field is required' }, first problem per field
+const toFieldErrors = (problems) => {
+  const errors = {};
+  problems.forEach(([path, message]) => {
+    const field = path || 'body';
+    if (!errors[field]) {
+      // 'furniture.2.wallColor' reads as 'Wall color ...'
+      const key = field.split('.').filter((part) => !/^\d+$/.test(part)).pop() || 'value';
+      const label = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+      errors[field] = `${label.charAt(0).toUpperCase()}${label.slice(1)} ${message}`;
+    }
+  });
+  return errors;
+};
+
+module.exports = {
+  string,
+  email,
+  password,
+  color,
+  number,
+  boolean,
+  object,
+  array,
+  toFieldErrors,
+};